@@ -1,53 +1,1208 @@
 'use client';
 
 import { useEffect, useState } from 'react';
+import { AnalyticsGroup, AnalyticsResponse, Distribution } from '../../app_shared/types';
+import '../styles/admin.css';
+
+type Me = { name: string; role: 'viewer' | 'admin' };
+
+function LoginForm({ onSignedIn }: { onSignedIn: (me: Me) => void }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Sign in failed');
+        onSignedIn({ name: data.email, role: data.role });
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  return (
+    <main className="shell stack">
+      <form className="card stack" onSubmit={submit}>
+        <h1>Admin sign in</h1>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+        <button className="btn" type="submit">
+          Sign in
+        </button>
+      </form>
+    </main>
+  );
+}
+
+type GroupBy = 'cohort' | 'sector' | 'employees' | 'week';
+
+const pct = (value: number | null | undefined) =>
+  value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`;
+
+function Bar({ label, value, text }: { label: string; value: number; text: string }) {
+  return (
+    <div className="bar-row">
+      <span>{label}</span>
+      <div className="bar-track">
+        <div className="bar-fill" style={{ width: `${Math.min(value, 1) * 100}%` }} />
+      </div>
+      <span className="bar-value">{text}</span>
+    </div>
+  );
+}
+
+// Interquartile range as a band with the median as a marker, on a 0-100% track.
+function RangeBar({ label, dist }: { label: string; dist: Distribution }) {
+  return (
+    <div className="bar-row">
+      <span>{label}</span>
+      <div className="bar-track">
+        {dist.p25 !== null && dist.p75 !== null && (
+          <div
+            className="bar-range"
+            style={{ left: `${dist.p25 * 100}%`, width: `${(dist.p75 - dist.p25) * 100}%` }}
+          />
+        )}
+        {dist.median !== null && (
+          <div className="bar-marker" style={{ left: `${dist.median * 100}%` }} />
+        )}
+      </div>
+      <span className="bar-value">
+        {pct(dist.median)} <small>med</small>
+      </span>
+    </div>
+  );
+}
+
+function VolumeChart({ weeks }: { weeks: AnalyticsResponse['weekly_volume'] }) {
+  const shown = weeks.slice(-26);
+  const max = Math.max(1, ...shown.map((w) => w.count));
+  const width = 100 / Math.max(shown.length, 1);
+  return (
+    <svg className="volume-chart" viewBox="0 0 100 60" preserveAspectRatio="none">
+      {shown.map((w, i) => {
+        const height = (w.count / max) * 50;
+        return (
+          <rect
+            key={w.week}
+            x={i * width + width * 0.1}
+            y={52 - height}
+            width={width * 0.8}
+            height={height}
+          >
+            <title>
+              Week of {w.week}: {w.count}
+              {w.change !== null ? ` (${w.change >= 0 ? '+' : ''}${w.change} vs prior week)` : ''}
+            </title>
+          </rect>
+        );
+      })}
+      {shown.length > 0 && (
+        <>
+          <text x={0} y={59}>
+            {shown[0].week}
+          </text>
+          <text x={100} y={59} textAnchor="end">
+            {shown[shown.length - 1].week}
+          </text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+function GroupSummary({ group, minGroupSize }: { group: AnalyticsGroup; minGroupSize: number }) {
+  if (group.suppressed || !group.overall_ssi || !group.loop_scores) {
+    return (
+      <p style={{ color: 'var(--muted)', margin: 0 }}>
+        Statistics hidden for groups under {minGroupSize} submissions.
+      </p>
+    );
+  }
+  return (
+    <div className="grid">
+      <div className="stack">
+        <h3 style={{ margin: 0 }}>Scores (median, IQR)</h3>
+        <RangeBar label="Overall SSI" dist={group.overall_ssi} />
+        {Object.entries(group.loop_scores).map(([loop, dist]) => (
+          <RangeBar key={loop} label={loop} dist={dist} />
+        ))}
+      </div>
+      <div className="stack">
+        <h3 style={{ margin: 0 }}>Detected patterns</h3>
+        {(group.patterns || []).slice(0, 8).map((p) => (
+          <Bar key={p.id} label={p.name} value={p.share} text={`${p.count} · ${pct(p.share)}`} />
+        ))}
+        {!group.patterns?.length && <p style={{ color: 'var(--muted)' }}>None detected.</p>}
+      </div>
+      <div className="stack">
+        <h3 style={{ margin: 0 }}>Top challenges</h3>
+        {(group.top_challenges || []).map((c) => (
+          <Bar
+            key={c.value}
+            label={c.value}
+            value={c.share}
+            text={`${c.count} · ${pct(c.share)}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+type Filters = {
+  cohort: string;
+  sector: string;
+  employees: string;
+  top_challenge: string;
+  pattern: string;
+  min_ssi: string;
+  max_ssi: string;
+  start_date: string;
+  end_date: string;
+};
+
+const EMPTY_FILTERS: Filters = {
+  cohort: '',
+  sector: '',
+  employees: '',
+  top_challenge: '',
+  pattern: '',
+  min_ssi: '',
+  max_ssi: '',
+  start_date: '',
+  end_date: ''
+};
+
+type Option = { value: string; label: string };
+
+type FilterOptions = {
+  cohort: Option[];
+  sector: Option[];
+  employees: Option[];
+  top_challenge: Option[];
+  pattern: Option[];
+};
+
+const REFRESH_MS = 30000;
+
+// Query string of the non-empty entries; SSI bounds are entered as 0-100 and sent as 0-1.
+function toQuery(params: Record<string, string | number>) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === '' || value === undefined) return;
+    if ((key === 'min_ssi' || key === 'max_ssi') && typeof value === 'string') {
+      query.set(key, String(Number(value) / 100));
+    } else {
+      query.set(key, String(value));
+    }
+  });
+  return query.toString();
+}
+
+const uniqueOptions = (options: Option[]) =>
+  options.filter((opt, idx) => options.findIndex((o) => o.value === opt.value) === idx);
+
+function FilterBar({
+  filters,
+  options,
+  onChange
+}: {
+  filters: Filters;
+  options: FilterOptions;
+  onChange: (filters: Filters) => void;
+}) {
+  const set = (key: keyof Filters, value: string) => onChange({ ...filters, [key]: value });
+  const select = (key: keyof FilterOptions, label: string) => (
+    <label className="filter-field">
+      {label}
+      <select value={filters[key]} onChange={(e) => set(key, e.target.value)}>
+        <option value="">All</option>
+        {options[key].map((opt) => (
+          <option key={opt.value} value={opt.value}>
+            {opt.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+  return (
+    <section className="card stack">
+      <div className="filter-bar">
+        {select('cohort', 'ARR cohort')}
+        {select('sector', 'Sector')}
+        {select('employees', 'Employees')}
+        {select('top_challenge', 'Top challenge')}
+        {select('pattern', 'Pattern')}
+        <label className="filter-field">
+          Min SSI
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={filters.min_ssi}
+            onChange={(e) => set('min_ssi', e.target.value)}
+          />
+        </label>
+        <label className="filter-field">
+          Max SSI
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={filters.max_ssi}
+            onChange={(e) => set('max_ssi', e.target.value)}
+          />
+        </label>
+        <label className="filter-field">
+          From
+          <input
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => set('start_date', e.target.value)}
+          />
+        </label>
+        <label className="filter-field">
+          To
+          <input
+            type="date"
+            value={filters.end_date}
+            onChange={(e) => set('end_date', e.target.value)}
+          />
+        </label>
+      </div>
+      <div>
+        <button className="btn" onClick={() => onChange(EMPTY_FILTERS)}>
+          Clear filters
+        </button>
+      </div>
+    </section>
+  );
+}
+
+function AnalyticsPanel({ filters, refreshKey }: { filters: Filters; refreshKey: number }) {
+  const [groupBy, setGroupBy] = useState<GroupBy | ''>('');
+  const [data, setData] = useState<AnalyticsResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let stale = false;
+    fetch(`/api/analytics?${toQuery({ ...filters, group_by: groupBy })}`)
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Failed to load analytics');
+        if (stale) return;
+        setData(body);
+        setError(null);
+      })
+      .catch((err) => !stale && setError(err.message));
+    return () => {
+      stale = true;
+    };
+  }, [groupBy, filters, refreshKey]);
+
+  const overall = data?.overall;
+  const lastWeek = data?.weekly_volume[data.weekly_volume.length - 1];
+  const topPattern = overall?.patterns?.[0];
+
+  return (
+    <section className="card stack">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>Benchmarks</h2>
+        <label style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          Group by
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value as GroupBy | '')}>
+            <option value="">None</option>
+            <option value="cohort">ARR cohort</option>
+            <option value="sector">Sector</option>
+            <option value="employees">Employees</option>
+            <option value="week">Week</option>
+          </select>
+        </label>
+      </div>
+      {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+      {data && overall && (
+        <>
+          <div className="stat-tiles">
+            <div className="stat-tile">
+              <strong>{overall.count}</strong>
+              <span>Submissions</span>
+            </div>
+            <div className="stat-tile">
+              <strong>{pct(overall.overall_ssi?.mean)}</strong>
+              <span>Mean SSI</span>
+            </div>
+            <div className="stat-tile">
+              <strong>{pct(overall.overall_ssi?.median)}</strong>
+              <span>Median SSI</span>
+            </div>
+            <div className="stat-tile">
+              <strong>{pct(overall.overall_ssi?.p90)}</strong>
+              <span>90th percentile SSI</span>
+            </div>
+            <div className="stat-tile">
+              <strong>{lastWeek?.count ?? 0}</strong>
+              <span>
+                This week
+                {lastWeek?.change !== null && lastWeek?.change !== undefined
+                  ? ` (${lastWeek.change >= 0 ? '+' : ''}${lastWeek.change} vs last)`
+                  : ''}
+              </span>
+            </div>
+            <div className="stat-tile">
+              <strong style={{ fontSize: '1rem' }}>{topPattern?.name || 'n/a'}</strong>
+              <span>Most common pattern{topPattern ? ` (${pct(topPattern.share)})` : ''}</span>
+            </div>
+          </div>
+          <div className="stack">
+            <h3 style={{ margin: 0 }}>Weekly volume</h3>
+            <VolumeChart weeks={data.weekly_volume} />
+          </div>
+          <GroupSummary group={overall} minGroupSize={data.min_group_size} />
+          {data.groups?.map((group) => (
+            <div key={group.key} className="option stack" style={{ flexDirection: 'column' }}>
+              <strong>
+                {group.key}{' '}
+                <span style={{ color: 'var(--muted)' }}>· {group.count} submissions</span>
+              </strong>
+              <GroupSummary group={group} minGroupSize={data.min_group_size} />
+            </div>
+          ))}
+        </>
+      )}
+    </section>
+  );
+}
+
+type ScoreRevision = {
+  scores?: Record<string, number>;
+  overall_ssi?: number;
+  patterns?: PatternRef[];
+};
+
+type PatternRef = string | { id?: string; pattern?: string; name?: string };
 
 type Submission = {
   client_id: string;
-  client_name: string;
+  client_name?: string;
   email?: string;
   cohort?: string;
   sector?: string;
   employees?: string;
   timestamp: string;
   overall_ssi?: number;
-  scores?: { pipeline: number; conversion: number; expansion: number };
+  scores?: Record<string, number>;
+  patterns?: PatternRef[];
+  score_revisions?: ScoreRevision[];
+  answers?: Record<string, string>;
 };
 
-export default function AdminPage() {
-  const [items, setItems] = useState<Submission[]>([]);
+type SubmissionDetail = {
+  submission: Submission;
+  current: {
+    overall_ssi: number | null;
+    pipeline_score: number | null;
+    conversion_score: number | null;
+    expansion_score: number | null;
+    economics_score: number | null;
+    scoring_model_version: string | null;
+    patterns: string[];
+  };
+  recommendations: {
+    id?: string;
+    name?: string;
+    loop?: string;
+    impact?: string;
+    implementation?: string;
+    window?: number;
+    rationale?: string[];
+  }[];
+};
+
+type ShareLink = {
+  id: number;
+  created_at: string;
+  created_by: string | null;
+  expires_at: string | null;
+  revoked_at: string | null;
+  last_viewed_at: string | null;
+  view_count: number;
+};
+
+type SortKey = 'timestamp' | 'overall_ssi' | 'pipeline' | 'conversion' | 'expansion' | 'economics';
+
+const LOOPS = ['Pipeline', 'Conversion', 'Expansion', 'Economics'] as const;
+
+// Mirrors summarize() in blocks/storage/query.js: the latest score revision wins.
+function currentScores(sub: Submission) {
+  const latest = sub.score_revisions?.[sub.score_revisions.length - 1];
+  const patterns = (latest?.patterns || sub.patterns || [])
+    .map((p) => (typeof p === 'string' ? p : p?.id || p?.pattern))
+    .filter((p): p is string => Boolean(p));
+  return {
+    overall: latest ? latest.overall_ssi : sub.overall_ssi,
+    loops: (latest ? latest.scores : sub.scores) || {},
+    patterns
+  };
+}
+
+const ANSWER_LABELS: Record<string, string> = {
+  question_1_pipeline_health: 'Pipeline health (1-5)',
+  question_2_sales_conversion: 'Sales conversion (1-5)',
+  question_3_customer_success: 'Customer success (1-5)',
+  question_4_economics_and_efficiency: 'Economics & efficiency (1-5)',
+  question_5_top_challenge: 'Top challenge',
+  arr: 'ARR cohort',
+  employees: 'Employees',
+  sector: 'Sector',
+  company_name: 'Company',
+  user_email: 'Email'
+};
+
+function shareStatus(share: ShareLink) {
+  if (share.revoked_at) return 'revoked';
+  if (share.expires_at && new Date(share.expires_at) <= new Date()) return 'expired';
+  return 'active';
+}
+
+// Tokens are stored hashed, so a new link is only shown once, right after it is created.
+function ShareLinks({ clientId }: { clientId: string }) {
+  const [shares, setShares] = useState<ShareLink[]>([]);
+  const [created, setCreated] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const base = `/api/submissions/${encodeURIComponent(clientId)}/shares`;
 
   useEffect(() => {
-    fetch('/api/submissions')
-      .then((res) => res.json())
-      .then((data) => setItems(data.submissions || []))
+    fetch(base)
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Failed to load share links');
+        setShares(body.shares);
+      })
       .catch((err) => setError(err.message));
-  }, []);
+  }, [base, reloadKey]);
+
+  useEffect(() => setCreated(null), [clientId]);
+
+  const send = (url: string, method: 'POST' | 'DELETE') =>
+    fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: method === 'POST' ? '{}' : undefined
+    }).then(async (res) => {
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Request failed');
+      return body;
+    });
+
+  const create = () => {
+    setError(null);
+    send(base, 'POST')
+      .then((share) => {
+        setCreated(`${window.location.origin}${share.report_url}`);
+        setReloadKey((k) => k + 1);
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const revoke = (id: number) => {
+    setError(null);
+    send(`${base}/${id}`, 'DELETE')
+      .then(() => setReloadKey((k) => k + 1))
+      .catch((err) => setError(err.message));
+  };
 
   return (
-    <main className="shell stack">
-      <section className="card stack">
-        <h1>Admin Dashboard</h1>
-        {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+    <div className="stack">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>Share links</h3>
+        <button className="btn" onClick={create}>
+          Create link
+        </button>
+      </div>
+      {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+      {created && (
         <div className="stack">
-          {items.map((sub) => (
-            <div key={sub.client_id} className="option" style={{ flexDirection: 'column' }}>
-              <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%' }}>
-                <strong>{sub.client_name || 'Unknown'}</strong>
+          <input readOnly value={created} onFocus={(e) => e.target.select()} />
+          <span style={{ color: 'var(--muted)' }}>Copy this link now; it is not shown again.</span>
+        </div>
+      )}
+      {shares.length === 0 ? (
+        <p style={{ color: 'var(--muted)', margin: 0 }}>No links issued.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Created</th>
+              <th>Expires</th>
+              <th>Views</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shares.map((share) => (
+              <tr key={share.id}>
+                <td>
+                  {new Date(share.created_at).toLocaleDateString()}
+                  <br />
+                  <span style={{ color: 'var(--muted)' }}>{share.created_by || ''}</span>
+                </td>
+                <td>
+                  {share.expires_at ? new Date(share.expires_at).toLocaleDateString() : 'Never'}
+                </td>
+                <td>{share.view_count}</td>
+                <td>
+                  {shareStatus(share) === 'active' ? (
+                    <button className="btn" onClick={() => revoke(share.id)}>
+                      Revoke
+                    </button>
+                  ) : (
+                    shareStatus(share)
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function DetailDrawer({ clientId, onClose }: { clientId: string; onClose: () => void }) {
+  const [detail, setDetail] = useState<SubmissionDetail | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setDetail(null);
+    fetch(`/api/submissions/${encodeURIComponent(clientId)}`)
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Failed to load submission');
+        setDetail(body);
+      })
+      .catch((err) => setError(err.message));
+  }, [clientId]);
+
+  const sub = detail?.submission;
+  const current = detail?.current;
+  const loopScores = current && {
+    Pipeline: current.pipeline_score,
+    Conversion: current.conversion_score,
+    Expansion: current.expansion_score,
+    Economics: current.economics_score
+  };
+
+  return (
+    <aside className="drawer">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>{sub?.client_name || clientId}</h2>
+        <button className="btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+      {sub && current && loopScores && (
+        <>
+          <p style={{ color: 'var(--muted)', margin: 0 }}>
+            {sub.email || 'No email'} · {new Date(sub.timestamp).toLocaleString()} · model{' '}
+            {current.scoring_model_version || 'n/a'}
+            {(sub.score_revisions || []).length > 0 &&
+              ` · re-scored ${sub.score_revisions?.length}×`}
+          </p>
+          <div className="stack">
+            <h3 style={{ margin: 0 }}>Scores</h3>
+            <Bar
+              label="Overall SSI"
+              value={current.overall_ssi ?? 0}
+              text={pct(current.overall_ssi)}
+            />
+            {LOOPS.map((loop) => (
+              <Bar
+                key={loop}
+                label={loop}
+                value={loopScores[loop] ?? 0}
+                text={pct(loopScores[loop])}
+              />
+            ))}
+          </div>
+          <div className="stack">
+            <h3 style={{ margin: 0 }}>Answers</h3>
+            <table className="data-table">
+              <tbody>
+                {Object.entries(sub.answers || {}).map(([key, value]) => (
+                  <tr key={key}>
+                    <td>{ANSWER_LABELS[key] || key}</td>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="stack">
+            <h3 style={{ margin: 0 }}>Detected patterns</h3>
+            <p style={{ margin: 0 }}>{current.patterns.join(', ') || 'None'}</p>
+          </div>
+          <div className="stack">
+            <h3 style={{ margin: 0 }}>Recommendations</h3>
+            {detail.recommendations.length === 0 && (
+              <p style={{ color: 'var(--muted)', margin: 0 }}>None stored.</p>
+            )}
+            {detail.recommendations.map((rec, idx) => (
+              <div key={rec.id || idx} className="option" style={{ flexDirection: 'column' }}>
+                <strong>
+                  {rec.name || rec.id}
+                  {rec.window ? ` · first ${rec.window} days` : ''}
+                </strong>
                 <span style={{ color: 'var(--muted)' }}>
-                  {new Date(sub.timestamp).toLocaleString()}
+                  {[rec.loop, rec.implementation].filter(Boolean).join(' · ')}
                 </span>
+                {rec.rationale && rec.rationale.length > 0 && (
+                  <span style={{ color: 'var(--muted)' }}>Why: {rec.rationale.join('; ')}</span>
+                )}
               </div>
-              <div style={{ color: 'var(--muted)' }}>
-                Sector: {sub.sector || 'n/a'} · ARR: {sub.cohort || 'n/a'} · Employees:{' '}
-                {sub.employees || 'n/a'}
-              </div>
-            </div>
-          ))}
-          {items.length === 0 && <p style={{ color: 'var(--muted)' }}>No submissions yet.</p>}
+            ))}
+          </div>
+          <ShareLinks clientId={clientId} />
+        </>
+      )}
+    </aside>
+  );
+}
+
+function SortHeader({
+  label,
+  column,
+  sort,
+  order,
+  onSort
+}: {
+  label: string;
+  column: SortKey;
+  sort: SortKey;
+  order: 'asc' | 'desc';
+  onSort: (column: SortKey) => void;
+}) {
+  return (
+    <th className="sortable" onClick={() => onSort(column)}>
+      {label}
+      {sort === column ? (order === 'asc' ? ' ▲' : ' ▼') : ''}
+    </th>
+  );
+}
+
+const PAGE_SIZE = 50;
+
+function SubmissionsPanel({ filters, refreshKey }: { filters: Filters; refreshKey: number }) {
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState<SortKey>('timestamp');
+  const [order, setOrder] = useState<'asc' | 'desc'>('desc');
+  const [page, setPage] = useState({ query: '', offset: 0 });
+  const [items, setItems] = useState<Submission[]>([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const listQuery = toQuery({ ...filters, search: search.trim(), sort, order });
+  // Any change to filters, search or sort starts again from the first page.
+  const offset = page.query === listQuery ? page.offset : 0;
+  const setOffset = (next: number) => setPage({ query: listQuery, offset: next });
+
+  useEffect(() => {
+    let stale = false;
+    fetch(`/api/submissions?${listQuery}&limit=${PAGE_SIZE}&offset=${offset}`)
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Failed to load submissions');
+        if (stale) return;
+        setItems(body.submissions || []);
+        setTotal(body.total || 0);
+        setError(null);
+      })
+      .catch((err) => !stale && setError(err.message));
+    return () => {
+      stale = true;
+    };
+  }, [listQuery, offset, refreshKey]);
+
+  const onSort = (column: SortKey) => {
+    if (column === sort) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSort(column);
+      setOrder('desc');
+    }
+  };
+
+  const header = (label: string, column: SortKey) => (
+    <SortHeader label={label} column={column} sort={sort} order={order} onSort={onSort} />
+  );
+
+  return (
+    <section className="card stack">
+      <div className="filter-bar">
+        <h2 style={{ margin: 0 }}>Submissions</h2>
+        <input
+          type="search"
+          placeholder="Search company or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <div style={{ display: 'flex', gap: 8 }}>
+          <a className="btn" href={`/api/submissions/export?${listQuery}&format=csv`}>
+            Export CSV
+          </a>
+          <a className="btn" href={`/api/submissions/export?${listQuery}&format=xlsx`}>
+            Export XLSX
+          </a>
+        </div>
+      </div>
+      {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+      <div style={{ overflowX: 'auto' }}>
+        <table className="data-table">
+          <thead>
+            <tr>
+              {header('Date', 'timestamp')}
+              <th>Company</th>
+              <th>Sector</th>
+              <th>ARR</th>
+              {header('SSI', 'overall_ssi')}
+              {header('Pipeline', 'pipeline')}
+              {header('Conversion', 'conversion')}
+              {header('Expansion', 'expansion')}
+              {header('Economics', 'economics')}
+              <th>Patterns</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((sub) => {
+              const scores = currentScores(sub);
+              return (
+                <tr
+                  key={sub.client_id}
+                  className={selected === sub.client_id ? 'selected' : ''}
+                  onClick={() => setSelected(sub.client_id)}
+                >
+                  <td>{new Date(sub.timestamp).toLocaleDateString()}</td>
+                  <td>
+                    {sub.client_name || 'Unknown'}
+                    {sub.email && <div style={{ color: 'var(--muted)' }}>{sub.email}</div>}
+                  </td>
+                  <td>{sub.sector || 'n/a'}</td>
+                  <td>{sub.cohort || 'n/a'}</td>
+                  <td>{pct(scores.overall)}</td>
+                  {LOOPS.map((loop) => (
+                    <td key={loop}>{pct(scores.loops[loop])}</td>
+                  ))}
+                  <td>{scores.patterns.join(', ')}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {items.length === 0 && !error && (
+        <p style={{ color: 'var(--muted)', margin: 0 }}>No submissions match these filters.</p>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ color: 'var(--muted)' }}>
+          {total === 0 ? 0 : offset + 1}-{offset + items.length} of {total}
+        </span>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button
+            className="btn"
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+          >
+            Previous
+          </button>
+          <button
+            className="btn"
+            disabled={offset + items.length >= total}
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+      {selected && <DetailDrawer clientId={selected} onClose={() => setSelected(null)} />}
+    </section>
+  );
+}
+
+type WebhookEvent = 'submission.created' | 'lead.email_captured' | 'report.pdf_generated';
+
+const WEBHOOK_EVENTS: WebhookEvent[] = [
+  'submission.created',
+  'lead.email_captured',
+  'report.pdf_generated'
+];
+
+type WebhookSubscription = {
+  id: number;
+  url: string;
+  events: WebhookEvent[];
+  description: string | null;
+  active: boolean;
+  created_at: string;
+  created_by: string | null;
+  updated_at: string;
+};
+
+type WebhookDelivery = {
+  id: number;
+  subscription_id: number;
+  url: string;
+  event_id: string;
+  event: WebhookEvent;
+  status: 'pending' | 'delivered' | 'dead';
+  attempts: number;
+  last_status_code: number | null;
+  last_error: string | null;
+  created_at: string;
+  updated_at: string;
+  delivered_at: string | null;
+};
+
+const sendJson = (url: string, method: 'POST' | 'PATCH' | 'DELETE', body?: unknown) =>
+  fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }).then(async (res) => {
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  });
+
+// Secrets are only returned when a subscription is created, so it is shown once here.
+function WebhooksPanel({ refreshKey }: { refreshKey: number }) {
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deliveryTotal, setDeliveryTotal] = useState(0);
+  const [status, setStatus] = useState('');
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState<WebhookEvent[]>(['submission.created']);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const reload = () => setReloadKey((k) => k + 1);
+
+  useEffect(() => {
+    let stale = false;
+    Promise.all([
+      fetch('/api/admin/webhooks').then((res) => res.json()),
+      fetch(`/api/admin/webhooks/deliveries?${toQuery({ status, limit: PAGE_SIZE })}`).then((res) =>
+        res.json()
+      )
+    ])
+      .then(([subs, log]) => {
+        if (stale) return;
+        if (subs.error || log.error) throw new Error(subs.error || log.error);
+        setSubscriptions(subs.subscriptions);
+        setDeliveries(log.deliveries);
+        setDeliveryTotal(log.total);
+        setError(null);
+      })
+      .catch((err) => !stale && setError(err.message));
+    return () => {
+      stale = true;
+    };
+  }, [status, reloadKey, refreshKey]);
+
+  const run = (request: Promise<unknown>) => {
+    setError(null);
+    request.then(reload).catch((err) => setError(err.message));
+  };
+
+  const create = () => {
+    setError(null);
+    sendJson('/api/admin/webhooks', 'POST', { url: url.trim(), events })
+      .then((subscription) => {
+        setSecret(subscription.secret);
+        setUrl('');
+        reload();
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const toggleEvent = (event: WebhookEvent) =>
+    setEvents(events.includes(event) ? events.filter((e) => e !== event) : [...events, event]);
+
+  return (
+    <section className="card stack">
+      <h2 style={{ margin: 0 }}>Webhooks</h2>
+      {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+      <div className="filter-bar">
+        <input
+          type="url"
+          placeholder="https://example.com/hooks/asr"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+        {WEBHOOK_EVENTS.map((event) => (
+          <label key={event} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input
+              type="checkbox"
+              style={{ width: 'auto' }}
+              checked={events.includes(event)}
+              onChange={() => toggleEvent(event)}
+            />
+            {event}
+          </label>
+        ))}
+        <button className="btn" disabled={!url.trim() || events.length === 0} onClick={create}>
+          Add webhook
+        </button>
+      </div>
+      {secret && (
+        <div className="stack">
+          <input readOnly value={secret} onFocus={(e) => e.target.select()} />
+          <span style={{ color: 'var(--muted)' }}>
+            Signing secret: copy it now; it is not shown again.
+          </span>
+        </div>
+      )}
+      {subscriptions.length === 0 ? (
+        <p style={{ color: 'var(--muted)', margin: 0 }}>No webhooks configured.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>URL</th>
+              <th>Events</th>
+              <th>Created</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {subscriptions.map((sub) => (
+              <tr key={sub.id}>
+                <td>
+                  {sub.url}
+                  {sub.description && (
+                    <div style={{ color: 'var(--muted)' }}>{sub.description}</div>
+                  )}
+                </td>
+                <td>{sub.events.join(', ')}</td>
+                <td>
+                  {new Date(sub.created_at).toLocaleDateString()}
+                  <br />
+                  <span style={{ color: 'var(--muted)' }}>{sub.created_by || ''}</span>
+                </td>
+                <td>{sub.active ? 'active' : 'paused'}</td>
+                <td style={{ display: 'flex', gap: 8 }}>
+                  <button
+                    className="btn"
+                    onClick={() =>
+                      run(
+                        sendJson(`/api/admin/webhooks/${sub.id}`, 'PATCH', { active: !sub.active })
+                      )
+                    }
+                  >
+                    {sub.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    className="btn"
+                    onClick={() =>
+                      window.confirm(`Delete ${sub.url} and its delivery log?`) &&
+                      run(sendJson(`/api/admin/webhooks/${sub.id}`, 'DELETE'))
+                    }
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="filter-bar">
+        <h3 style={{ margin: 0 }}>Deliveries</h3>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="">All</option>
+          <option value="pending">Pending</option>
+          <option value="delivered">Delivered</option>
+          <option value="dead">Dead letters</option>
+        </select>
+        <span style={{ color: 'var(--muted)' }}>
+          {deliveries.length} of {deliveryTotal}
+        </span>
+      </div>
+      {deliveries.length === 0 ? (
+        <p style={{ color: 'var(--muted)', margin: 0 }}>No deliveries.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Event</th>
+                <th>URL</th>
+                <th>Attempts</th>
+                <th>Last response</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => (
+                <tr key={delivery.id}>
+                  <td>{new Date(delivery.created_at).toLocaleString()}</td>
+                  <td>
+                    {delivery.event}
+                    <div style={{ color: 'var(--muted)' }}>{delivery.event_id}</div>
+                  </td>
+                  <td>{delivery.url}</td>
+                  <td>{delivery.attempts}</td>
+                  <td>{delivery.last_error || delivery.last_status_code || ''}</td>
+                  <td>
+                    {delivery.status === 'pending' ? (
+                      'pending'
+                    ) : (
+                      <>
+                        {delivery.status}{' '}
+                        <button
+                          className="btn"
+                          onClick={() =>
+                            run(
+                              sendJson(
+                                `/api/admin/webhooks/deliveries/${delivery.id}/replay`,
+                                'POST'
+                              )
+                            )
+                          }
+                        >
+                          Replay
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default function AdminPage() {
+  const [me, setMe] = useState<Me | null>(null);
+  const [checked, setChecked] = useState(false);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [options, setOptions] = useState<FilterOptions>({
+    cohort: [],
+    sector: [],
+    employees: [],
+    top_challenge: [],
+    pattern: []
+  });
+  const [live, setLive] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [updatedAt, setUpdatedAt] = useState(new Date());
+
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setMe(data))
+      .catch(() => setMe(null))
+      .finally(() => setChecked(true));
+  }, []);
+
+  // Filter choices come from the wizard's own question file and the patterns seen so far.
+  useEffect(() => {
+    if (!me) return;
+    Promise.all([
+      fetch('/wizard_questions.json').then((res) => res.json()),
+      fetch('/api/analytics').then((res) => res.json())
+    ])
+      .then(([questions, analytics]) => {
+        const qualifier = (key: string): Option[] =>
+          uniqueOptions(
+            (questions.qualifiers?.[key]?.options || []).map((o: Option) => ({
+              value: o.value,
+              label: key === 'arr' ? `${o.value} (${o.label})` : o.label
+            }))
+          );
+        setOptions({
+          cohort: qualifier('arr'),
+          sector: qualifier('sector'),
+          employees: qualifier('employees'),
+          top_challenge: (questions.questions?.question_5_top_challenge?.options || []).map(
+            (o: Option) => ({ value: o.value, label: o.label })
+          ),
+          pattern: (analytics.overall?.patterns || []).map((p: { id: string; name: string }) => ({
+            value: p.id,
+            label: p.name
+          }))
+        });
+      })
+      .catch(() => undefined);
+  }, [me]);
+
+  useEffect(() => {
+    if (!me || !live) return undefined;
+    const timer = setInterval(() => {
+      setRefreshKey((key) => key + 1);
+      setUpdatedAt(new Date());
+    }, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [me, live]);
+
+  const signOut = () => fetch('/api/auth/logout', { method: 'POST' }).finally(() => setMe(null));
+
+  if (!checked) return null;
+  if (!me) return <LoginForm onSignedIn={setMe} />;
+
+  return (
+    <main className="shell stack">
+      <section className="card stack">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h1>Admin Dashboard</h1>
+          <span style={{ color: 'var(--muted)' }}>
+            {me.name} ({me.role}){' '}
+            <button className="btn" onClick={signOut}>
+              Sign out
+            </button>
+          </span>
         </div>
+        <label style={{ display: 'flex', gap: 8, alignItems: 'center', color: 'var(--muted)' }}>
+          <input
+            type="checkbox"
+            style={{ width: 'auto' }}
+            checked={live}
+            onChange={(e) => setLive(e.target.checked)}
+          />
+          Refresh every 30 seconds · updated {updatedAt.toLocaleTimeString()}
+        </label>
       </section>
+      <FilterBar filters={filters} options={options} onChange={setFilters} />
+      <AnalyticsPanel filters={filters} refreshKey={refreshKey} />
+      {me.role === 'admin' && <SubmissionsPanel filters={filters} refreshKey={refreshKey} />}
+      {me.role === 'admin' && <WebhooksPanel refreshKey={refreshKey} />}
     </main>
   );
 }
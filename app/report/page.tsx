@@ -2,41 +2,265 @@
 
 import { useEffect, useState } from 'react';
 import Link from 'next/link';
+import {
+  ActionPlan,
+  BenchmarkSet,
+  DetectedPattern,
+  MetricBreakdown,
+  PeerBenchmark,
+  Recommendation,
+  SharedReportResponse,
+  SimulateResponse
+} from '../../app_shared/types';
+import { ApiError, LOOPS, createClient } from '../../app_shared/sdk/asr-client';
 import '../styles/report.css';
 
 type StoredResults = {
   clientName: string;
+  share_token?: string;
   overall_ssi: number;
-  loop_scores: { Pipeline: number; Conversion: number; Expansion: number };
-  priority_recommendations?: { name: string; description: string; loop: string; score: number }[];
-  detected_patterns?: { pattern: string; description: string; priority: string }[];
+  loop_scores: { Pipeline: number; Conversion: number; Expansion: number; Economics?: number };
+  benchmark_set?: BenchmarkSet;
+  suggested_chapter?: string | null;
+  metric_breakdown?: MetricBreakdown[];
+  priority_recommendations?: Recommendation[];
+  action_plan?: ActionPlan;
+  detected_patterns?: DetectedPattern[];
+  peer_benchmark?: PeerBenchmark | null;
   timestamp: string;
 };
 
+const PEER_GROUP_LABELS: Record<PeerBenchmark['peer_group']['level'], string> = {
+  cohort_sector: 'companies in your ARR band and sector',
+  cohort: 'companies in your ARR band',
+  sector: 'companies in your sector',
+  all: 'all assessed companies'
+};
+
+const ordinal = (n: number) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+function PeerComparison({ benchmark }: { benchmark: PeerBenchmark }) {
+  const rows = [
+    ['Overall ASR™', benchmark.overall_ssi] as const,
+    ...Object.entries(benchmark.loop_scores).map(([loop, c]) => [loop, c] as const)
+  ];
+  return (
+    <div className="report-card" style={{ marginBottom: 18 }}>
+      <h2 className="section-title">How You Compare</h2>
+      <p style={{ color: 'var(--muted)', marginTop: 0 }}>
+        Against {benchmark.peer_group.size} {PEER_GROUP_LABELS[benchmark.peer_group.level]}.
+      </p>
+      <table className="metric-table">
+        <thead>
+          <tr>
+            <th>Score</th>
+            <th>Yours</th>
+            <th>Peer median</th>
+            <th>Percentile</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, c]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              <td>{c.score === null ? '—' : Math.round(c.score * 100)}</td>
+              <td>{c.peer_median === null ? '—' : Math.round(c.peer_median * 100)}</td>
+              <td>{c.percentile === null ? '—' : ordinal(c.percentile)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const formatEvidence = (value: unknown) =>
+  typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+
+const api = createClient();
+
+const formatDelta = (value: number) => {
+  const points = Math.round(value * 100);
+  return points > 0 ? `+${points}` : String(points);
+};
+
+function WhatIfPanel({
+  shareToken,
+  recommendations
+}: {
+  shareToken: string;
+  recommendations: Recommendation[];
+}) {
+  const [fixIds, setFixIds] = useState<string[]>([]);
+  const [ratingChanges, setRatingChanges] = useState<Record<string, number>>({});
+  const [lift, setLift] = useState<'min' | 'expected' | 'max'>('expected');
+  const [result, setResult] = useState<SimulateResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleFix = (id: string) =>
+    setFixIds((prev) => (prev.includes(id) ? prev.filter((f) => f !== id) : [...prev, id]));
+
+  const setRating = (loop: string, value: string) =>
+    setRatingChanges((prev) => {
+      const next = { ...prev };
+      if (value) next[loop] = Number(value);
+      else delete next[loop];
+      return next;
+    });
+
+  const runSimulation = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setResult(
+        await api.simulate({
+          share_token: shareToken,
+          fix_ids: fixIds,
+          rating_changes: ratingChanges,
+          lift
+        })
+      );
+    } catch (err: any) {
+      setError(err.message || 'Simulation failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="report-card" style={{ marginBottom: 18 }}>
+      <h2 className="section-title">What-if Simulator</h2>
+      <p style={{ color: 'var(--muted)', marginTop: 0 }}>
+        Pick fixes to ship or loops to re-rate and see how your ASR™ would move.
+      </p>
+      <div className="grid">
+        <div>
+          <div className="tag">Ship these fixes</div>
+          {recommendations.map((rec) => (
+            <label key={rec.id} className="sim-option">
+              <input
+                type="checkbox"
+                checked={fixIds.includes(rec.id)}
+                onChange={() => toggleFix(rec.id)}
+              />
+              {rec.name}
+            </label>
+          ))}
+        </div>
+        <div>
+          <div className="tag">Re-rate loops</div>
+          {LOOPS.map((loop) => (
+            <label key={loop} className="sim-option">
+              <span style={{ minWidth: 90 }}>{loop}</span>
+              <select
+                value={ratingChanges[loop] ?? ''}
+                onChange={(e) => setRating(loop, e.target.value)}
+              >
+                <option value="">No change</option>
+                {[1, 2, 3, 4, 5].map((rating) => (
+                  <option key={rating} value={rating}>
+                    {rating}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <label className="sim-option">
+            <span style={{ minWidth: 90 }}>Lift</span>
+            <select value={lift} onChange={(e) => setLift(e.target.value as typeof lift)}>
+              <option value="min">Conservative</option>
+              <option value="expected">Expected</option>
+              <option value="max">Optimistic</option>
+            </select>
+          </label>
+        </div>
+      </div>
+      <button
+        className="btn-ghost"
+        style={{ marginTop: 12 }}
+        onClick={runSimulation}
+        disabled={loading || (!fixIds.length && !Object.keys(ratingChanges).length)}
+      >
+        {loading ? 'Simulating...' : 'Simulate'}
+      </button>
+      {error && <p style={{ color: 'var(--muted)' }}>{error}</p>}
+      {result && (
+        <div style={{ marginTop: 16 }}>
+          <p style={{ fontSize: 20, margin: '0 0 8px' }}>
+            ASR™ {Math.round(result.before.overall_ssi * 100)} →{' '}
+            <strong>{Math.round(result.after.overall_ssi * 100)}</strong> (
+            {formatDelta(result.delta.overall_ssi)})
+          </p>
+          <p style={{ color: 'var(--muted)', margin: '0 0 8px' }}>
+            {LOOPS.map(
+              (loop) =>
+                `${loop}: ${Math.round(result.after.loop_scores[loop] * 100)}% (${formatDelta(
+                  result.delta.loop_scores[loop] || 0
+                )})`
+            ).join(' · ')}
+          </p>
+          {result.delta.resolved_patterns.length > 0 && (
+            <p style={{ color: 'var(--muted)', margin: '0 0 8px' }}>
+              Resolves: {result.delta.resolved_patterns.join(', ')}
+            </p>
+          )}
+          {result.delta.new_patterns.length > 0 && (
+            <p style={{ color: 'var(--muted)', margin: '0 0 8px' }}>
+              New patterns: {result.delta.new_patterns.join(', ')}
+            </p>
+          )}
+          {result.missing_prerequisites.length > 0 && (
+            <p style={{ color: 'var(--muted)', margin: 0 }}>
+              Assumes prerequisites are in place: {result.missing_prerequisites.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function ReportPage() {
   const [data, setData] = useState<StoredResults | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [linkError, setLinkError] = useState<string | null>(null);
   const [pdfLoading, setPdfLoading] = useState(false);
 
+  // A ?token= link loads the stored report from the server, so it works on any device;
+  // without one, fall back to the results saved by the wizard in this browser.
   useEffect(() => {
-    const raw = localStorage.getItem('wizardResults');
-    if (raw) setData(JSON.parse(raw));
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      const raw = localStorage.getItem('wizardResults');
+      if (raw) setData(JSON.parse(raw));
+      setLoading(false);
+      return;
+    }
+    api
+      .getReport(token)
+      .then((body: SharedReportResponse) =>
+        setData({ ...body, clientName: body.clientName || 'Your Company', share_token: token })
+      )
+      .catch((err) =>
+        setLinkError(
+          err instanceof ApiError && err.status === 410
+            ? 'This report link has expired or been revoked.'
+            : 'This report link is not valid.'
+        )
+      )
+      .finally(() => setLoading(false));
   }, []);
 
   const downloadPdf = async () => {
     if (!data) return;
     setPdfLoading(true);
     try {
-      const res = await fetch('/api/generate-pdf', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data)
-      });
-      if (!res.ok) throw new Error('PDF generation failed');
-      const payload = await res.json();
-      const url = payload.downloadUrl.startsWith('http')
-        ? payload.downloadUrl
-        : `${window.location.origin}${payload.downloadUrl}`;
-      window.open(url, '_blank');
+      const payload = await api.generatePdf(data);
+      window.open(new URL(payload.downloadUrl, window.location.origin).href, '_blank');
     } catch (err) {
       console.error(err);
     } finally {
@@ -44,12 +268,25 @@ export default function ReportPage() {
     }
   };
 
+  if (loading) {
+    return (
+      <main className="report-shell">
+        <div className="report-card">
+          <h1>Report</h1>
+          <p style={{ color: 'var(--muted)' }}>Loading report…</p>
+        </div>
+      </main>
+    );
+  }
+
   if (!data) {
     return (
       <main className="report-shell">
         <div className="report-card">
           <h1>Report</h1>
-          <p style={{ color: 'var(--muted)' }}>No results found. Complete the wizard first.</p>
+          <p style={{ color: 'var(--muted)' }}>
+            {linkError || 'No results found. Complete the wizard first.'}
+          </p>
           <Link href="/wizard" className="btn-ghost">
             Take Assessment
           </Link>
@@ -62,6 +299,7 @@ export default function ReportPage() {
   const pipeline = Math.round(data.loop_scores.Pipeline * 100);
   const conversion = Math.round(data.loop_scores.Conversion * 100);
   const expansion = Math.round(data.loop_scores.Expansion * 100);
+  const economics = Math.round((data.loop_scores.Economics || 0) * 100);
 
   return (
     <main className="report-shell">
@@ -80,24 +318,90 @@ export default function ReportPage() {
             <p style={{ color: 'var(--muted)' }}>
               Generated {new Date(data.timestamp).toLocaleString()}
             </p>
+            {data.benchmark_set && (
+              <p style={{ color: 'var(--muted)', margin: 0 }}>
+                Benchmarked against: {data.benchmark_set.label}
+                {data.benchmark_set.sector ? ` · ${data.benchmark_set.sector}` : ''}
+              </p>
+            )}
           </div>
           <div className="score-block">
             <div className="tag">Loop Scores</div>
             <p style={{ margin: '6px 0' }}>Pipeline: {pipeline}%</p>
             <p style={{ margin: '6px 0' }}>Conversion: {conversion}%</p>
             <p style={{ margin: '6px 0' }}>Expansion: {expansion}%</p>
+            <p style={{ margin: '6px 0' }}>Economics: {economics}%</p>
           </div>
         </div>
       </div>
 
+      {data.peer_benchmark && <PeerComparison benchmark={data.peer_benchmark} />}
+
+      {(data.metric_breakdown || []).length > 0 && (
+        <div className="report-card" style={{ marginBottom: 18 }}>
+          <h2 className="section-title">Metric Breakdown</h2>
+          <p style={{ color: 'var(--muted)', marginTop: 0 }}>
+            Estimated from your ratings. Contribution is each metric&apos;s share of its loop score,
+            in points; highlighted rows are below target.
+          </p>
+          <table className="metric-table">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>Loop</th>
+                <th>Yours</th>
+                <th>Target</th>
+                <th>Contribution</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(data.metric_breakdown || []).map((metric) => (
+                <tr key={metric.key} className={metric.meets_target ? '' : 'below-target'}>
+                  <td>{metric.name}</td>
+                  <td>{metric.loop}</td>
+                  <td>{metric.formatted_value}</td>
+                  <td>{metric.formatted_target ?? '—'}</td>
+                  <td>
+                    {Math.round(metric.contribution * 100)} / {Math.round(metric.weight * 100)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {data.suggested_chapter && (
+        <div className="report-card" style={{ marginBottom: 18 }}>
+          <h2 className="section-title">Suggested Reading</h2>
+          <p style={{ color: 'var(--muted)', margin: 0 }}>
+            Based on your top challenge, start with{' '}
+            <strong>{data.suggested_chapter.replace('_', ' ')}</strong> of The Alpine System.
+          </p>
+        </div>
+      )}
+
       <div className="report-card" style={{ marginBottom: 18 }}>
         <h2 className="section-title">Priority Recommendations</h2>
         <div className="recommendations">
           {(data.priority_recommendations || []).map((rec) => (
-            <div key={rec.name} className="rec-card">
-              <div className="tag">{rec.loop}</div>
+            <div key={rec.id || rec.name} className="rec-card">
+              <div className="tag">
+                {rec.loop}
+                {rec.window ? ` · ${rec.window} days` : ''}
+              </div>
               <h4 style={{ margin: '8px 0' }}>{rec.name}</h4>
               <p style={{ color: 'var(--muted)', margin: 0 }}>{rec.description}</p>
+              {rec.implementation && (
+                <p style={{ color: 'var(--muted)', fontSize: 12, margin: '8px 0 0' }}>
+                  {rec.difficulty} · {rec.implementation}
+                </p>
+              )}
+              {(rec.rationale || []).length > 0 && (
+                <p style={{ color: 'var(--muted)', fontSize: 12, margin: '4px 0 0' }}>
+                  Why: {rec.rationale.join(' · ')}
+                </p>
+              )}
             </div>
           ))}
           {(data.priority_recommendations || []).length === 0 && (
@@ -106,16 +410,56 @@ export default function ReportPage() {
         </div>
       </div>
 
+      {(data.action_plan || []).length > 0 && (
+        <div className="report-card" style={{ marginBottom: 18 }}>
+          <h2 className="section-title">30/60/90 Day Plan</h2>
+          <div className="grid">
+            {(data.action_plan || []).map((step) => (
+              <div key={step.window} className="rec-card">
+                <div className="tag">{step.label}</div>
+                {step.fixes.length === 0 && (
+                  <p style={{ color: 'var(--muted)', margin: '8px 0 0' }}>
+                    Consolidate and measure.
+                  </p>
+                )}
+                {step.fixes.map((fix) => (
+                  <p key={fix.id} style={{ margin: '8px 0 0' }}>
+                    <strong>{fix.name}</strong>
+                    <br />
+                    <span style={{ color: 'var(--muted)', fontSize: 12 }}>
+                      {fix.loop} · {fix.implementation}
+                    </span>
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {data.share_token && (data.priority_recommendations || []).length > 0 && (
+        <WhatIfPanel
+          shareToken={data.share_token}
+          recommendations={data.priority_recommendations || []}
+        />
+      )}
+
       <div className="report-card" style={{ marginBottom: 18 }}>
         <h2 className="section-title">Patterns</h2>
         {(data.detected_patterns || []).length === 0 && (
           <p style={{ color: 'var(--muted)' }}>No patterns detected.</p>
         )}
         {(data.detected_patterns || []).map((pat) => (
-          <div key={pat.pattern} className="rec-card">
-            <div className="tag">{pat.priority}</div>
-            <strong>{pat.pattern}</strong>
+          <div key={pat.id} className="rec-card" style={{ marginBottom: 12 }}>
+            <div className="tag">{pat.severity}</div>
+            <h4 style={{ margin: '8px 0' }}>{pat.name}</h4>
             <p style={{ color: 'var(--muted)', margin: 0 }}>{pat.description}</p>
+            {pat.evidence.length > 0 && (
+              <p style={{ color: 'var(--muted)', fontSize: 12, margin: '8px 0 0' }}>
+                Triggered by:{' '}
+                {pat.evidence.map((e) => `${e.input} = ${formatEvidence(e.actual)}`).join(' · ')}
+              </p>
+            )}
           </div>
         ))}
       </div>
@@ -3,6 +3,7 @@
 import React, { useEffect, useRef, useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
+import { createClient } from '../../app_shared/sdk/asr-client';
 import { WizardResponse } from '../../app_shared/types';
 import '../styles/wizard.css';
 
@@ -30,6 +31,8 @@ const steps: { key: keyof WizardResponse | string; label: string }[] = [
   { key: 'final', label: 'Contact' }
 ];
 
+const api = createClient();
+
 export default function WizardPage() {
   const router = useRouter();
   const [config, setConfig] = useState<WizardConfig | null>(null);
@@ -37,7 +40,10 @@ export default function WizardPage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [answers, setAnswers] = useState<Record<string, string>>({});
+  const [reportConsent, setReportConsent] = useState(false);
   const lastAdvanceRef = useRef<string | null>(null);
+  // Reused while the payload is unchanged, so a retried or double-clicked submit is stored once.
+  const submitKeyRef = useRef<{ body: string; key: string } | null>(null);
 
   useEffect(() => {
     fetch('/wizard_questions.json')
@@ -103,27 +109,33 @@ export default function WizardPage() {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch('/api/wizard', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          answers,
-          client_name: answers.company_name,
-          email: answers.user_email
-        })
-      });
-      if (!response.ok) throw new Error('Submission failed');
-      const data: WizardResponse = await response.json();
+      const request = {
+        answers,
+        client_name: answers.company_name,
+        email: answers.user_email,
+        report_email_consent: Boolean(answers.user_email) && reportConsent
+      };
+      const body = JSON.stringify(request);
+      if (submitKeyRef.current?.body !== body) {
+        submitKeyRef.current = { body, key: crypto.randomUUID() };
+      }
+      const data = await api.submitWizard(request, { idempotencyKey: submitKeyRef.current.key });
       const payload = {
         clientName: answers.company_name || 'Your Company',
+        share_token: data.share?.token,
         overall_ssi: data.overall_ssi,
         loop_scores: data.loop_scores,
+        benchmark_set: data.benchmark_set,
+        suggested_chapter: data.suggested_chapter,
+        metric_breakdown: data.metric_breakdown,
         priority_recommendations: data.priority_recommendations,
+        action_plan: data.action_plan,
         detected_patterns: data.detected_patterns,
+        peer_benchmark: data.peer_benchmark,
         timestamp: new Date().toISOString()
       };
       localStorage.setItem('wizardResults', JSON.stringify(payload));
-      router.push('/report');
+      router.push(data.share ? data.share.report_url : '/report');
     } catch (err: any) {
       setError(err.message || 'Failed to submit');
     } finally {
@@ -263,6 +275,15 @@ export default function WizardPage() {
                       <p style={{ color: 'var(--muted)', fontSize: 12, marginTop: 6 }}>
                         Optional: for sending your PDF report. We do not share your data.
                       </p>
+                      <label className="consent-option">
+                        <input
+                          type="checkbox"
+                          checked={reportConsent}
+                          disabled={!answers.user_email}
+                          onChange={(e) => setReportConsent(e.target.checked)}
+                        />
+                        Email me my PDF report
+                      </label>
                     </div>
                   </div>
                 )}
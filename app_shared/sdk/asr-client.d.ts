@@ -0,0 +1,48 @@
+// Generated by scripts/generate-sdk.js from app_shared/types.ts. Do not edit by hand;
+// run `npm run sdk:generate` after changing the schemas.
+import type {
+  ErrorResponse,
+  GeneratePdfResponse,
+  PdfJobResponse,
+  SharedReportResponse,
+  SimulateRequest,
+  SimulateResponse,
+  WizardRequest,
+  WizardResponse
+} from '../types';
+
+export declare const SDK_VERSION: string;
+export declare const SCHEMA_HASH: string;
+export declare const LOOPS: readonly ['Pipeline', 'Conversion', 'Expansion', 'Economics'];
+export type Loop = (typeof LOOPS)[number];
+
+export type EndpointName = 'submitWizard' | 'getReport' | 'simulate' | 'generatePdf' | 'getPdfJob';
+export declare const ENDPOINTS: Record<
+  EndpointName,
+  { method: 'GET' | 'POST'; path: string; request: string | null; response: string }
+>;
+
+export declare class ApiError extends Error {
+  status: number;
+  body: ErrorResponse | null;
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  fetch?: (input: string, init?: RequestInit) => Promise<Response>;
+  pollMs?: number;
+}
+
+export interface AsrClient {
+  url(pathname: string): string;
+  submitWizard(
+    body: WizardRequest,
+    options?: { idempotencyKey?: string }
+  ): Promise<WizardResponse>;
+  getReport(token: string): Promise<SharedReportResponse>;
+  simulate(body: SimulateRequest): Promise<SimulateResponse>;
+  generatePdf(report: object): Promise<GeneratePdfResponse>;
+  getPdfJob(id: string): Promise<PdfJobResponse>;
+}
+
+export declare function createClient(options?: ClientOptions): AsrClient;
@@ -0,0 +1,138 @@
+// Generated by scripts/generate-sdk.js from app_shared/types.ts. Do not edit by hand;
+// run `npm run sdk:generate` after changing the schemas.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AsrClient = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  var SDK_VERSION = "1.2.0";
+  var SCHEMA_HASH = "892e04a9c44b";
+
+  var LOOPS = ["Pipeline","Conversion","Expansion","Economics"];
+
+  var ENDPOINTS = {
+    "submitWizard": {
+      "method": "POST",
+      "path": "/api/v1/submissions",
+      "request": "wizardRequest",
+      "response": "wizardResponse"
+    },
+    "getReport": {
+      "method": "GET",
+      "path": "/api/v1/reports/:token",
+      "request": null,
+      "response": "sharedReportResponse"
+    },
+    "simulate": {
+      "method": "POST",
+      "path": "/api/v1/simulations",
+      "request": "simulateRequest",
+      "response": "simulateResponse"
+    },
+    "generatePdf": {
+      "method": "POST",
+      "path": "/api/generate-pdf",
+      "request": null,
+      "response": "generatePdfResponse"
+    },
+    "getPdfJob": {
+      "method": "GET",
+      "path": "/api/generate-pdf/jobs/:id",
+      "request": null,
+      "response": "pdfJobResponse"
+    }
+  };
+
+  class ApiError extends Error {
+    constructor(status, body) {
+      super((body && body.error) || 'Request failed with status ' + status);
+      this.name = 'ApiError';
+      this.status = status;
+      this.body = body;
+    }
+  }
+
+  function sleep(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  // options.baseUrl defaults to the current origin; pass options.fetch outside the browser.
+  // options.pollMs is how often a queued PDF render is checked (default 1000).
+  function createClient(options) {
+    var opts = options || {};
+    var pollMs = opts.pollMs || 1000;
+    var baseUrl = (opts.baseUrl || '').replace(/\/$/, '');
+    var fetchImpl =
+      opts.fetch ||
+      function (input, init) {
+        return fetch(input, init);
+      };
+
+    function url(pathname) {
+      return /^https?:\/\//.test(pathname) ? pathname : baseUrl + pathname;
+    }
+
+    async function call(name, params, body, headers) {
+      var endpoint = ENDPOINTS[name];
+      var pathname = endpoint.path.replace(/:(\w+)/g, function (_, key) {
+        return encodeURIComponent(params[key]);
+      });
+      var init = { method: endpoint.method, headers: Object.assign({ Accept: 'application/json' }, headers) };
+      if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+      var res = await fetchImpl(url(pathname), init);
+      var text = await res.text();
+      var data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (err) {
+        data = null;
+      }
+      if (!res.ok) throw new ApiError(res.status, data);
+      return data;
+    }
+
+    return {
+      url: url,
+      submitWizard: function (body, callOptions) {
+        var key = callOptions && callOptions.idempotencyKey;
+        return call('submitWizard', {}, body, key ? { 'Idempotency-Key': key } : {});
+      },
+      getReport: function (token) {
+        return call('getReport', { token: token });
+      },
+      simulate: function (body) {
+        return call('simulate', {}, body);
+      },
+      getPdfJob: function (id) {
+        return call('getPdfJob', { id: id });
+      },
+      // Resolves with the download once rendered, polling while the render is queued. A
+      // saturated renderer rejects with ApiError status 429.
+      generatePdf: async function (report) {
+        var data = await call('generatePdf', {}, report);
+        while (data && data.job_id) {
+          if (data.status === 'done') return { filename: data.filename, downloadUrl: data.downloadUrl };
+          if (data.status === 'failed') throw new ApiError(503, { error: data.error });
+          await sleep(pollMs);
+          data = await call('getPdfJob', { id: data.job_id });
+        }
+        return data;
+      }
+    };
+  }
+
+  return {
+    SDK_VERSION: SDK_VERSION,
+    SCHEMA_HASH: SCHEMA_HASH,
+    LOOPS: LOOPS,
+    ENDPOINTS: ENDPOINTS,
+    ApiError: ApiError,
+    createClient: createClient
+  };
+});
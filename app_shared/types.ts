@@ -1,10 +1,13 @@
 import { z } from 'zod';
 
+// The loop questions are answered on the wizard's 1-5 scale.
+export const ratingSchema = z.enum(['1', '2', '3', '4', '5']);
+
 export const answerSchema = z.object({
-  question_1_pipeline_health: z.string().optional(),
-  question_2_sales_conversion: z.string().optional(),
-  question_3_customer_success: z.string().optional(),
-  question_4_economics_and_efficiency: z.string().optional(),
+  question_1_pipeline_health: ratingSchema.optional(),
+  question_2_sales_conversion: ratingSchema.optional(),
+  question_3_customer_success: ratingSchema.optional(),
+  question_4_economics_and_efficiency: ratingSchema.optional(),
   question_5_top_challenge: z.string().optional(),
   arr: z.string().optional(),
   employees: z.string().optional(),
@@ -17,7 +20,8 @@ export const wizardRequestSchema = z.object({
   answers: answerSchema,
   client_name: z.string().optional(),
   client_id: z.string().optional(),
-  email: z.string().optional()
+  email: z.string().optional(),
+  report_email_consent: z.boolean().optional()
 });
 
 export type WizardRequest = z.infer<typeof wizardRequestSchema>;
@@ -25,33 +29,277 @@ export type WizardRequest = z.infer<typeof wizardRequestSchema>;
 export const loopScoresSchema = z.object({
   Pipeline: z.number(),
   Conversion: z.number(),
-  Expansion: z.number()
+  Expansion: z.number(),
+  Economics: z.number()
 });
 
-export const wizardResponseSchema = z.object({
-  success: z.boolean(),
-  client_id: z.string().optional(),
-  overall_ssi: z.number(),
-  loop_scores: loopScoresSchema,
-  priority_recommendations: z
-    .array(
+export const benchmarkSetSchema = z.object({
+  id: z.string(),
+  version: z.string(),
+  cohort: z.string().nullable(),
+  sector: z.string().nullable(),
+  label: z.string()
+});
+
+export type BenchmarkSet = z.infer<typeof benchmarkSetSchema>;
+
+export const metricBreakdownSchema = z.object({
+  key: z.string(),
+  name: z.string(),
+  loop: z.string(),
+  value: z.number(),
+  formatted_value: z.string(),
+  target: z.number().nullable(),
+  formatted_target: z.string().nullable(),
+  gap: z.number().nullable(),
+  meets_target: z.boolean(),
+  score: z.number(),
+  weight: z.number(),
+  contribution: z.number()
+});
+
+export type MetricBreakdown = z.infer<typeof metricBreakdownSchema>;
+
+export const patternEvidenceSchema = z.object({
+  input: z.string(),
+  operator: z.string(),
+  threshold: z.unknown(),
+  actual: z.unknown()
+});
+
+export const detectedPatternSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  severity: z.enum(['critical', 'high', 'medium', 'low']),
+  description: z.string(),
+  evidence: z.array(patternEvidenceSchema),
+  fix_ids: z.array(z.string())
+});
+
+export type DetectedPattern = z.infer<typeof detectedPatternSchema>;
+
+export const planWindowSchema = z.union([z.literal(30), z.literal(60), z.literal(90)]);
+
+export const recommendationSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  loop: z.string(),
+  description: z.string(),
+  impact: z.string(),
+  difficulty: z.string(),
+  implementation: z.string(),
+  targets_metrics: z.array(z.string()),
+  prerequisites: z.array(z.string()),
+  expected_lift: z.object({ min: z.number(), max: z.number() }),
+  window: planWindowSchema,
+  rationale: z.array(z.string())
+});
+
+export type Recommendation = z.infer<typeof recommendationSchema>;
+
+export const actionPlanSchema = z.array(
+  z.object({
+    window: planWindowSchema,
+    label: z.string(),
+    fixes: z.array(
       z.object({
+        id: z.string(),
         name: z.string(),
-        score: z.number(),
         loop: z.string(),
-        description: z.string()
+        implementation: z.string(),
+        difficulty: z.string()
       })
     )
+  })
+);
+
+export type ActionPlan = z.infer<typeof actionPlanSchema>;
+
+const peerComparisonSchema = z.object({
+  score: z.number().nullable(),
+  percentile: z.number().nullable(),
+  peer_size: z.number(),
+  peer_median: z.number().nullable()
+});
+
+export const peerBenchmarkSchema = z.object({
+  peer_group: z.object({
+    level: z.enum(['cohort_sector', 'cohort', 'sector', 'all']),
+    cohort: z.string().nullable(),
+    sector: z.string().nullable(),
+    size: z.number()
+  }),
+  min_group_size: z.number(),
+  overall_ssi: peerComparisonSchema,
+  loop_scores: z.record(peerComparisonSchema)
+});
+
+export type PeerBenchmark = z.infer<typeof peerBenchmarkSchema>;
+
+export const reportShareSchema = z.object({
+  token: z.string(),
+  report_url: z.string(),
+  expires_at: z.string().nullable()
+});
+
+export type ReportShare = z.infer<typeof reportShareSchema>;
+
+export const wizardResponseSchema = z.object({
+  success: z.boolean(),
+  client_id: z.string().optional(),
+  overall_ssi: z.number(),
+  loop_scores: loopScoresSchema,
+  scoring_model_version: z.string().optional(),
+  benchmark_set: benchmarkSetSchema.optional(),
+  suggested_chapter: z.string().nullable().optional(),
+  metric_breakdown: z.array(metricBreakdownSchema).optional(),
+  priority_recommendations: z.array(recommendationSchema).optional(),
+  action_plan: actionPlanSchema.optional(),
+  detected_patterns: z.array(detectedPatternSchema).optional(),
+  peer_benchmark: peerBenchmarkSchema.nullable().optional(),
+  share: reportShareSchema.nullable().optional()
+});
+
+export type WizardResponse = z.infer<typeof wizardResponseSchema>;
+
+// GET /api/reports/:token
+export const sharedReportResponseSchema = z.object({
+  success: z.boolean(),
+  clientName: z.string().optional(),
+  timestamp: z.string(),
+  overall_ssi: z.number(),
+  loop_scores: loopScoresSchema,
+  scoring_model_version: z.string().optional(),
+  benchmark_set: benchmarkSetSchema.optional(),
+  suggested_chapter: z.string().nullable().optional(),
+  metric_breakdown: z.array(metricBreakdownSchema),
+  priority_recommendations: z.array(recommendationSchema),
+  action_plan: actionPlanSchema,
+  detected_patterns: z.array(detectedPatternSchema),
+  peer_benchmark: peerBenchmarkSchema.nullable(),
+  share: z.object({ expires_at: z.string().nullable() })
+});
+
+export type SharedReportResponse = z.infer<typeof sharedReportResponseSchema>;
+
+export const simulateRequestSchema = z
+  .object({
+    // A report share token (public), or a client_id (admin only).
+    share_token: z.string().optional(),
+    client_id: z.string().optional(),
+    answers: answerSchema.optional(),
+    fix_ids: z.array(z.string()).optional(),
+    rating_changes: z.record(z.number().int().min(1).max(5)).optional(),
+    lift: z.enum(['min', 'expected', 'max']).optional()
+  })
+  .refine((body) => body.share_token || body.client_id || body.answers, {
+    message: 'Provide share_token, client_id or answers'
+  });
+
+export type SimulateRequest = z.infer<typeof simulateRequestSchema>;
+
+const simulationSnapshotSchema = z.object({
+  overall_ssi: z.number(),
+  loop_scores: loopScoresSchema,
+  detected_patterns: z.array(detectedPatternSchema)
+});
+
+export const simulateResponseSchema = z.object({
+  success: z.boolean(),
+  scoring_model_version: z.string(),
+  applied: z.object({
+    fix_ids: z.array(z.string()),
+    rating_changes: z.record(z.number()),
+    lift: z.enum(['min', 'expected', 'max'])
+  }),
+  missing_prerequisites: z.array(z.string()),
+  before: simulationSnapshotSchema,
+  after: simulationSnapshotSchema,
+  delta: z.object({
+    overall_ssi: z.number(),
+    loop_scores: z.record(z.number()),
+    resolved_patterns: z.array(z.string()),
+    new_patterns: z.array(z.string())
+  })
+});
+
+export type SimulateResponse = z.infer<typeof simulateResponseSchema>;
+
+// POST /api/generate-pdf
+export const generatePdfResponseSchema = z.object({
+  filename: z.string(),
+  downloadUrl: z.string()
+});
+
+export type GeneratePdfResponse = z.infer<typeof generatePdfResponseSchema>;
+
+// 202 from POST /api/generate-pdf while the render waits for a browser, and
+// GET /api/generate-pdf/jobs/:id. `position` is the 1-based place in the queue.
+export const pdfJobResponseSchema = z.object({
+  job_id: z.string(),
+  status: z.enum(['queued', 'rendering', 'done', 'failed']),
+  position: z.number().int().positive().optional(),
+  status_url: z.string(),
+  filename: z.string().optional(),
+  downloadUrl: z.string().optional(),
+  error: z.string().optional()
+});
+
+export type PdfJobResponse = z.infer<typeof pdfJobResponseSchema>;
+
+// Some errors carry extra context, e.g. `status` on 410 or `client_id` on 409.
+export const errorResponseSchema = z
+  .object({
+    error: z.string(),
+    details: z.unknown().optional()
+  })
+  .passthrough();
+
+export type ErrorResponse = z.infer<typeof errorResponseSchema>;
+
+const distributionSchema = z.object({
+  n: z.number(),
+  mean: z.number().nullable(),
+  median: z.number().nullable(),
+  p25: z.number().nullable(),
+  p75: z.number().nullable(),
+  p90: z.number().nullable()
+});
+
+export type Distribution = z.infer<typeof distributionSchema>;
+
+const analyticsGroupSchema = z.object({
+  count: z.number(),
+  suppressed: z.boolean().optional(),
+  overall_ssi: distributionSchema.optional(),
+  loop_scores: z.record(distributionSchema).optional(),
+  patterns: z
+    .array(z.object({ id: z.string(), name: z.string(), count: z.number(), share: z.number() }))
     .optional(),
-  detected_patterns: z
-    .array(
-      z.object({
-        pattern: z.string(),
-        description: z.string(),
-        priority: z.string()
-      })
-    )
+  top_challenges: z
+    .array(z.object({ value: z.string(), count: z.number(), share: z.number() }))
     .optional()
 });
 
-export type WizardResponse = z.infer<typeof wizardResponseSchema>;
+export type AnalyticsGroup = z.infer<typeof analyticsGroupSchema>;
+
+export const analyticsGroupBySchema = z.enum(['cohort', 'sector', 'employees', 'week']);
+
+export const analyticsResponseSchema = z.object({
+  filters: z.record(z.union([z.string(), z.number()])),
+  generated_at: z.string(),
+  group_by: analyticsGroupBySchema.nullable(),
+  min_group_size: z.number(),
+  overall: analyticsGroupSchema,
+  groups: z.array(analyticsGroupSchema.extend({ key: z.string() })).nullable(),
+  weekly_volume: z.array(
+    z.object({
+      week: z.string(),
+      count: z.number(),
+      change: z.number().nullable(),
+      change_pct: z.number().nullable()
+    })
+  )
+});
+
+export type AnalyticsResponse = z.infer<typeof analyticsResponseSchema>;
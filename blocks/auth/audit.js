@@ -0,0 +1,47 @@
+const { getDb } = require('../storage/db');
+const { sendErrorAlert } = require('../communication/error-alert');
+
+function recordAudit({ actor, role, action, resource, status, ip, detail }) {
+  try {
+    getDb()
+      .prepare(
+        `INSERT INTO audit_log (at, actor, role, action, resource, status, ip, detail)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        new Date().toISOString(),
+        actor,
+        role ?? null,
+        action,
+        resource ?? null,
+        status ?? null,
+        ip ?? null,
+        detail === undefined ? null : JSON.stringify(detail)
+      );
+  } catch (err) {
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'audit' } });
+  }
+}
+
+function listAudit({ actor, action, limit = 100, offset = 0 } = {}) {
+  const clauses = [];
+  const params = { limit, offset };
+  if (actor) {
+    clauses.push('actor = @actor');
+    params.actor = actor;
+  }
+  if (action) {
+    clauses.push('action = @action');
+    params.action = action;
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const db = getDb();
+  const total = db.prepare(`SELECT COUNT(*) FROM audit_log ${where}`).pluck().get(params);
+  const entries = db
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all(params)
+    .map((entry) => ({ ...entry, detail: entry.detail ? JSON.parse(entry.detail) : null }));
+  return { entries, total };
+}
+
+module.exports = { recordAudit, listAudit };
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Stored as scrypt$N$r$p$salt$hash so the cost parameters can be raised without breaking old hashes.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const expectedBuf = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuf.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedBuf);
+}
+
+// Session tokens and API keys are high-entropy random values, so a fast digest is enough to store them.
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// asr_<prefix>_<secret>; the prefix is stored in clear to look the key up.
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `asr_${prefix}_${generateToken()}`;
+  return { key, prefix, hash: digest(key) };
+}
+
+function parseApiKey(key) {
+  const match = /^asr_([0-9a-f]{12})_[\w-]+$/.exec(key || '');
+  return match ? { prefix: match[1], hash: digest(key) } : null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  digest,
+  safeEqual,
+  generateToken,
+  generateApiKey,
+  parseApiKey
+};
@@ -0,0 +1,72 @@
+const env = require('../../config/env');
+const { findSession, findApiKey } = require('./store');
+const { recordAudit } = require('./audit');
+
+const SESSION_COOKIE = 'asr_session';
+const ROLE_RANK = { viewer: 1, admin: 2 };
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').find((part) => part.trim().startsWith(`${name}=`));
+  if (!match) return null;
+  // A malformed value (e.g. a stray `%`) is treated as no cookie rather than a 500 on every route.
+  try {
+    return decodeURIComponent(match.trim().slice(name.length + 1));
+  } catch {
+    return null;
+  }
+}
+
+function sessionCookieOptions(expiresAt) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: env.nodeEnv === 'production',
+    path: '/',
+    ...(expiresAt ? { expires: expiresAt } : {})
+  };
+}
+
+// Resolves `Authorization: Bearer <api key>` or the session cookie into req.auth (null when anonymous).
+function authenticate(req, _res, next) {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  req.auth = bearer ? findApiKey(bearer) : findSession(readCookie(req, SESSION_COOKIE));
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+    if (ROLE_RANK[req.auth.role] < ROLE_RANK[role]) {
+      return res.status(403).json({ error: 'Insufficient role', required: role });
+    }
+    next();
+  };
+}
+
+// Writes an audit_log entry once the response has been sent, including its status code.
+function audited(action) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      recordAudit({
+        actor: req.auth ? `${req.auth.type}:${req.auth.name}` : 'anonymous',
+        role: req.auth?.role,
+        action,
+        resource: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  readCookie,
+  sessionCookieOptions,
+  authenticate,
+  requireRole,
+  audited
+};
@@ -0,0 +1,161 @@
+const env = require('../../config/env');
+const { getDb } = require('../storage/db');
+const {
+  hashPassword,
+  verifyPassword,
+  digest,
+  safeEqual,
+  generateToken,
+  generateApiKey,
+  parseApiKey
+} = require('./credentials');
+
+const ROLES = ['viewer', 'admin'];
+
+function assertRole(role) {
+  if (!ROLES.includes(role))
+    throw new Error(`Unknown role: ${role} (expected ${ROLES.join(' or ')})`);
+}
+
+async function createUser({ email, password, role }) {
+  assertRole(role);
+  if (!password || password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+  const passwordHash = await hashPassword(password);
+  const { lastInsertRowid } = getDb()
+    .prepare('INSERT INTO users (email, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+    .run(email, passwordHash, role, new Date().toISOString());
+  return { id: Number(lastInsertRowid), email, role };
+}
+
+function listUsers() {
+  return getDb()
+    .prepare('SELECT id, email, role, created_at, disabled_at FROM users ORDER BY id')
+    .all();
+}
+
+function countUsers() {
+  return getDb().prepare('SELECT COUNT(*) FROM users').pluck().get();
+}
+
+function disableUser(email) {
+  const db = getDb();
+  const user = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
+  if (!user) return false;
+  db.transaction(() => {
+    db.prepare('UPDATE users SET disabled_at = ? WHERE id = ?').run(
+      new Date().toISOString(),
+      user.id
+    );
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+  })();
+  return true;
+}
+
+// Returns the user for a valid email/password pair, otherwise null.
+async function authenticateUser(email, password) {
+  const user = getDb()
+    .prepare('SELECT * FROM users WHERE email = ? AND disabled_at IS NULL')
+    .get(email || '');
+  if (!user) {
+    // Spend the same scrypt time as a real check so unknown emails are not distinguishable.
+    await hashPassword(password || '');
+    return null;
+  }
+  if (!(await verifyPassword(password || '', user.password_hash))) return null;
+  return { id: user.id, email: user.email, role: user.role };
+}
+
+function createSession(userId) {
+  const token = generateToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + env.sessionTtlHours * 60 * 60 * 1000);
+  const db = getDb();
+  db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(now.toISOString());
+  db.prepare(
+    'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)'
+  ).run(digest(token), userId, now.toISOString(), expiresAt.toISOString());
+  return { token, expiresAt };
+}
+
+function findSession(token) {
+  if (!token) return null;
+  const row = getDb()
+    .prepare(
+      `SELECT users.id, users.email, users.role FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.token_hash = ? AND sessions.expires_at > ? AND users.disabled_at IS NULL`
+    )
+    .get(digest(token), new Date().toISOString());
+  return row ? { type: 'session', id: row.id, name: row.email, role: row.role } : null;
+}
+
+function deleteSession(token) {
+  if (token) getDb().prepare('DELETE FROM sessions WHERE token_hash = ?').run(digest(token));
+}
+
+// The plaintext key is only returned here; it cannot be recovered later.
+function createApiKey({ name, role }) {
+  assertRole(role);
+  const { key, prefix, hash } = generateApiKey();
+  const { lastInsertRowid } = getDb()
+    .prepare(
+      'INSERT INTO api_keys (name, key_prefix, key_hash, role, created_at) VALUES (?, ?, ?, ?, ?)'
+    )
+    .run(name, prefix, hash, role, new Date().toISOString());
+  return { id: Number(lastInsertRowid), name, role, key };
+}
+
+function listApiKeys() {
+  return getDb()
+    .prepare(
+      'SELECT id, name, key_prefix, role, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id'
+    )
+    .all();
+}
+
+function revokeApiKey(id) {
+  return (
+    getDb()
+      .prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), id).changes > 0
+  );
+}
+
+function findApiKey(key) {
+  const parsed = parseApiKey(key);
+  if (!parsed) return null;
+  const db = getDb();
+  const row = db
+    .prepare('SELECT * FROM api_keys WHERE key_prefix = ? AND revoked_at IS NULL')
+    .get(parsed.prefix);
+  if (!row || !safeEqual(row.key_hash, parsed.hash)) return null;
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(
+    new Date().toISOString(),
+    row.id
+  );
+  return { type: 'api_key', id: row.id, name: row.name, role: row.role };
+}
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no accounts exist yet.
+async function bootstrapAdmin() {
+  if (!env.adminEmail || !env.adminPassword || countUsers() > 0) return null;
+  return createUser({ email: env.adminEmail, password: env.adminPassword, role: 'admin' });
+}
+
+module.exports = {
+  ROLES,
+  createUser,
+  listUsers,
+  disableUser,
+  authenticateUser,
+  createSession,
+  findSession,
+  deleteSession,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  bootstrapAdmin
+};
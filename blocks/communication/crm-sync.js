@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const env = require('../../config/env');
+const { findByClientId } = require('../storage/submissions');
+const { leadFields, loadMapping, mapObject } = require('./crm/mapping');
+const hubspot = require('./crm/hubspot');
+const salesforce = require('./crm/salesforce');
+const { enqueue } = require('./outbound-queue');
+const { sendErrorAlert } = require('./error-alert');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
+
+const CRM_SYNC_JOB = 'crm.sync';
+
+// Every adapter implements { name, defaultBaseUrl, buildRequests({ contact, company }) }.
+// Requests are { method, path, body?, ref?, resultId?(body), check?(body) }: a request with a
+// `ref` stores resultId(body) so later paths can use it as `{ref}`.
+const adapters = { hubspot, salesforce };
+
+const emailSchema = z.string().email();
+
+// Configuration problems will not fix themselves, so they skip the retries.
+const configError = (message) => Object.assign(new Error(message), { permanent: true });
+
+function isEnabled() {
+  return Boolean(env.crmProvider);
+}
+
+function getAdapter() {
+  const adapter = adapters[env.crmProvider];
+  if (!adapter) throw configError(`Unknown CRM_PROVIDER: ${env.crmProvider}`);
+  return adapter;
+}
+
+/**
+ * Queues a CRM sync for a submission with an email. Returns the job id, or null when the
+ * sync is off or there is no email. Never throws: the submission is already stored.
+ */
+function queueCrmSync(submission) {
+  if (!isEnabled() || !emailSchema.safeParse(submission.email).success) return null;
+  try {
+    return enqueue(CRM_SYNC_JOB, { client_id: submission.client_id });
+  } catch (err) {
+    sendErrorAlert({
+      message: err.message,
+      stack: err.stack,
+      meta: { scope: 'crm-sync', client_id: submission.client_id }
+    });
+    return null;
+  }
+}
+
+// Contact and company records for a submission under the provider's field mapping.
+function buildRecords(submission) {
+  let mapping;
+  try {
+    mapping = loadMapping(env.crmProvider);
+  } catch (err) {
+    err.permanent = true;
+    throw err;
+  }
+  const fields = leadFields(submission);
+  return {
+    contact: mapObject(mapping.contact, fields),
+    company: mapObject(mapping.company, fields)
+  };
+}
+
+function writeDryRun(adapter, submission, requests) {
+  fs.mkdirSync(env.crmDryRunDir, { recursive: true });
+  const file = path.join(
+    env.crmDryRunDir,
+    `${Date.now()}-${adapter.name}-${submission.client_id}.json`
+  );
+  const record = {
+    provider: adapter.name,
+    client_id: submission.client_id,
+    base_url: env.crmBaseUrl || adapter.defaultBaseUrl || null,
+    requests
+  };
+  fs.writeFileSync(file, `${JSON.stringify(record, null, 2)}\n`);
+  return file;
+}
+
+// 2xx passes; 408, 429, 5xx and network errors are retried, any other status is permanent.
+async function send(adapter, baseUrl, request, ids) {
+  const requestPath = request.path.replace(/\{(\w+)\}/g, (_, ref) => encodeURIComponent(ids[ref]));
+  const res = await fetch(`${baseUrl}${requestPath}`, {
+    method: request.method,
+    headers: {
+      Authorization: `Bearer ${env.crmAccessToken}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    },
+    body: request.body === undefined ? undefined : JSON.stringify(request.body),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(env.crmTimeoutMs)
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    const err = new Error(
+      `${adapter.name} answered ${res.status} for ${request.method} ${requestPath}: ${text.slice(0, 300)}`
+    );
+    err.permanent = res.status < 500 && ![408, 429].includes(res.status);
+    throw err;
+  }
+  const body = text ? JSON.parse(text) : null;
+  if (request.check) request.check(body);
+  return body;
+}
+
+/**
+ * Upserts a submission's contact and company in the configured CRM. With `dryRun` (default
+ * CRM_DRY_RUN) the requests are written to CRM_DRY_RUN_DIR instead and the file is returned.
+ */
+async function syncSubmission(submission, { dryRun = env.crmDryRun } = {}) {
+  const adapter = getAdapter();
+  const records = buildRecords(submission);
+  if (!records.contact) {
+    throw configError(`Submission ${submission.client_id} has no value for the contact id field`);
+  }
+  const requests = adapter.buildRequests(records);
+  if (dryRun) {
+    return { dry_run: true, file: writeDryRun(adapter, submission, requests) };
+  }
+
+  const baseUrl = (env.crmBaseUrl || adapter.defaultBaseUrl).replace(/\/$/, '');
+  if (!baseUrl) throw configError(`CRM_BASE_URL is required for ${adapter.name}`);
+  if (!env.crmAccessToken) throw configError('CRM_ACCESS_TOKEN is not set');
+  const ids = {};
+  for (const request of requests) {
+    const body = await send(adapter, baseUrl, request, ids);
+    if (request.ref) ids[request.ref] = request.resultId ? request.resultId(body) : undefined;
+  }
+  return { dry_run: false, ids };
+}
+
+// Queue handler. Reads the submission when the job runs, so a deleted lead is not synced.
+async function deliverCrmSync({ client_id: clientId }) {
+  const submission = findByClientId(clientId);
+  if (!submission) return;
+  await syncSubmission(submission);
+}
+
+module.exports = {
+  CRM_SYNC_JOB,
+  isEnabled,
+  queueCrmSync,
+  buildRecords,
+  syncSubmission,
+  deliverCrmSync
+};
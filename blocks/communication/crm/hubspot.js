@@ -0,0 +1,27 @@
+// HubSpot CRM API: upsert the company and the contact by their id properties, then associate
+// them. Custom properties (asr_*) must exist in the portal before the first sync, and an
+// upsert only works on a property with unique values (`email`, or `asr_domain` created with
+// "Require unique values"); the built-in company `domain` is not one.
+
+const DEFAULT_BASE_URL = 'https://api.hubapi.com';
+
+const upsert = (objectType, record) => ({
+  method: 'POST',
+  path: `/crm/v3/objects/${objectType}/batch/upsert`,
+  body: { inputs: [{ idProperty: record.idField, id: record.id, properties: record.properties }] },
+  resultId: (body) => body.results[0].id
+});
+
+function buildRequests({ contact, company }) {
+  if (!company) return [{ ref: 'contact', ...upsert('contacts', contact) }];
+  return [
+    { ref: 'company', ...upsert('companies', company) },
+    { ref: 'contact', ...upsert('contacts', contact) },
+    {
+      method: 'PUT',
+      path: '/crm/v4/objects/contacts/{contact}/associations/default/companies/{company}'
+    }
+  ];
+}
+
+module.exports = { name: 'hubspot', defaultBaseUrl: DEFAULT_BASE_URL, buildRequests };
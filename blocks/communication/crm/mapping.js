@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const env = require('../../../config/env');
+const { crmMappingSchema } = require('../../shared/schemas');
+const { summarize, patternIds } = require('../../storage/query');
+
+// Fields a mapping can read from a submission; see leadFields().
+const LEAD_FIELDS = [
+  'client_id',
+  'timestamp',
+  'email',
+  'email_name',
+  'email_domain',
+  'client_name',
+  'cohort',
+  'sector',
+  'employees',
+  'top_challenge',
+  'overall_ssi',
+  'pipeline_score',
+  'conversion_score',
+  'expansion_score',
+  'economics_score',
+  'scoring_model_version',
+  'pattern_ids',
+  'report_email_consent'
+];
+
+// Mailbox providers whose domain says nothing about the lead's company.
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.de',
+  'gmx.net',
+  'web.de'
+]);
+
+const FORMATS = {
+  percent: (value) => Math.round(value * 100),
+  list: (value) => value.join(';'),
+  date: (value) => value.slice(0, 10)
+};
+
+/**
+ * The values a CRM mapping can use, flattened from a stored submission. Scores and patterns
+ * come from the latest score revision. `email_domain` is null for free-mail addresses, so
+ * those leads get a contact but no company.
+ */
+function leadFields(submission) {
+  const row = summarize(submission);
+  const [emailName, domain] = row.email ? row.email.toLowerCase().split('@') : [];
+  return {
+    client_id: row.client_id,
+    timestamp: row.timestamp,
+    email: row.email,
+    email_name: emailName ?? null,
+    email_domain: domain && !FREE_MAIL_DOMAINS.has(domain) ? domain : null,
+    client_name: row.client_name,
+    cohort: row.cohort,
+    sector: row.sector,
+    employees: row.employees,
+    top_challenge: row.top_challenge,
+    overall_ssi: row.overall_ssi,
+    pipeline_score: row.pipeline_score,
+    conversion_score: row.conversion_score,
+    expansion_score: row.expansion_score,
+    economics_score: row.economics_score,
+    scoring_model_version: row.scoring_model_version,
+    pattern_ids: patternIds(submission),
+    report_email_consent: submission.consent?.report_email === true
+  };
+}
+
+function mappingPath(provider) {
+  return env.crmMappingPath || path.join(process.cwd(), 'config', 'crm', `${provider}.json`);
+}
+
+// Reads and validates the field mapping; unknown lead fields are rejected up front.
+function loadMapping(provider) {
+  const filePath = mappingPath(provider);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No CRM mapping at ${filePath}`);
+  }
+  const mapping = crmMappingSchema.parse(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  for (const [object, { fields }] of Object.entries(mapping)) {
+    for (const [field, spec] of Object.entries(fields)) {
+      const source = typeof spec === 'string' ? spec : spec.source;
+      if (source !== undefined && !LEAD_FIELDS.includes(source)) {
+        throw new Error(`${filePath}: ${object}.${field} maps unknown lead field "${source}"`);
+      }
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Applies one object's mapping: `{ idField, id, properties }`, or null when the id field has
+ * no value. Empty values are left out so a sync never blanks a field someone set by hand.
+ */
+function mapObject(objectMapping, fields) {
+  const properties = {};
+  for (const [field, spec] of Object.entries(objectMapping.fields)) {
+    let value;
+    if (typeof spec === 'string') {
+      value = fields[spec];
+    } else if ('value' in spec) {
+      value = spec.value;
+    } else {
+      value = fields[spec.source];
+      if (value !== null && value !== undefined && spec.format) value = FORMATS[spec.format](value);
+    }
+    if (value === null || value === undefined || value === '') continue;
+    properties[field] = value;
+  }
+  const id = properties[objectMapping.id];
+  return id === undefined ? null : { idField: objectMapping.id, id: String(id), properties };
+}
+
+module.exports = { LEAD_FIELDS, leadFields, loadMapping, mapObject };
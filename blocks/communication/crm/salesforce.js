@@ -0,0 +1,49 @@
+// Salesforce REST API: one composite request that upserts the Account and the Contact by
+// external id fields and points the Contact at the Account. allOrNone rolls both back when
+// either fails. There is no default host; CRM_BASE_URL is the org's instance URL.
+
+const API_VERSION = 'v59.0';
+const BASE_PATH = `/services/data/${API_VERSION}`;
+
+// Upsert by external id; the id field goes in the URL and must not be repeated in the body.
+function upsert(sobject, record, referenceId, extra = {}) {
+  const fields = { ...record.properties };
+  delete fields[record.idField];
+  return {
+    method: 'PATCH',
+    url: `${BASE_PATH}/sobjects/${sobject}/${record.idField}/${encodeURIComponent(record.id)}`,
+    referenceId,
+    body: { ...fields, ...extra }
+  };
+}
+
+// Composite answers 200 even when a subrequest fails, so the status is checked per entry.
+function checkComposite(body) {
+  const failed = body.compositeResponse.find((entry) => entry.httpStatusCode >= 400);
+  if (!failed) return;
+  const detail = Array.isArray(failed.body) ? failed.body[0]?.message : undefined;
+  const err = new Error(
+    `salesforce ${failed.referenceId} answered ${failed.httpStatusCode}${detail ? `: ${detail}` : ''}`
+  );
+  err.permanent = failed.httpStatusCode < 500;
+  throw err;
+}
+
+function buildRequests({ contact, company }) {
+  const compositeRequest = company
+    ? [
+        upsert('Account', company, 'account'),
+        upsert('Contact', contact, 'contact', { AccountId: '@{account.id}' })
+      ]
+    : [upsert('Contact', contact, 'contact')];
+  return [
+    {
+      method: 'POST',
+      path: `${BASE_PATH}/composite`,
+      body: { allOrNone: true, compositeRequest },
+      check: checkComposite
+    }
+  ];
+}
+
+module.exports = { name: 'salesforce', defaultBaseUrl: '', buildRequests };
@@ -0,0 +1,63 @@
+const env = require('../../config/env');
+const { sendMail, isMailConfigured } = require('./mailer');
+const { sendErrorAlert } = require('./error-alert');
+const template = require('./templates/lead-notification');
+
+function recipients() {
+  return env.emailTo
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+function isEnabled() {
+  return env.emailNotificationsEnabled && recipients().length > 0 && isMailConfigured();
+}
+
+function toLead(submission, results) {
+  return {
+    client_id: submission.client_id,
+    client_name: submission.client_name,
+    email: submission.email,
+    timestamp: submission.timestamp,
+    cohort: submission.cohort,
+    sector: submission.sector,
+    employees: submission.employees,
+    top_challenge: submission.answers?.question_5_top_challenge,
+    overall_ssi: results.overall_ssi,
+    loop_scores: results.loop_scores,
+    patterns: (results.detected_patterns || []).map(({ id, name, severity }) => ({
+      id,
+      name,
+      severity
+    })),
+    admin_url: env.publicBaseUrl ? `${env.publicBaseUrl.replace(/\/$/, '')}/admin` : null
+  };
+}
+
+/**
+ * Emails the team a summary of a new submission. Never throws: a lead notification
+ * must not fail the submission, so exhausted retries raise an error alert instead.
+ */
+async function notifyNewLead(submission, results) {
+  if (!isEnabled()) return null;
+  const { subject, text, html } = template.render(toLead(submission, results));
+  try {
+    return await sendMail({
+      to: recipients(),
+      subject,
+      text,
+      html,
+      ...(submission.email ? { replyTo: submission.email } : {})
+    });
+  } catch (err) {
+    sendErrorAlert({
+      message: `Lead notification failed after ${err.attempts || 1} attempt(s): ${err.message}`,
+      stack: err.stack,
+      meta: { scope: 'lead-notification', client_id: submission.client_id }
+    });
+    return null;
+  }
+}
+
+module.exports = { notifyNewLead, isEnabled, toLead };
@@ -0,0 +1,70 @@
+const nodemailer = require('nodemailer');
+const env = require('../../config/env');
+
+let transport;
+
+// SMTP_HOST wins (any SMTP server, including a local test server); otherwise SendGrid's SMTP relay.
+function transportOptions() {
+  if (env.smtpHost) {
+    return {
+      host: env.smtpHost,
+      port: env.smtpPort,
+      secure: env.smtpSecure,
+      ...(env.smtpUser ? { auth: { user: env.smtpUser, pass: env.smtpPass } } : {})
+    };
+  }
+  if (env.sendgridApiKey) {
+    return {
+      host: 'smtp.sendgrid.net',
+      port: 587,
+      auth: { user: 'apikey', pass: env.sendgridApiKey }
+    };
+  }
+  return null;
+}
+
+function isMailConfigured() {
+  return Boolean(transportOptions());
+}
+
+function getTransport() {
+  if (!transport) {
+    const options = transportOptions();
+    if (!options)
+      throw new Error('No mail transport configured (set SMTP_HOST or SENDGRID_API_KEY)');
+    transport = nodemailer.createTransport(options);
+  }
+  return transport;
+}
+
+// SMTP 5xx replies are permanent (bad recipient, rejected content); everything else may pass later.
+function isRetryable(err) {
+  return !(err.responseCode >= 500 && err.responseCode < 600);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends a message, retrying transient failures with exponential backoff and jitter
+ * (base, 2x base, 4x base, ...). Throws the last error once attempts run out.
+ */
+async function sendMail(
+  message,
+  { attempts = env.emailMaxAttempts, baseDelayMs = env.emailRetryBaseMs } = {}
+) {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await getTransport().sendMail({ from: env.emailFrom, ...message });
+    } catch (err) {
+      lastError = err;
+      if (!isRetryable(err) || attempt === attempts) break;
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      await sleep(delay + Math.random() * delay * 0.2);
+    }
+  }
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+module.exports = { sendMail, isMailConfigured, isRetryable };
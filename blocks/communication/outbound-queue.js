@@ -0,0 +1,166 @@
+const env = require('../../config/env');
+const { getDb } = require('../storage/db');
+const { sendErrorAlert } = require('./error-alert');
+
+const handlers = new Map();
+
+/**
+ * Registers the async function that delivers jobs of `type`. It receives the parsed
+ * payload and the job row; throwing schedules a retry, and an error with
+ * `permanent: true` sends the job straight to the dead state. `onDead(job, err)` runs
+ * once a job of this type is given up on.
+ */
+function registerHandler(type, handler, { onDead } = {}) {
+  handlers.set(type, { handler, onDead });
+}
+
+function enqueue(type, payload, { maxAttempts = env.outboundMaxAttempts, delayMs = 0 } = {}) {
+  const now = new Date();
+  const { lastInsertRowid } = getDb()
+    .prepare(
+      `INSERT INTO outbound_jobs (type, payload, max_attempts, run_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      type,
+      JSON.stringify(payload),
+      maxAttempts,
+      new Date(now.getTime() + delayMs).toISOString(),
+      now.toISOString(),
+      now.toISOString()
+    );
+  return Number(lastInsertRowid);
+}
+
+// Replaces a job's payload, so a handler can keep what it already produced (a rendered
+// file, an issued link) for the next attempt instead of producing it again.
+function updatePayload(job, payload) {
+  getDb()
+    .prepare('UPDATE outbound_jobs SET payload = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(payload), new Date().toISOString(), job.id);
+  job.payload = payload;
+}
+
+// Takes the next due job for a registered type. A 'running' job whose lease has lapsed
+// belongs to a worker that crashed mid-delivery and is picked up again.
+function claimNext() {
+  const types = [...handlers.keys()];
+  if (!types.length) return null;
+  const now = new Date();
+  const row = getDb()
+    .prepare(
+      `UPDATE outbound_jobs
+       SET status = 'running', attempts = attempts + 1, locked_until = @lockedUntil, updated_at = @now
+       WHERE id = (
+         SELECT id FROM outbound_jobs
+         WHERE type IN (SELECT value FROM json_each(@types))
+           AND ((status = 'pending' AND run_at <= @now)
+             OR (status = 'running' AND locked_until <= @now))
+         ORDER BY run_at, id LIMIT 1
+       )
+       RETURNING *`
+    )
+    .get({
+      types: JSON.stringify(types),
+      now: now.toISOString(),
+      lockedUntil: new Date(now.getTime() + env.outboundLeaseMs).toISOString()
+    });
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+function markDone(job) {
+  const now = new Date().toISOString();
+  getDb()
+    .prepare(
+      `UPDATE outbound_jobs SET status = 'done', locked_until = NULL, last_error = NULL,
+       completed_at = ?, updated_at = ? WHERE id = ?`
+    )
+    .run(now, now, job.id);
+}
+
+// Backs off exponentially (base, 2x base, 4x base, ... with jitter) until attempts run out.
+function markFailed(job, err) {
+  const dead = err.permanent || job.attempts >= job.max_attempts;
+  const delay = env.outboundRetryBaseMs * 2 ** (job.attempts - 1);
+  getDb()
+    .prepare(
+      `UPDATE outbound_jobs SET status = ?, run_at = ?, locked_until = NULL, last_error = ?,
+       updated_at = ? WHERE id = ?`
+    )
+    .run(
+      dead ? 'dead' : 'pending',
+      new Date(Date.now() + delay + Math.random() * delay * 0.2).toISOString(),
+      err.message,
+      new Date().toISOString(),
+      job.id
+    );
+  if (dead) {
+    try {
+      handlers.get(job.type)?.onDead?.(job, err);
+    } catch (hookErr) {
+      sendErrorAlert({
+        message: hookErr.message,
+        stack: hookErr.stack,
+        meta: { scope: 'outbound-queue', job_id: job.id, type: job.type }
+      });
+    }
+    sendErrorAlert({
+      message: `Outbound ${job.type} job ${job.id} gave up after ${job.attempts} attempt(s): ${err.message}`,
+      stack: err.stack,
+      meta: { scope: 'outbound-queue', job_id: job.id, type: job.type }
+    });
+  }
+}
+
+async function runJob(job) {
+  if (job.attempts > job.max_attempts) {
+    // Only reachable when a worker died while running the final attempt.
+    return markFailed(
+      job,
+      Object.assign(new Error('Lease expired on final attempt'), { permanent: true })
+    );
+  }
+  try {
+    await handlers.get(job.type).handler(job.payload, job);
+    markDone(job);
+  } catch (err) {
+    markFailed(job, err);
+  }
+}
+
+// Runs due jobs one at a time until none are left; returns how many ran.
+async function drain() {
+  let processed = 0;
+  let job = claimNext();
+  while (job) {
+    await runJob(job);
+    processed += 1;
+    job = claimNext();
+  }
+  return processed;
+}
+
+/**
+ * Polls for due jobs every `pollMs`. Jobs run sequentially so heavy work (PDF
+ * rendering) never piles up. Returns a function that stops polling.
+ */
+function startWorker({ pollMs = env.outboundPollMs } = {}) {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await drain();
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'outbound-queue' } });
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, pollMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = { registerHandler, enqueue, updatePayload, drain, startWorker };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { z } = require('zod');
+const env = require('../../config/env');
+const { findByClientId } = require('../storage/submissions');
+const { createShare } = require('../storage/report-shares');
+const { reportFromSubmission } = require('../logic/report');
+const { generatePdf, pdfFilePath, executiveTake } = require('../logic/pdf');
+const { sendMail, isMailConfigured, isRetryable } = require('./mailer');
+const { enqueue, updatePayload } = require('./outbound-queue');
+const { emitEvent } = require('./webhooks');
+const { sendErrorAlert } = require('./error-alert');
+const template = require('./templates/report-email');
+
+const REPORT_EMAIL_JOB = 'report.email';
+
+const emailSchema = z.string().email();
+
+function isEnabled() {
+  return env.reportEmailEnabled && isMailConfigured();
+}
+
+function hasConsent(submission) {
+  return (
+    submission.consent?.report_email === true && emailSchema.safeParse(submission.email).success
+  );
+}
+
+function absoluteUrl(pathname) {
+  return env.publicBaseUrl ? `${env.publicBaseUrl.replace(/\/$/, '')}${pathname}` : null;
+}
+
+/**
+ * Queues the prospect's PDF report email when they opted in. Returns the job id, or null
+ * when the feature is off or there is no consent. Never throws: the submission is already
+ * stored and must not fail because the queue is unavailable.
+ */
+function queueReportEmail(submission) {
+  if (!isEnabled() || !hasConsent(submission)) return null;
+  try {
+    return enqueue(REPORT_EMAIL_JOB, { client_id: submission.client_id });
+  } catch (err) {
+    sendErrorAlert({
+      message: err.message,
+      stack: err.stack,
+      meta: { scope: 'report-email', client_id: submission.client_id }
+    });
+    return null;
+  }
+}
+
+/**
+ * Queue handler. Reads the submission at send time so a deleted submission or a withdrawn
+ * consent stops a pending email. The PDF and share link are made once and kept on the job,
+ * so an SMTP retry resends the same ones; `report.pdf_generated` is emitted once the mail
+ * is accepted.
+ */
+async function deliverReportEmail(payload, job) {
+  const { client_id: clientId } = payload;
+  const submission = findByClientId(clientId);
+  if (!submission || !hasConsent(submission)) return;
+
+  const report = reportFromSubmission(submission);
+  let { filename, share_id: shareId, report_url: reportUrl } = payload;
+  if (!filename || !fs.existsSync(pdfFilePath(filename))) {
+    ({ filename } = await generatePdf(report));
+  }
+  if (!reportUrl) {
+    ({ id: shareId, report_url: reportUrl } = createShare({
+      clientId,
+      createdBy: 'report-email'
+    }));
+  }
+  updatePayload(job, {
+    client_id: clientId,
+    filename,
+    share_id: shareId,
+    report_url: reportUrl
+  });
+
+  const { subject, text, html } = template.render({
+    client_name: submission.client_name,
+    overall_ssi: report.overall_ssi,
+    loop_scores: report.loop_scores,
+    take: executiveTake(report),
+    report_url: absoluteUrl(reportUrl)
+  });
+  try {
+    // One attempt per job run; the queue owns retries and backoff.
+    await sendMail(
+      {
+        to: submission.email,
+        subject,
+        text,
+        html,
+        attachments: [{ filename: 'alpine-signal-rating-report.pdf', path: pdfFilePath(filename) }]
+      },
+      { attempts: 1 }
+    );
+  } catch (err) {
+    err.permanent = !isRetryable(err);
+    throw err;
+  }
+  // The link has been delivered; its token does not need to stay in the queue table.
+  updatePayload(job, { client_id: clientId, filename, share_id: shareId });
+  emitEvent('report.pdf_generated', {
+    client_id: clientId,
+    filename,
+    download_path: `/api/downloads/${filename}`,
+    source: 'report-email'
+  });
+}
+
+module.exports = { REPORT_EMAIL_JOB, queueReportEmail, deliverReportEmail, isEnabled };
@@ -0,0 +1,97 @@
+const LOOPS = [
+  ['Pipeline', 'Pipeline Health'],
+  ['Conversion', 'Sales Conversion'],
+  ['Expansion', 'Customer Expansion'],
+  ['Economics', 'Unit Economics']
+];
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+
+const percent = (score) => (typeof score === 'number' ? `${(score * 100).toFixed(1)}%` : 'n/a');
+
+/**
+ * Renders the team notification for a new wizard submission.
+ * `lead` is { client_id, client_name, email, timestamp, cohort, sector, employees,
+ * top_challenge, overall_ssi, loop_scores, patterns: [{ id, name, severity }], admin_url }.
+ */
+function render(lead) {
+  const company = lead.client_name || 'Unknown company';
+  const when = new Date(lead.timestamp).toLocaleString('en-US', { timeZone: 'UTC' }) + ' UTC';
+  const loops = LOOPS.map(([key, label]) => ({ label, score: percent(lead.loop_scores?.[key]) }));
+  const patterns = lead.patterns || [];
+
+  const subject = `New Lead: ${company} (${percent(lead.overall_ssi)} ASR Score)`;
+
+  const text = [
+    'New Lead Magnet Submission Received!',
+    '',
+    `Company: ${company}`,
+    `Email: ${lead.email || 'Not provided'}`,
+    `Timestamp: ${when}`,
+    '',
+    'COHORT INFO:',
+    `- ARR: ${lead.cohort || 'unknown'}`,
+    `- Sector: ${lead.sector || 'unknown'}`,
+    `- Employees: ${lead.employees || 'unknown'}`,
+    '',
+    'SCORES:',
+    `- Overall ASR Score: ${percent(lead.overall_ssi)}`,
+    ...loops.map((loop) => `- ${loop.label}: ${loop.score}`),
+    '',
+    `TOP CHALLENGE: ${lead.top_challenge || 'Not provided'}`,
+    '',
+    'DETECTED PATTERNS:',
+    ...(patterns.length
+      ? patterns.map((p) => `- ${p.name || p.id}${p.severity ? ` (${p.severity})` : ''}`)
+      : ['- None']),
+    '',
+    '---',
+    `Client ID: ${lead.client_id}`,
+    lead.admin_url ? `View all submissions at: ${lead.admin_url}` : null
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+
+  const row = (label, value) =>
+    `<tr><td style="padding:4px 12px 4px 0;color:#6b7280;">${escapeHtml(label)}</td><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`;
+
+  const html = `<!doctype html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111827;max-width:600px;">
+    <h2 style="margin-bottom:4px;">New lead: ${escapeHtml(company)}</h2>
+    <p style="margin-top:0;color:#6b7280;">${escapeHtml(when)}</p>
+    <p style="font-size:28px;font-weight:bold;margin:12px 0;">${escapeHtml(percent(lead.overall_ssi))} <span style="font-size:14px;color:#6b7280;">overall ASR</span></p>
+    <h3>Contact</h3>
+    <table>${row('Company', company)}${row('Email', lead.email || 'Not provided')}</table>
+    <h3>Cohort</h3>
+    <table>${row('ARR', lead.cohort || 'unknown')}${row('Sector', lead.sector || 'unknown')}${row('Employees', lead.employees || 'unknown')}</table>
+    <h3>Scores</h3>
+    <table>${loops.map((loop) => row(loop.label, loop.score)).join('')}</table>
+    <h3>Top challenge</h3>
+    <p>${escapeHtml(lead.top_challenge || 'Not provided')}</p>
+    <h3>Detected patterns</h3>
+    ${
+      patterns.length
+        ? `<ul>${patterns
+            .map(
+              (p) =>
+                `<li>${escapeHtml(p.name || p.id)}${p.severity ? ` <span style="color:#6b7280;">(${escapeHtml(p.severity)})</span>` : ''}</li>`
+            )
+            .join('')}</ul>`
+        : '<p>None</p>'
+    }
+    <hr style="border:none;border-top:1px solid #e5e7eb;">
+    <p style="color:#6b7280;font-size:12px;">Client ID: ${escapeHtml(lead.client_id)}${
+      lead.admin_url ? ` · <a href="${escapeHtml(lead.admin_url)}">View all submissions</a>` : ''
+    }</p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+module.exports = { render };
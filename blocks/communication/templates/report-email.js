@@ -0,0 +1,81 @@
+const LOOPS = [
+  ['Pipeline', 'Pipeline Health'],
+  ['Conversion', 'Sales Conversion'],
+  ['Expansion', 'Customer Expansion'],
+  ['Economics', 'Unit Economics']
+];
+
+const BOOKING_URL = 'https://calendly.com/thealpinesystem/gtm-assessment';
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+
+const points = (score) => (typeof score === 'number' ? Math.round(score * 100) : 'n/a');
+
+/**
+ * Renders the prospect's report email in the PDF's colours, leading with the same
+ * Executive Take as the report cover. `report` is { client_name, overall_ssi,
+ * loop_scores, take: executiveTake(), report_url } where report_url may be null.
+ */
+function render(report) {
+  const company = report.client_name || 'your company';
+  const { overall, classification, weakestLoop } = report.take;
+  const loops = LOOPS.map(([key, label]) => ({ label, score: points(report.loop_scores?.[key]) }));
+
+  const subject = `Your Alpine Signal Rating: ${overall} (${classification})`;
+
+  const text = [
+    `Your GTM Diagnostic Report for ${company} is attached.`,
+    '',
+    `ALPINE SIGNAL RATING: ${overall}`,
+    '',
+    'EXECUTIVE TAKE',
+    `Your current GTM system shows ${classification} characteristics. The most urgent recovery opportunity is in ${weakestLoop.name}: ${weakestLoop.narrative}`,
+    '',
+    'LOOP SCORES:',
+    ...loops.map((loop) => `- ${loop.label}: ${loop.score}`),
+    '',
+    report.report_url ? `View your report online: ${report.report_url}` : null,
+    `Book a full GTM Diagnostic: ${BOOKING_URL}`,
+    '',
+    '---',
+    'You are receiving this because you asked for your report when completing the Alpine Signal Rating.'
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+
+  const button = (href, label) =>
+    `<a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 20px;border-radius:10px;background:#00ffff;color:#00002c;font-weight:bold;text-decoration:none;">${escapeHtml(label)}</a>`;
+
+  const html = `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#00002c;font-family:Montserrat,Arial,sans-serif;color:#e5e7eb;">
+    <div style="max-width:600px;margin:0 auto;">
+      <span style="display:inline-block;padding:6px 12px;border-radius:999px;background:rgba(0,255,255,0.14);color:#00ffff;font-weight:bold;font-size:11px;letter-spacing:0.5px;">Alpine Signal Rating</span>
+      <h1 style="color:#ffffff;margin:12px 0 4px;">GTM Diagnostic Report</h1>
+      <p style="color:#cdd2e1;margin:0;">Prepared for ${escapeHtml(company)}</p>
+      <p style="font-size:64px;font-weight:900;color:#00ffff;margin:8px 0;">${escapeHtml(overall)}</p>
+      <div style="background:rgba(255,255,255,0.04);border:1px solid rgba(0,255,255,0.12);border-radius:14px;padding:16px;margin-bottom:16px;">
+        <h3 style="color:#ffffff;margin:0 0 10px;">Executive Take</h3>
+        <p style="color:#cdd2e1;line-height:1.6;margin:0;">Your current GTM system shows <strong>${escapeHtml(classification)}</strong> characteristics. The most urgent recovery opportunity is in <strong>${escapeHtml(weakestLoop.name)}</strong>: ${escapeHtml(weakestLoop.narrative)}</p>
+      </div>
+      <table style="width:100%;border-collapse:collapse;margin-bottom:16px;">${loops
+        .map(
+          (loop) =>
+            `<tr><td style="padding:6px 0;border-bottom:1px solid rgba(0,255,255,0.12);color:#cdd2e1;">${escapeHtml(loop.label)}</td><td style="padding:6px 0;border-bottom:1px solid rgba(0,255,255,0.12);color:#00ffff;font-weight:bold;text-align:right;">${escapeHtml(loop.score)}</td></tr>`
+        )
+        .join('')}</table>
+      <p style="color:#cdd2e1;">Your full report, with the metric breakdown, priority fixes and a 30-60-90 plan, is attached as a PDF.</p>
+      <p>${report.report_url ? `${button(report.report_url, 'View your report online')} ` : ''}${button(BOOKING_URL, 'Book a full GTM Diagnostic')}</p>
+      <p style="color:#6b7280;font-size:12px;margin-top:24px;">You are receiving this because you asked for your report when completing the Alpine Signal Rating.</p>
+    </div>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+module.exports = { render };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const env = require('../../config/env');
+const { getDb } = require('../storage/db');
+const store = require('../storage/webhooks');
+const { enqueue } = require('./outbound-queue');
+const { sendErrorAlert } = require('./error-alert');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
+
+const WEBHOOK_JOB = 'webhook.deliver';
+
+const emailSchema = z.string().email();
+
+/**
+ * Signature header for a delivery: `t=<unix seconds>,v1=<hex HMAC-SHA256>` over
+ * `${t}.${body}` with the subscription secret. Receivers recompute it and should reject
+ * timestamps more than a few minutes old.
+ */
+function sign(secret, timestamp, body) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Records a delivery for every active subscription to `event` and queues them. Returns the
+ * event id, or null when nobody is subscribed. Never throws: the action that raised the
+ * event has already happened.
+ */
+function emitEvent(event, data) {
+  try {
+    const subscribers = store.subscribersFor(event);
+    if (!subscribers.length) return null;
+    const payload = {
+      id: `evt_${crypto.randomUUID()}`,
+      type: event,
+      created_at: new Date().toISOString(),
+      data
+    };
+    getDb().transaction(() => {
+      for (const subscriber of subscribers) {
+        const deliveryId = store.createDelivery({
+          subscriptionId: subscriber.id,
+          eventId: payload.id,
+          event,
+          payload
+        });
+        enqueue(WEBHOOK_JOB, { delivery_id: deliveryId });
+      }
+    })();
+    return payload.id;
+  } catch (err) {
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'webhooks', event } });
+    return null;
+  }
+}
+
+// submission.created for every stored submission, plus lead.email_captured when it has an email.
+function emitSubmissionEvents(submission) {
+  emitEvent('submission.created', {
+    client_id: submission.client_id,
+    timestamp: submission.timestamp,
+    client_name: submission.client_name,
+    cohort: submission.cohort,
+    sector: submission.sector,
+    employees: submission.employees,
+    top_challenge: submission.answers?.question_5_top_challenge ?? null,
+    overall_ssi: submission.overall_ssi,
+    loop_scores: submission.scores,
+    scoring_model_version: submission.scoring_model_version,
+    pattern_ids: (submission.patterns || []).map((pattern) => pattern.id)
+  });
+  if (emailSchema.safeParse(submission.email).success) {
+    emitEvent('lead.email_captured', {
+      client_id: submission.client_id,
+      timestamp: submission.timestamp,
+      email: submission.email,
+      client_name: submission.client_name,
+      report_email_consent: submission.consent?.report_email === true
+    });
+  }
+}
+
+// Queue handler. 2xx is delivered; 408, 429, 5xx and network errors are retried, and any
+// other 4xx goes straight to the dead-letter log since retrying will not fix it.
+async function deliverWebhook({ delivery_id: deliveryId }) {
+  const delivery = store.deliveryForSend(deliveryId);
+  if (!delivery) return; // Subscription deleted along with its log.
+  if (!delivery.active) {
+    throw Object.assign(new Error('Subscription is paused'), { permanent: true });
+  }
+  const body = JSON.stringify(delivery.payload);
+  let res;
+  try {
+    res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${env.appName}-webhooks`,
+        'X-ASR-Event': delivery.event,
+        'X-ASR-Event-Id': delivery.event_id,
+        'X-ASR-Delivery': String(delivery.id),
+        'X-ASR-Signature': sign(delivery.secret, Math.floor(Date.now() / 1000), body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(env.webhookTimeoutMs)
+    });
+  } catch (err) {
+    store.recordAttempt(delivery.id, { error: err.message });
+    throw err;
+  }
+  if (res.ok) {
+    store.recordAttempt(delivery.id, { statusCode: res.status, delivered: true });
+    return;
+  }
+  const err = new Error(`Endpoint answered ${res.status}`);
+  err.permanent = res.status < 500 && ![408, 429].includes(res.status);
+  store.recordAttempt(delivery.id, { statusCode: res.status, error: err.message });
+  throw err;
+}
+
+function onWebhookDead(job, err) {
+  store.markDeliveryDead(job.payload.delivery_id, err.message);
+}
+
+// Sends a delivered or dead delivery again with the same event id. Returns false while the
+// delivery is still pending.
+function replayDelivery(id) {
+  return getDb().transaction(() => {
+    if (!store.resetDelivery(id)) return false;
+    enqueue(WEBHOOK_JOB, { delivery_id: id });
+    return true;
+  })();
+}
+
+module.exports = {
+  WEBHOOK_JOB,
+  sign,
+  emitEvent,
+  emitSubmissionEvents,
+  deliverWebhook,
+  onWebhookDead,
+  replayDelivery
+};
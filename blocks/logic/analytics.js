@@ -0,0 +1,155 @@
+const env = require('../../config/env');
+const { loadPatternRules } = require('./patterns');
+
+const LOOP_COLUMNS = {
+  Pipeline: 'pipeline_score',
+  Conversion: 'conversion_score',
+  Expansion: 'expansion_score',
+  Economics: 'economics_score'
+};
+
+// Linear interpolation between closest ranks; `sorted` must be ascending.
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function distribution(values) {
+  const sorted = values.filter((v) => typeof v === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return { n: 0, mean: null, median: null, p25: null, p75: null, p90: null };
+  return {
+    n: sorted.length,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    median: percentile(sorted, 0.5),
+    p25: percentile(sorted, 0.25),
+    p75: percentile(sorted, 0.75),
+    p90: percentile(sorted, 0.9)
+  };
+}
+
+// [{ key, count, share }] sorted by count, most frequent first.
+function frequency(keys, count) {
+  const counts = {};
+  keys.forEach((key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([key, n]) => ({ key, count: n, share: count ? n / count : 0 }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+// Monday (UTC) of the ISO week containing the timestamp, as YYYY-MM-DD.
+function weekStart(timestamp) {
+  const date = new Date(timestamp);
+  const day = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - day);
+  return date.toISOString().slice(0, 10);
+}
+
+// Weekly counts with empty weeks filled in and the change against the previous week.
+function weeklyVolume(rows) {
+  if (!rows.length) return [];
+  const counts = {};
+  rows.forEach((row) => {
+    const week = weekStart(row.timestamp);
+    counts[week] = (counts[week] || 0) + 1;
+  });
+  const weeks = Object.keys(counts).sort();
+  const series = [];
+  const cursor = new Date(`${weeks[0]}T00:00:00Z`);
+  const last = weeks[weeks.length - 1];
+  let previous = null;
+  while (cursor.toISOString().slice(0, 10) <= last) {
+    const week = cursor.toISOString().slice(0, 10);
+    const count = counts[week] || 0;
+    series.push({
+      week,
+      count,
+      change: previous === null ? null : count - previous,
+      change_pct: previous ? (count - previous) / previous : null
+    });
+    previous = count;
+    cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+  return series;
+}
+
+function aggregate(rows, patternNames) {
+  const count = rows.length;
+  const loops = {};
+  Object.entries(LOOP_COLUMNS).forEach(([loop, column]) => {
+    loops[loop] = distribution(rows.map((row) => row[column]));
+  });
+  return {
+    count,
+    overall_ssi: distribution(rows.map((row) => row.overall_ssi)),
+    loop_scores: loops,
+    patterns: frequency(
+      rows.flatMap((row) => row.patterns),
+      count
+    ).map(({ key, ...rest }) => ({ id: key, name: patternNames[key] || key, ...rest })),
+    top_challenges: frequency(
+      rows.map((row) => row.top_challenge || 'unknown'),
+      count
+    ).map(({ key, ...rest }) => ({ value: key, ...rest }))
+  };
+}
+
+const GROUP_KEYS = {
+  cohort: (row) => row.cohort || 'unknown',
+  sector: (row) => row.sector || 'unknown',
+  employees: (row) => row.employees || 'unknown',
+  week: (row) => weekStart(row.timestamp)
+};
+
+/**
+ * Aggregates submission summaries (see storage `summaries`) into benchmark statistics.
+ * Groups smaller than `minGroupSize` keep their count but have their statistics withheld,
+ * so viewers cannot read individual answers out of a narrow segment.
+ */
+function buildAnalytics(rows, { groupBy, minGroupSize = 1 } = {}) {
+  const patternNames = {};
+  loadPatternRules().patterns.forEach((pattern) => {
+    patternNames[pattern.id] = pattern.name;
+  });
+
+  const summarizeGroup = (groupRows) =>
+    groupRows.length >= minGroupSize
+      ? aggregate(groupRows, patternNames)
+      : { count: groupRows.length, suppressed: true };
+
+  let groups = null;
+  if (groupBy) {
+    const buckets = {};
+    rows.forEach((row) => {
+      const key = GROUP_KEYS[groupBy](row);
+      (buckets[key] = buckets[key] || []).push(row);
+    });
+    groups = Object.entries(buckets)
+      .map(([key, groupRows]) => ({ key, ...summarizeGroup(groupRows) }))
+      .sort((a, b) =>
+        groupBy === 'week'
+          ? a.key.localeCompare(b.key)
+          : b.count - a.count || a.key.localeCompare(b.key)
+      );
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    group_by: groupBy || null,
+    min_group_size: minGroupSize,
+    overall: summarizeGroup(rows),
+    groups,
+    weekly_volume: weeklyVolume(rows)
+  };
+}
+
+// Admins can already read every submission, so suppression only applies to viewers.
+function minGroupSizeFor(role) {
+  return role === 'admin' ? 1 : env.analyticsMinGroupSize;
+}
+
+module.exports = { LOOP_COLUMNS, buildAnalytics, minGroupSizeFor, percentile };
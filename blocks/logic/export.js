@@ -0,0 +1,64 @@
+const ExcelJS = require('exceljs');
+const { summarize, patternIds } = require('../storage/query');
+
+const COLUMNS = [
+  { header: 'Date', key: 'timestamp', width: 22 },
+  { header: 'Client ID', key: 'client_id', width: 24 },
+  { header: 'Company', key: 'client_name', width: 24 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Sector', key: 'sector', width: 18 },
+  { header: 'ARR Cohort', key: 'cohort', width: 12 },
+  { header: 'Employees', key: 'employees', width: 12 },
+  { header: 'Overall SSI', key: 'overall_ssi', width: 12, score: true },
+  { header: 'Pipeline', key: 'pipeline_score', width: 10, score: true },
+  { header: 'Conversion', key: 'conversion_score', width: 10, score: true },
+  { header: 'Expansion', key: 'expansion_score', width: 10, score: true },
+  { header: 'Economics', key: 'economics_score', width: 10, score: true },
+  { header: 'Top Challenge', key: 'top_challenge', width: 14 },
+  { header: 'Patterns', key: 'patterns', width: 40 },
+  { header: 'Scoring Model', key: 'scoring_model_version', width: 14 }
+];
+
+// Scores are exported as 0-100 to match what the report shows.
+function toRecord(submission) {
+  const row = summarize(submission);
+  const record = { ...row, patterns: patternIds(submission).join('; ') };
+  COLUMNS.filter((c) => c.score).forEach(({ key }) => {
+    record[key] = typeof row[key] === 'number' ? Math.round(row[key] * 1000) / 10 : null;
+  });
+  return record;
+}
+
+// Spreadsheet apps evaluate CSV cells starting with these characters as formulas.
+function neutralizeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function toCsv(submissions) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [COLUMNS.map((c) => c.header).join(',')];
+  submissions.forEach((submission) => {
+    const record = toRecord(submission);
+    lines.push(COLUMNS.map(({ key }) => escape(record[key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(submissions) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Submissions');
+  sheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  submissions.forEach((submission) => {
+    // XLSX stores text as text, so unlike CSV no formula escaping is needed.
+    const record = toRecord(submission);
+    sheet.addRow({ ...record, timestamp: new Date(record.timestamp) });
+  });
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { toCsv, toXlsx };
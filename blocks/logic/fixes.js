@@ -0,0 +1,304 @@
+const path = require('path');
+const fs = require('fs');
+const { fixLibrarySchema } = require('../shared/schemas');
+const { clamp } = require('./scoring-model');
+
+const LOOP_FIX_KEYS = {
+  Pipeline: 'pipeline_fixes',
+  Conversion: 'conversion_fixes',
+  Expansion: 'expansion_fixes',
+  Economics: 'economics_fixes'
+};
+
+const DIFFICULTY_COST = { Easy: 0, Medium: 0.1, Hard: 0.2 };
+const SEVERITY_BOOST = { critical: 0.3, high: 0.2, medium: 0.1, low: 0.05 };
+const LOW_MATURITY_COHORTS = ['Cohort_1', 'Cohort_2'];
+const MAX_FIXES = 5;
+const MAX_PER_LOOP = 2;
+
+const PLAN_WINDOWS = [
+  { window: 30, label: 'First 30 days', maxWeeks: 4, capacity: 2 },
+  { window: 60, label: 'Days 31-60', maxWeeks: 8, capacity: 2 },
+  { window: 90, label: 'Days 61-90', maxWeeks: Infinity, capacity: Infinity }
+];
+
+// Flattens the per-loop arrays into one list, tagging each fix with its loop.
+function listFixes(fixLibrary) {
+  return Object.entries(LOOP_FIX_KEYS).flatMap(([loop, key]) =>
+    (fixLibrary[key] || []).map((fix) => ({ ...fix, loop }))
+  );
+}
+
+function validateDependencies(fixes) {
+  const byId = new Map();
+  fixes.forEach((fix) => {
+    if (byId.has(fix.id)) throw new Error(`Duplicate fix id in fix_library.json: ${fix.id}`);
+    byId.set(fix.id, fix);
+  });
+  fixes.forEach((fix) => {
+    fix.prerequisites.forEach((id) => {
+      if (!byId.has(id)) throw new Error(`Fix ${fix.id} has unknown prerequisite: ${id}`);
+    });
+  });
+
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (id) => {
+    if (done.has(id)) return;
+    if (visiting.has(id)) throw new Error(`Prerequisite cycle in fix_library.json at: ${id}`);
+    visiting.add(id);
+    byId.get(id).prerequisites.forEach(visit);
+    visiting.delete(id);
+    done.add(id);
+  };
+  fixes.forEach((fix) => visit(fix.id));
+}
+
+function loadFixLibrary() {
+  const filePath = path.join(process.cwd(), 'fix_library.json');
+  const raw = fs.readFileSync(filePath, 'utf-8');
+  const library = fixLibrarySchema.parse(JSON.parse(raw));
+  validateDependencies(listFixes(library));
+  return library;
+}
+
+// "2-3 weeks" -> 3, "3-6 months" -> 26, "12+ months" -> 52, "Ongoing" -> 13
+function parseDurationWeeks(text) {
+  const match = /(\d+)(?:\s*-\s*(\d+))?\+?\s*(week|month)/i.exec(text || '');
+  if (!match) return 13;
+  const amount = parseInt(match[2] || match[1], 10);
+  return match[3].toLowerCase() === 'month' ? Math.round(amount * 4.33) : amount;
+}
+
+// Average shortfall of the targeted metrics; falls back to the loop gap when the
+// active scoring model does not define any of them.
+function metricGap(fix, context) {
+  const gaps = fix.targets_metrics
+    .map((key) => context.metricScores[key])
+    .filter((score) => typeof score === 'number')
+    .map((score) => clamp(1 - score, [0, 1]));
+  if (!gaps.length) return 1 - (context.loopScores[fix.loop] ?? 1);
+  return gaps.reduce((a, b) => a + b, 0) / gaps.length;
+}
+
+function rankFix(fix, context) {
+  const rationale = [];
+  let relevance = metricGap(fix, context);
+  if (fix.loop === context.weakestLoop) rationale.push(`Targets your weakest loop (${fix.loop})`);
+
+  context.patterns.forEach((pattern) => {
+    if ((pattern.fix_ids || []).includes(fix.id)) {
+      relevance += SEVERITY_BOOST[pattern.severity] || 0;
+      rationale.push(`Addresses detected pattern: ${pattern.name}`);
+    }
+  });
+
+  if (context.challengeLoop && fix.loop === context.challengeLoop) {
+    relevance += 0.15;
+    rationale.push('Matches your stated top challenge');
+  }
+
+  relevance += ((fix.expected_lift.min + fix.expected_lift.max) / 2) * 0.1;
+
+  const weeks = parseDurationWeeks(fix.implementation);
+  const quickWinBias = context.lowMaturity ? 2 : 1;
+  const effort =
+    ((DIFFICULTY_COST[fix.difficulty] ?? 0.1) + Math.min(weeks, 52) / 260) * quickWinBias;
+  if (context.lowMaturity && weeks <= 4 && fix.difficulty !== 'Hard') {
+    rationale.push('Quick win for your stage');
+  }
+
+  return { fix, weeks, rank: relevance - effort, rationale };
+}
+
+// Places each pick in the earliest window its duration allows, never before the
+// window after its prerequisites.
+function sequencePlan(picks) {
+  const plan = PLAN_WINDOWS.map(({ window, label }) => ({ window, label, fixes: [] }));
+  const slotById = {};
+  const pending = picks.slice().sort((a, b) => a.weeks - b.weeks || b.rank - a.rank);
+
+  while (pending.length) {
+    const ready = pending.findIndex((pick) =>
+      pick.prerequisites.every((id) => id in slotById || !pending.some((other) => other.id === id))
+    );
+    const [pick] = pending.splice(ready, 1);
+    const earliest = Math.min(
+      PLAN_WINDOWS.length - 1,
+      Math.max(
+        0,
+        ...pick.prerequisites.filter((id) => id in slotById).map((id) => slotById[id] + 1)
+      )
+    );
+    const slot = PLAN_WINDOWS.findIndex(
+      (w, i) => i >= earliest && pick.weeks <= w.maxWeeks && plan[i].fixes.length < w.capacity
+    );
+    slotById[pick.id] = slot;
+    pick.window = PLAN_WINDOWS[slot].window;
+    plan[slot].fixes.push({
+      id: pick.id,
+      name: pick.name,
+      loop: pick.loop,
+      implementation: pick.implementation,
+      difficulty: pick.difficulty
+    });
+  }
+  return plan;
+}
+
+function toPick(candidate, rationale) {
+  const { fix } = candidate;
+  return {
+    id: fix.id,
+    name: fix.name,
+    loop: fix.loop,
+    description: fix.description,
+    impact: fix.impact,
+    difficulty: fix.difficulty,
+    implementation: fix.implementation,
+    targets_metrics: fix.targets_metrics,
+    prerequisites: fix.prerequisites,
+    expected_lift: fix.expected_lift,
+    weeks: candidate.weeks,
+    rank: candidate.rank,
+    rationale
+  };
+}
+
+function selectFixes(fixLibrary, context) {
+  const ranked = listFixes(fixLibrary)
+    .map((fix) => rankFix(fix, context))
+    .sort((a, b) => b.rank - a.rank);
+  const byId = Object.fromEntries(ranked.map((candidate) => [candidate.fix.id, candidate]));
+
+  const picks = [];
+  const perLoop = {};
+  const covered = new Set();
+  const picked = (id) => picks.some((pick) => pick.id === id);
+
+  // The candidate plus any prerequisites not yet picked, prerequisites first.
+  const withPrerequisites = (candidate, chain = []) => {
+    candidate.fix.prerequisites
+      .filter((id) => !picked(id) && !chain.includes(byId[id]))
+      .forEach((id) => withPrerequisites(byId[id], chain));
+    chain.push(candidate);
+    return chain;
+  };
+
+  ranked.forEach((candidate) => {
+    if (picked(candidate.fix.id)) return;
+    // Skip fixes whose metrics are already covered by a higher-ranked pick.
+    if (candidate.fix.targets_metrics.every((key) => covered.has(key))) return;
+
+    const chain = withPrerequisites(candidate);
+    if (picks.length + chain.length > MAX_FIXES) return;
+    const loopCounts = { ...perLoop };
+    chain.forEach(({ fix }) => (loopCounts[fix.loop] = (loopCounts[fix.loop] || 0) + 1));
+    if (Object.values(loopCounts).some((count) => count > MAX_PER_LOOP)) return;
+
+    Object.assign(perLoop, loopCounts);
+    chain.forEach((entry) => {
+      const rationale =
+        entry === candidate
+          ? entry.rationale
+          : [`Prerequisite for ${candidate.fix.name}`, ...entry.rationale];
+      picks.push(toPick(entry, rationale));
+      entry.fix.targets_metrics.forEach((key) => covered.add(key));
+    });
+  });
+
+  const actionPlan = sequencePlan(picks);
+  const recommendations = picks
+    .slice()
+    .sort((a, b) => b.rank - a.rank)
+    .map(({ weeks, rank, ...rec }) => rec);
+  return { recommendations, actionPlan };
+}
+
+function buildFixContext({ loopScores, metrics, patterns, challengeLoop, cohort, overall }) {
+  const weakestLoop = Object.entries(loopScores).sort((a, b) => a[1] - b[1])[0]?.[0] || null;
+  return {
+    loopScores,
+    metricScores: Object.fromEntries((metrics || []).map((metric) => [metric.key, metric.score])),
+    patterns,
+    challengeLoop: challengeLoop || null,
+    weakestLoop,
+    lowMaturity: LOW_MATURITY_COHORTS.includes(cohort) || overall < 0.5
+  };
+}
+
+// Stored submissions keep only fix references so renaming a fix never breaks history.
+function toStoredRecommendations(recommendations) {
+  return (recommendations || []).map(({ id, loop, window, rationale }) => ({
+    fix_id: id,
+    loop,
+    window,
+    rationale
+  }));
+}
+
+function toStoredActionPlan(actionPlan) {
+  return (actionPlan || []).map(({ window, label, fixes }) => ({
+    window,
+    label,
+    fix_ids: fixes.map((fix) => fix.id)
+  }));
+}
+
+// Expands stored references back into displayable fixes. Ids no longer in the library keep
+// their id as the name; submissions from before fix ids are returned unchanged.
+function resolveStoredRecommendations(stored, fixLibrary) {
+  const byId = new Map(listFixes(fixLibrary).map((fix) => [fix.id, fix]));
+  return (stored || []).map((rec) => {
+    if (!rec.fix_id) return rec;
+    const fix = byId.get(rec.fix_id);
+    return {
+      id: rec.fix_id,
+      name: fix?.name || rec.fix_id,
+      loop: rec.loop,
+      description: fix?.description,
+      impact: fix?.impact,
+      difficulty: fix?.difficulty,
+      implementation: fix?.implementation,
+      targets_metrics: fix?.targets_metrics || [],
+      prerequisites: fix?.prerequisites || [],
+      expected_lift: fix?.expected_lift,
+      window: rec.window,
+      rationale: rec.rationale
+    };
+  });
+}
+
+// Same for action plan windows; fixes missing from the library keep their id as the name.
+function resolveStoredActionPlan(stored, fixLibrary) {
+  const byId = new Map(listFixes(fixLibrary).map((fix) => [fix.id, fix]));
+  return (stored || []).map((step) => {
+    if (!step.fix_ids) return step;
+    return {
+      window: step.window,
+      label: step.label,
+      fixes: step.fix_ids.map((id) => {
+        const fix = byId.get(id);
+        return {
+          id,
+          name: fix?.name || id,
+          loop: fix?.loop,
+          implementation: fix?.implementation,
+          difficulty: fix?.difficulty
+        };
+      })
+    };
+  });
+}
+
+module.exports = {
+  loadFixLibrary,
+  listFixes,
+  selectFixes,
+  buildFixContext,
+  parseDurationWeeks,
+  toStoredRecommendations,
+  toStoredActionPlan,
+  resolveStoredRecommendations,
+  resolveStoredActionPlan
+};
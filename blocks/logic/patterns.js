@@ -0,0 +1,103 @@
+const path = require('path');
+const fs = require('fs');
+const { patternRulesSchema } = require('../shared/schemas');
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+function loadPatternRules() {
+  const filePath = path.join(process.cwd(), 'patterns.json');
+  const raw = fs.readFileSync(filePath, 'utf-8');
+  return patternRulesSchema.parse(JSON.parse(raw));
+}
+
+function resolveInput(context, input) {
+  return input.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq':
+      return actual === expected;
+    case 'neq':
+      return actual !== expected;
+    case 'gt':
+      return typeof actual === 'number' && actual > expected;
+    case 'gte':
+      return typeof actual === 'number' && actual >= expected;
+    case 'lt':
+      return typeof actual === 'number' && actual < expected;
+    case 'lte':
+      return typeof actual === 'number' && actual <= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'not_in':
+      return Array.isArray(expected) && !expected.includes(actual);
+    default:
+      return false;
+  }
+}
+
+// Returns the leaf conditions that satisfied the rule, or null when it does not match.
+function evaluateCondition(condition, context) {
+  if (condition.all) {
+    const evidence = [];
+    for (const child of condition.all) {
+      const matched = evaluateCondition(child, context);
+      if (!matched) return null;
+      evidence.push(...matched);
+    }
+    return evidence;
+  }
+  if (condition.any) {
+    const evidence = condition.any
+      .map((child) => evaluateCondition(child, context))
+      .filter(Boolean);
+    return evidence.length > 0 ? evidence.flat() : null;
+  }
+
+  const actual = resolveInput(context, condition.input);
+  const expected = condition.ref ? resolveInput(context, condition.ref) : condition.value;
+  if (!compare(condition.op, actual ?? null, expected ?? null)) return null;
+  return [
+    {
+      input: condition.input,
+      operator: condition.op,
+      threshold: condition.ref ? { ref: condition.ref, value: expected ?? null } : expected,
+      actual: actual ?? null
+    }
+  ];
+}
+
+function buildPatternContext({ ratings, loopScores, cohort, sector, topChallenge, challengeLoop }) {
+  const ranked = Object.entries(loopScores).sort((a, b) => a[1] - b[1]);
+  return {
+    ratings,
+    loop_scores: loopScores,
+    cohort: cohort || null,
+    sector: sector || null,
+    top_challenge: topChallenge || null,
+    challenge_loop: challengeLoop || null,
+    weakest_loop: ranked[0]?.[0] || null,
+    weakest_loop_score: ranked[0]?.[1] ?? null,
+    strongest_loop: ranked[ranked.length - 1]?.[0] || null
+  };
+}
+
+function detectPatterns(context, rules = loadPatternRules()) {
+  const detected = [];
+  rules.patterns.forEach((rule) => {
+    const evidence = evaluateCondition(rule.when, context);
+    if (!evidence) return;
+    detected.push({
+      id: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      description: rule.description,
+      evidence,
+      fix_ids: rule.fixes
+    });
+  });
+  return detected.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+module.exports = { loadPatternRules, buildPatternContext, detectPatterns };
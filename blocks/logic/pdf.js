@@ -1,31 +1,45 @@
 const path = require('path');
 const fs = require('fs');
-const puppeteer = require('puppeteer');
+const crypto = require('crypto');
+const { submitRender } = require('./render-pool');
 const { sendErrorAlert } = require('../communication/error-alert');
 
-async function generatePdf(report) {
-  const outputDir = path.join(process.cwd(), 'temp_pdfs');
+const outputDir = path.join(process.cwd(), 'temp_pdfs');
+
+// Where a rendered report with this filename lives.
+function pdfFilePath(filename) {
+  return path.join(outputDir, path.basename(filename));
+}
+
+/**
+ * Queues a report render on the browser pool and returns the pool job; `job.done` resolves
+ * to `{ filename, pdfPath }`. Throws PDF_QUEUE_FULL when the render queue is saturated.
+ */
+function queuePdf(report) {
   if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
 
-  const filename = `alpine-gtm-report-${Date.now()}.pdf`;
-  const pdfPath = path.join(outputDir, filename);
+  const filename = `alpine-gtm-report-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.pdf`;
+  const pdfPath = pdfFilePath(filename);
 
   const html = buildHtml(report);
 
-  try {
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const page = await browser.newPage();
+  const job = submitRender(async (page) => {
     await page.setContent(html, { waitUntil: 'networkidle0' });
     await page.pdf({ path: pdfPath, format: 'A4', printBackground: true });
-    await browser.close();
     return { filename, pdfPath };
-  } catch (err) {
-    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'pdf' } });
-    throw err;
-  }
+  });
+  job.done.catch((err) => {
+    sendErrorAlert({
+      message: err.message,
+      stack: err.stack,
+      meta: { scope: 'pdf', job_id: job.id }
+    });
+  });
+  return job;
+}
+
+async function generatePdf(report) {
+  return queuePdf(report).done;
 }
 
 function classify(score) {
@@ -35,21 +49,53 @@ function classify(score) {
   return 'critical focus';
 }
 
+const LOOP_NARRATIVES = {
+  Pipeline: 'Stand up consistent demand, sharpen ICP, and tighten handoffs to keep pipeline predictable.',
+  Conversion: 'Shorten cycles and lift win rates with offer clarity, qualification rigor, and faster follow-up.',
+  Expansion: 'Reduce churn and unlock expansion by instrumenting health, accelerating time-to-value, and adding QBR rhythms.',
+  Economics: 'Bring CAC payback and burn multiple under control so every dollar of growth spend compounds instead of leaking.'
+};
+
+// The cover page's "Executive Take": overall classification plus the weakest loop to fix first.
+function executiveTake(report) {
+  const overall = Math.round((report.overall_ssi || 0) * 100);
+  const weakestLoop = Object.keys(LOOP_NARRATIVES)
+    .map((name) => ({
+      name,
+      score: Math.round((report.loop_scores?.[name] || 0) * 100),
+      narrative: LOOP_NARRATIVES[name]
+    }))
+    .sort((a, b) => a.score - b.score)[0];
+  return { overall, classification: classify(overall), weakestLoop };
+}
+
+// Every value put into the report HTML goes through this: stored reports carry text the
+// submitter chose, and the page is rendered by a server-side browser.
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+
 function buildHtml(report) {
   const overall = Math.round((report.overall_ssi || 0) * 100);
   const pipeline = Math.round((report.loop_scores?.Pipeline || 0) * 100);
   const conversion = Math.round((report.loop_scores?.Conversion || 0) * 100);
   const expansion = Math.round((report.loop_scores?.Expansion || 0) * 100);
+  const economics = Math.round((report.loop_scores?.Economics || 0) * 100);
   const recommendations = report.priority_recommendations || [];
   const patterns = report.detected_patterns || [];
+  const metrics = report.metric_breakdown || [];
+  const actionPlan = report.action_plan || [];
 
   const loops = [
-    { name: 'Pipeline', score: pipeline, status: classify(pipeline), narrative: 'Stand up consistent demand, sharpen ICP, and tighten handoffs to keep pipeline predictable.' },
-    { name: 'Conversion', score: conversion, status: classify(conversion), narrative: 'Shorten cycles and lift win rates with offer clarity, qualification rigor, and faster follow-up.' },
-    { name: 'Expansion', score: expansion, status: classify(expansion), narrative: 'Reduce churn and unlock expansion by instrumenting health, accelerating time-to-value, and adding QBR rhythms.' }
-  ];
+    { name: 'Pipeline', score: pipeline },
+    { name: 'Conversion', score: conversion },
+    { name: 'Expansion', score: expansion },
+    { name: 'Economics', score: economics }
+  ].map((loop) => ({ ...loop, status: classify(loop.score), narrative: LOOP_NARRATIVES[loop.name] }));
 
-  const weakestLoop = loops.slice().sort((a, b) => a.score - b.score)[0];
+  const { weakestLoop } = executiveTake(report);
 
   return `
   <html>
@@ -65,7 +111,7 @@ function buildHtml(report) {
         .score-hero { font-size: 90px; font-weight: 900; color: #00ffff; margin: 8px 0; }
         .tag { display: inline-block; padding: 6px 12px; border-radius: 999px; background: rgba(0,255,255,0.14); color: #00ffff; font-weight: 700; font-size: 11px; letter-spacing: 0.5px; }
         .card { background: rgba(255,255,255,0.04); border: 1px solid rgba(0,255,255,0.12); border-radius: 14px; padding: 16px; margin-bottom: 12px; }
-        .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+        .grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; }
         .loop-card { background: rgba(255,255,255,0.03); border: 1px solid rgba(0,255,255,0.12); border-radius: 12px; padding: 14px; }
         .section { page-break-after: always; }
         .list { list-style: none; padding: 0; margin: 0; }
@@ -74,6 +120,10 @@ function buildHtml(report) {
         .rec { background: rgba(255,255,255,0.03); border: 1px solid rgba(0,255,255,0.12); border-radius: 12px; padding: 12px; }
         .cta { margin-top: 12px; padding: 16px; text-align: center; border-radius: 12px; background: linear-gradient(135deg, #00ffff, #0060ff); font-weight: 800; }
         .cta a { color: #00002c; text-decoration: none; display: block; }
+        .metric-table { width: 100%; border-collapse: collapse; font-size: 11px; }
+        .metric-table th, .metric-table td { text-align: left; padding: 6px 8px; border-bottom: 1px solid rgba(0,255,255,0.12); }
+        .metric-table th { color: #00ffff; text-transform: uppercase; letter-spacing: 0.5px; font-size: 10px; }
+        .metric-table .below-target td:first-child { color: #ff6b6b; }
       </style>
     </head>
     <body>
@@ -81,12 +131,12 @@ function buildHtml(report) {
         <div class="cover">
           <div class="tag">Alpine Signal Rating</div>
           <h1 style="margin-top:12px;">GTM Diagnostic Report</h1>
-          <p>Prepared for ${report.clientName || 'your company'}</p>
-          <div class="score-hero">${overall}</div>
-          <p>ASR™ across Pipeline, Conversion, and Expansion loops.</p>
+          <p>Prepared for ${escapeHtml(report.clientName || 'your company')}</p>
+          <div class="score-hero">${escapeHtml(overall)}</div>
+          <p>ASR™ across Pipeline, Conversion, Expansion, and Economics loops.</p>
           <div class="card">
             <h3>Executive Take</h3>
-            <p>Your current GTM system shows <strong>${classify(overall)}</strong> characteristics. The most urgent recovery opportunity is in <strong>${weakestLoop.name}</strong>: ${weakestLoop.narrative}</p>
+            <p>Your current GTM system shows <strong>${escapeHtml(classify(overall))}</strong> characteristics. The most urgent recovery opportunity is in <strong>${escapeHtml(weakestLoop.name)}</strong>: ${escapeHtml(weakestLoop.narrative)}</p>
           </div>
         </div>
       </div>
@@ -98,20 +148,63 @@ function buildHtml(report) {
             .map(
               (loop) => `
               <div class="loop-card">
-                <div class="tag">${loop.name}</div>
-                <h3>${loop.status}</h3>
-                <p>${loop.narrative}</p>
+                <div class="tag">${escapeHtml(loop.name)} · ${escapeHtml(loop.score)}</div>
+                <h3>${escapeHtml(loop.status)}</h3>
+                <p>${escapeHtml(loop.narrative)}</p>
               </div>
             `
             )
             .join('')}
         </div>
+        ${
+          patterns.length
+            ? `
+        <div class="card" style="margin-top:14px;">
+          <h3>Patterns detected</h3>
+          <ul class="list">
+            ${patterns.map((p) => `<li>• <strong>${escapeHtml(p.name)}</strong> (${escapeHtml(p.severity)}): ${escapeHtml(p.description)}</li>`).join('')}
+          </ul>
+        </div>
+        `
+            : ''
+        }
         <div class="card" style="margin-top:14px;">
           <h3>What to do first</h3>
           <p>Stabilize the weakest loop to stop leakage. Preserve the strongest loop by codifying what works. Sequence fixes to unlock compounding momentum.</p>
         </div>
       </div>
 
+      ${
+        metrics.length
+          ? `
+      <div class="page section">
+        <h2>Metric Breakdown</h2>
+        <p>Estimated from your ratings against ${escapeHtml(report.benchmark_set?.label || 'standard')} benchmarks. Contribution is each metric's share of its loop score, in points; highlighted rows are below target.</p>
+        <table class="metric-table">
+          <thead>
+            <tr><th>Metric</th><th>Loop</th><th>Yours</th><th>Target</th><th>Contribution</th></tr>
+          </thead>
+          <tbody>
+            ${metrics
+              .map(
+                (m) => `
+              <tr class="${m.meets_target ? '' : 'below-target'}">
+                <td>${escapeHtml(m.name)}</td>
+                <td>${escapeHtml(m.loop)}</td>
+                <td>${escapeHtml(m.formatted_value)}</td>
+                <td>${escapeHtml(m.formatted_target ?? '—')}</td>
+                <td>${escapeHtml(Math.round(m.contribution * 100))} / ${escapeHtml(Math.round(m.weight * 100))}</td>
+              </tr>
+            `
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      `
+          : ''
+      }
+
       <div class="page section">
         <h2>Priority Fixes</h2>
         <div class="rec-grid">
@@ -119,10 +212,15 @@ function buildHtml(report) {
             .map(
               (rec) => `
               <div class="rec">
-                <div class="tag">${rec.loop}</div>
-                <h3>${rec.name}</h3>
-                <p>${rec.description}</p>
-                <p><strong>Action:</strong> Deliver this within 30 days to reverse the current trend.</p>
+                <div class="tag">${escapeHtml(rec.loop)}</div>
+                <h3>${escapeHtml(rec.name)}</h3>
+                <p>${escapeHtml(rec.description)}</p>
+                ${
+                  rec.window
+                    ? `<p><strong>Impact:</strong> ${escapeHtml(rec.impact)}</p>
+                <p><strong>Action:</strong> Start in the ${escapeHtml(rec.window)}-day window (${escapeHtml(rec.difficulty)}, ${escapeHtml(rec.implementation)}).</p>`
+                    : '<p><strong>Action:</strong> Deliver this within 30 days to reverse the current trend.</p>'
+                }
               </div>
             `
             )
@@ -143,9 +241,22 @@ function buildHtml(report) {
         <div class="card">
           <p>Align GTM leaders on a 30-60-90 plan:</p>
           <ul class="list">
-            <li>• 30 days: ship 1–2 fixes for the weakest loop; watch the KPI move.</li>
-            <li>• 60 days: roll optimizations from the strongest loop into the middle performer.</li>
-            <li>• 90 days: re-run ASR™ to quantify uplift and reprioritize.</li>
+            ${
+              actionPlan.length
+                ? actionPlan
+                    .map(
+                      (step) =>
+                        `<li>• ${escapeHtml(step.label)}: ${
+                          step.fixes.length
+                            ? step.fixes.map((fix) => `${escapeHtml(fix.name)} (${escapeHtml(fix.implementation)})`).join('; ')
+                            : 'consolidate gains and track the KPIs from earlier fixes.'
+                        }</li>`
+                    )
+                    .join('')
+                : `<li>• 30 days: ship 1–2 fixes for the weakest loop; watch the KPI move.</li>
+            <li>• 60 days: roll optimizations from the strongest loop into the middle performer.</li>`
+            }
+            <li>• Then: re-run ASR™ to quantify uplift and reprioritize.</li>
           </ul>
         </div>
         <div class="cta"><a href="https://calendly.com/thealpinesystem/gtm-assessment">Book a full GTM Diagnostic →</a></div>
@@ -155,4 +266,4 @@ function buildHtml(report) {
   `;
 }
 
-module.exports = { generatePdf };
+module.exports = { generatePdf, queuePdf, pdfFilePath, executiveTake };
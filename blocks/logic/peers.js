@@ -0,0 +1,84 @@
+const env = require('../../config/env');
+const { summaries } = require('../storage/submissions');
+const { LOOP_COLUMNS, percentile } = require('./analytics');
+
+// Narrowest first; a level is skipped when the submission has no value for one of its keys.
+const PEER_LEVELS = [
+  { level: 'cohort_sector', keys: ['cohort', 'sector'] },
+  { level: 'cohort', keys: ['cohort'] },
+  { level: 'sector', keys: ['sector'] },
+  { level: 'all', keys: [] }
+];
+
+const isKnown = (value) => Boolean(value) && value !== 'unknown';
+
+// Share of peers scoring below `score`, counting ties as half, as 0-100.
+function percentileRank(score, peerScores) {
+  const below = peerScores.filter((s) => s < score).length;
+  const equal = peerScores.filter((s) => s === score).length;
+  return Math.round(((below + equal / 2) / peerScores.length) * 100);
+}
+
+function compare(score, values) {
+  const peerScores = values.filter((v) => typeof v === 'number').sort((a, b) => a - b);
+  if (typeof score !== 'number' || !peerScores.length) {
+    return {
+      score: score ?? null,
+      percentile: null,
+      peer_size: peerScores.length,
+      peer_median: null
+    };
+  }
+  return {
+    score,
+    percentile: percentileRank(score, peerScores),
+    peer_size: peerScores.length,
+    peer_median: percentile(peerScores, 0.5)
+  };
+}
+
+/**
+ * Ranks a result against stored submissions scored under the same model. Uses the
+ * narrowest peer group (cohort+sector, then cohort, sector, everyone) holding at least
+ * PEER_MIN_GROUP_SIZE submissions; returns null when even the full pool is smaller.
+ * Each group is its own store query, so only that group's rows are read.
+ */
+function buildPeerBenchmark({ clientId, cohort, sector, results }) {
+  const minSize = env.peerMinGroupSize;
+  const subject = { cohort, sector };
+
+  for (const { level, keys } of PEER_LEVELS) {
+    if (!keys.every((key) => isKnown(subject[key]))) continue;
+    const filters = { scoring_model_version: results.scoring_model_version };
+    keys.forEach((key) => {
+      filters[key] = subject[key];
+    });
+    const peers = summaries(filters).filter((row) => row.client_id !== clientId);
+    if (peers.length < minSize) continue;
+
+    const loopScores = {};
+    Object.entries(LOOP_COLUMNS).forEach(([loop, column]) => {
+      loopScores[loop] = compare(
+        results.loop_scores[loop],
+        peers.map((row) => row[column])
+      );
+    });
+    return {
+      peer_group: {
+        level,
+        cohort: keys.includes('cohort') ? cohort : null,
+        sector: keys.includes('sector') ? sector : null,
+        size: peers.length
+      },
+      min_group_size: minSize,
+      overall_ssi: compare(
+        results.overall_ssi,
+        peers.map((row) => row.overall_ssi)
+      ),
+      loop_scores: loopScores
+    };
+  }
+  return null;
+}
+
+module.exports = { buildPeerBenchmark };
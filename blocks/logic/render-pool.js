@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const puppeteer = require('puppeteer');
+const env = require('../../config/env');
+
+const LAUNCH_OPTIONS = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] };
+// Finished jobs stay pollable this long.
+const JOB_TTL_MS = 15 * 60 * 1000;
+// Timing samples kept for the metrics percentiles.
+const SAMPLE_SIZE = 200;
+const CLOSE_TIMEOUT_MS = 5000;
+
+// One slot per concurrent render; each slot owns a long-lived browser and renders one page
+// at a time on it.
+const slots = Array.from({ length: Math.max(1, env.pdfConcurrency) }, () => ({
+  browser: null,
+  busy: false,
+  renders: 0
+}));
+const waiting = [];
+const jobs = new Map();
+const stats = { completed: 0, failed: 0, timedOut: 0, rejected: 0, renderMs: [], waitMs: [] };
+
+// Settles like `promise`, or with `fallback` once `ms` pass without it settling.
+function settleWithin(promise, ms, fallback) {
+  let timer;
+  const late = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms, fallback);
+  });
+  return Promise.race([promise, late]).finally(() => clearTimeout(timer));
+}
+
+function sample(list, value) {
+  list.push(value);
+  if (list.length > SAMPLE_SIZE) list.shift();
+}
+
+function percentiles(list) {
+  const sorted = [...list].sort((a, b) => a - b);
+  const at = (q) =>
+    sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null;
+  return { samples: sorted.length, p50: at(0.5), p95: at(0.95), max: sorted.at(-1) ?? null };
+}
+
+// The slot's browser, launched on first use and again after a crash or retirement.
+function browserFor(slot) {
+  if (!slot.browser) {
+    const launching = puppeteer.launch(LAUNCH_OPTIONS);
+    slot.browser = launching;
+    slot.renders = 0;
+    launching.then(
+      (browser) =>
+        browser.on('disconnected', () => {
+          if (slot.browser === launching) slot.browser = null;
+        }),
+      () => {
+        if (slot.browser === launching) slot.browser = null;
+      }
+    );
+  }
+  return slot.browser;
+}
+
+// Closes the slot's browser, killing it if it does not close in time; the next job gets a
+// fresh one.
+async function retire(slot) {
+  const launching = slot.browser;
+  slot.browser = null;
+  if (!launching) return;
+  const browser = await launching.catch(() => null);
+  if (!browser) return;
+  const closed = browser.close().catch(() => undefined);
+  await settleWithin(closed, CLOSE_TIMEOUT_MS);
+  browser.process()?.kill('SIGKILL');
+}
+
+/**
+ * Runs one job on a slot. The page is always closed; when that fails or hangs, the job timed
+ * out or the browser has rendered PDF_BROWSER_MAX_RENDERS pages, the whole browser is
+ * replaced.
+ */
+async function runJob(slot, job) {
+  job.status = 'rendering';
+  job.startedAt = Date.now();
+  sample(stats.waitMs, job.startedAt - job.queuedAt);
+  let page = null;
+  let timer;
+  let healthy = true;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          Object.assign(new Error(`PDF render timed out after ${env.pdfRenderTimeoutMs}ms`), {
+            code: 'PDF_RENDER_TIMEOUT'
+          })
+        ),
+      env.pdfRenderTimeoutMs
+    );
+  });
+  try {
+    const render = (async () => {
+      const browser = await browserFor(slot);
+      page = await browser.newPage();
+      return job.task(page);
+    })();
+    render.catch(() => undefined); // Settles after a timeout has already failed the job.
+    job.result = await Promise.race([render, timeout]);
+    job.status = 'done';
+    stats.completed += 1;
+    sample(stats.renderMs, Date.now() - job.startedAt);
+    job.resolve(job.result);
+  } catch (err) {
+    job.status = 'failed';
+    job.error = err;
+    stats.failed += 1;
+    if (err.code === 'PDF_RENDER_TIMEOUT') {
+      stats.timedOut += 1;
+      healthy = false;
+    }
+    job.reject(err);
+  } finally {
+    clearTimeout(timer);
+    job.finishedAt = Date.now();
+    delete job.task;
+    slot.renders += 1;
+    if (healthy && page) {
+      const closed = page.close().then(
+        () => true,
+        () => false
+      );
+      healthy = await settleWithin(closed, CLOSE_TIMEOUT_MS, false);
+    }
+    if (!healthy || slot.renders >= env.pdfBrowserMaxRenders) await retire(slot);
+  }
+}
+
+function pump() {
+  for (const slot of slots) {
+    if (slot.busy || !waiting.length) continue;
+    const job = waiting.shift();
+    slot.busy = true;
+    runJob(slot, job).finally(() => {
+      slot.busy = false;
+      pump();
+    });
+  }
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+}
+
+// Rough wait until a queue place frees up, from the median render time.
+function retryAfterSeconds() {
+  const p50 = percentiles(stats.renderMs).p50 || 5000;
+  return Math.max(1, Math.ceil((p50 * (waiting.length / slots.length + 1)) / 1000));
+}
+
+/**
+ * Queues `task(page)` to run on a pooled browser page and returns the job: `{ id, status,
+ * done }`, where `done` settles with the task's result. `status` is already 'rendering'
+ * when a slot was free. Throws an error with code PDF_QUEUE_FULL (and `retryAfter`
+ * seconds) when PDF_QUEUE_LIMIT jobs are already waiting.
+ */
+function submitRender(task) {
+  pruneJobs();
+  if (waiting.length >= env.pdfQueueLimit) {
+    stats.rejected += 1;
+    throw Object.assign(new Error('PDF render queue is full'), {
+      code: 'PDF_QUEUE_FULL',
+      retryAfter: retryAfterSeconds()
+    });
+  }
+  const job = { id: crypto.randomUUID(), status: 'queued', queuedAt: Date.now(), task };
+  job.done = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  // Callers that hand out a job id do not await it.
+  job.done.catch(() => undefined);
+  jobs.set(job.id, job);
+  waiting.push(job);
+  pump();
+  return job;
+}
+
+// The job with its place in the queue (1-based) while queued, or null once expired.
+function getRenderJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  return job.status === 'queued' ? { ...job, position: waiting.indexOf(job) + 1 } : job;
+}
+
+function renderMetrics() {
+  return {
+    concurrency: slots.length,
+    active: slots.filter((slot) => slot.busy).length,
+    queued: waiting.length,
+    queue_limit: env.pdfQueueLimit,
+    browsers: slots.filter((slot) => slot.browser).length,
+    completed: stats.completed,
+    failed: stats.failed,
+    timed_out: stats.timedOut,
+    rejected: stats.rejected,
+    render_ms: percentiles(stats.renderMs),
+    queue_wait_ms: percentiles(stats.waitMs)
+  };
+}
+
+module.exports = { submitRender, getRenderJob, renderMetrics };
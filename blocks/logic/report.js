@@ -0,0 +1,32 @@
+const {
+  loadFixLibrary,
+  resolveStoredRecommendations,
+  resolveStoredActionPlan
+} = require('./fixes');
+
+/**
+ * Rebuilds the report a prospect saw (the /api/wizard response fields, plus `clientName`
+ * for the PDF) from a stored submission, expanding fix references from the library.
+ */
+function reportFromSubmission(submission) {
+  const fixLibrary = loadFixLibrary();
+  return {
+    client_id: submission.client_id,
+    clientName: submission.client_name,
+    timestamp: submission.timestamp,
+    overall_ssi: submission.overall_ssi,
+    loop_scores: submission.scores,
+    scoring_model_version: submission.scoring_model_version,
+    benchmark_set: submission.benchmark_set,
+    suggested_chapter: submission.suggested_chapter,
+    metric_breakdown: submission.metric_breakdown || [],
+    priority_recommendations: resolveStoredRecommendations(
+      submission.priority_recommendations,
+      fixLibrary
+    ),
+    action_plan: resolveStoredActionPlan(submission.action_plan, fixLibrary),
+    detected_patterns: submission.patterns || []
+  };
+}
+
+module.exports = { reportFromSubmission };
@@ -0,0 +1,147 @@
+const env = require('../../config/env');
+const { calculateScores } = require('./scoring');
+const { readAll, update } = require('../storage/submissions');
+
+const LOOPS = ['Pipeline', 'Conversion', 'Expansion', 'Economics'];
+
+// Latest revision if the submission has been re-scored before, otherwise the original scores.
+function currentScores(submission) {
+  const revisions = submission.score_revisions || [];
+  const latest = revisions[revisions.length - 1];
+  return {
+    scoring_model_version:
+      latest?.scoring_model_version || submission.scoring_model_version || 'legacy',
+    overall_ssi: latest ? latest.overall_ssi : submission.overall_ssi,
+    scores: (latest ? latest.scores : submission.scores) || {}
+  };
+}
+
+function diffRow(clientId, previous, revision) {
+  const loops = {};
+  LOOPS.forEach((loop) => {
+    const before = previous.scores[loop];
+    const after = revision.scores[loop];
+    loops[loop] = {
+      before: before ?? null,
+      after: after ?? null,
+      delta: typeof before === 'number' && typeof after === 'number' ? after - before : null
+    };
+  });
+  return {
+    client_id: clientId,
+    from_version: previous.scoring_model_version,
+    to_version: revision.scoring_model_version,
+    overall: {
+      before: previous.overall_ssi ?? null,
+      after: revision.overall_ssi,
+      delta:
+        typeof previous.overall_ssi === 'number'
+          ? revision.overall_ssi - previous.overall_ssi
+          : null
+    },
+    loops
+  };
+}
+
+function summarizeDeltas(deltas) {
+  const values = deltas.filter((d) => typeof d === 'number');
+  if (values.length === 0)
+    return { compared: 0, mean_delta: null, mean_abs_delta: null, max_abs_delta: null };
+  const abs = values.map(Math.abs);
+  return {
+    compared: values.length,
+    mean_delta: values.reduce((a, b) => a + b, 0) / values.length,
+    mean_abs_delta: abs.reduce((a, b) => a + b, 0) / values.length,
+    max_abs_delta: Math.max(...abs)
+  };
+}
+
+function summarize(rows) {
+  const loops = {};
+  LOOPS.forEach((loop) => {
+    loops[loop] = summarizeDeltas(rows.map((row) => row.loops[loop].delta));
+  });
+  return {
+    submissions: rows.length,
+    overall: summarizeDeltas(rows.map((row) => row.overall.delta)),
+    loops,
+    rows
+  };
+}
+
+function rescoreSubmissions({
+  modelVersion = env.scoringModelVersion,
+  dryRun = false,
+  clientIds
+} = {}) {
+  const submissions = readAll();
+  const scoredAt = new Date().toISOString();
+  const rows = [];
+  const updated = [];
+
+  submissions.forEach((submission) => {
+    if (!submission.answers) return;
+    if (clientIds && !clientIds.includes(submission.client_id)) return;
+
+    const results = calculateScores(submission.answers, { modelVersion });
+    const revisions = submission.score_revisions || [];
+    const revision = {
+      revision: revisions.length + 1,
+      scoring_model_version: results.scoring_model_version,
+      scored_at: scoredAt,
+      overall_ssi: results.overall_ssi,
+      scores: results.loop_scores,
+      benchmark_set: results.benchmark_set,
+      patterns: results.detected_patterns || []
+    };
+    rows.push(diffRow(submission.client_id, currentScores(submission), revision));
+    updated.push({ ...submission, score_revisions: [...revisions, revision] });
+  });
+
+  if (!dryRun && updated.length > 0) update(updated);
+
+  return {
+    model_version: modelVersion,
+    dry_run: dryRun,
+    scored_at: scoredAt,
+    report: summarize(rows)
+  };
+}
+
+function points(value, signed = true) {
+  if (value === null || value === undefined) return '   n/a';
+  const rounded = Math.round(value * 1000) / 10;
+  return `${signed && rounded >= 0 ? '+' : ''}${rounded.toFixed(1)}`.padStart(6);
+}
+
+function formatReport({ model_version, dry_run, report }) {
+  const lines = [
+    `Re-scored ${report.submissions} submission(s) under model ${model_version}${dry_run ? ' (dry run, nothing written)' : ''}`,
+    '',
+    'Mean shift in points (mean | mean abs | max abs):',
+    `  Overall SSI  ${points(report.overall.mean_delta)} | ${points(report.overall.mean_abs_delta, false)} | ${points(report.overall.max_abs_delta, false)}`
+  ];
+  LOOPS.forEach((loop) => {
+    const s = report.loops[loop];
+    lines.push(
+      `  ${loop.padEnd(11)}  ${points(s.mean_delta)} | ${points(s.mean_abs_delta, false)} | ${points(s.max_abs_delta, false)}`
+    );
+  });
+  // Sized to the longest id: wizard_<uuid> ids are 43 characters, legacy ones shorter.
+  const idWidth = Math.max(
+    'client_id'.length,
+    ...report.rows.map((row) => String(row.client_id).length)
+  );
+  lines.push(
+    '',
+    `${'client_id'.padEnd(idWidth)} ${'from'.padEnd(8)} ${'overall'.padStart(6)} ${LOOPS.map((l) => l.slice(0, 6).padStart(6)).join(' ')}`
+  );
+  report.rows.forEach((row) => {
+    lines.push(
+      `${String(row.client_id).padEnd(idWidth)} ${row.from_version.padEnd(8)} ${points(row.overall.delta)} ${LOOPS.map((l) => points(row.loops[l].delta)).join(' ')}`
+    );
+  });
+  return lines.join('\n');
+}
+
+module.exports = { rescoreSubmissions, formatReport };
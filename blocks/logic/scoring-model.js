@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('fs');
+const env = require('../../config/env');
+const { scoringModelSchema } = require('../shared/schemas');
+
+const modelsDir = path.join(process.cwd(), 'scoring_models');
+
+function listScoringModels() {
+  if (!fs.existsSync(modelsDir)) return [];
+  return fs
+    .readdirSync(modelsDir)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => file.replace(/\.json$/, ''))
+    .sort();
+}
+
+function loadScoringModel(version = env.scoringModelVersion) {
+  if (!/^[\w.-]+$/.test(version)) {
+    throw new Error(`Invalid scoring model version: ${version}`);
+  }
+  const filePath = path.join(modelsDir, `${version}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown scoring model version: ${version}`);
+  }
+  const model = scoringModelSchema.parse(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  if (model.version !== version) {
+    throw new Error(`Scoring model file ${version}.json declares version ${model.version}`);
+  }
+  return model;
+}
+
+function clamp(value, [min, max]) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Targets and ceilings declared in the model; benchmark tables override these per cohort.
+function modelDefaults(model) {
+  const targets = {};
+  const ceilings = {};
+  Object.values(model.loops).forEach((loop) => {
+    loop.metrics.forEach((metric) => {
+      if (metric.target !== undefined) targets[metric.key] = metric.target;
+      if (metric.ceiling !== undefined) ceilings[metric.key] = metric.ceiling;
+    });
+  });
+  return { targets, ceilings };
+}
+
+function normalizeMetric(metric, value, benchmarks) {
+  const raw =
+    metric.direction === 'lower_is_better'
+      ? 1 - value / benchmarks.ceilings[metric.key]
+      : value / benchmarks.targets[metric.key];
+  return metric.clamp ? clamp(raw, metric.clamp) : raw;
+}
+
+function evaluateLoop(loopName, loop, values, benchmarks) {
+  const metrics = loop.metrics.map((metric) => {
+    const score = normalizeMetric(metric, values[metric.key], benchmarks);
+    return {
+      key: metric.key,
+      name: metric.label,
+      loop: loopName,
+      unit: metric.unit,
+      direction: metric.direction,
+      value: values[metric.key],
+      score,
+      weight: metric.weight
+    };
+  });
+  const score = metrics.reduce((sum, m) => sum + m.score * m.weight, 0);
+  return { score, metrics };
+}
+
+module.exports = { listScoringModels, loadScoringModel, modelDefaults, evaluateLoop, clamp };
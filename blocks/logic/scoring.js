@@ -1,6 +1,9 @@
 const path = require('path');
 const fs = require('fs');
 const { sendErrorAlert } = require('../communication/error-alert');
+const { loadScoringModel, modelDefaults, evaluateLoop, clamp } = require('./scoring-model');
+const { buildPatternContext, detectPatterns } = require('./patterns');
+const { loadFixLibrary, selectFixes, buildFixContext } = require('./fixes');
 
 function loadQuestions() {
   const filePath = path.join(process.cwd(), 'public', 'wizard_questions.json');
@@ -8,13 +11,58 @@ function loadQuestions() {
   return JSON.parse(raw);
 }
 
-function loadFixLibrary() {
-  const filePath = path.join(process.cwd(), 'fix_library.json');
+function loadBenchmarks() {
+  const filePath = path.join(process.cwd(), 'benchmarks.json');
   const raw = fs.readFileSync(filePath, 'utf-8');
   return JSON.parse(raw);
 }
 
-function formatMetricValue(metricName, value) {
+function scaleValues(values, multipliers) {
+  const scaled = { ...values };
+  Object.entries(multipliers || {}).forEach(([key, factor]) => {
+    if (typeof scaled[key] === 'number') scaled[key] = scaled[key] * factor;
+  });
+  return scaled;
+}
+
+function resolveBenchmarks(benchmarks, model, cohort, sector) {
+  const cohortSet = benchmarks.cohorts?.[cohort];
+  const base = cohortSet || benchmarks.default;
+  const sectorAdjustments = benchmarks.sector_multipliers?.[sector];
+  const defaults = modelDefaults(model);
+  const targets = { ...defaults.targets, ...base.targets };
+  const ceilings = { ...defaults.ceilings, ...base.ceilings };
+
+  return {
+    targets: scaleValues(targets, sectorAdjustments?.targets),
+    ceilings: scaleValues(ceilings, sectorAdjustments?.ceilings),
+    info: {
+      id: [cohortSet ? cohort : 'default', sectorAdjustments ? sector : null].filter(Boolean).join(':'),
+      version: benchmarks.version,
+      cohort: cohortSet ? cohort : null,
+      sector: sectorAdjustments ? sector : null,
+      label: base.label
+    }
+  };
+}
+
+function formatMetricValue(metricName, value, unit) {
+  switch (unit) {
+    case 'percent':
+      return `${Math.round(value * 100)}%`;
+    case 'hours':
+    case 'days':
+    case 'months':
+      return `${Math.round(value * 10) / 10} ${unit}`;
+    case 'ratio':
+      return `${value.toFixed(1)}:1`;
+    case 'multiple':
+      return `${value.toFixed(1)}x`;
+    case 'number':
+      return `${Math.round(value)}`;
+    default:
+      break;
+  }
   if (metricName.includes('Rate') || metricName.includes('Conversion') || metricName.includes('Retention')) {
     return `${Math.round(value * 100)}%`;
   } else if (metricName.includes('Time') || metricName.includes('Length') || metricName.includes('Period')) {
@@ -25,117 +73,129 @@ function formatMetricValue(metricName, value) {
   return value.toFixed(2);
 }
 
-function detectPatterns(answers, pipelineScore, conversionScore, expansionScore) {
-  const patterns = [];
-  const pipelineRating = parseInt(answers.question_1_pipeline_health) || 3;
-  const conversionRating = parseInt(answers.question_2_sales_conversion) || 3;
-  const expansionRating = parseInt(answers.question_3_customer_success) || 3;
-  const economicsRating = parseInt(answers.question_4_economics_and_efficiency) || 3;
+function buildMetricBreakdown(allMetrics, targets) {
+  return allMetrics.map((metric) => {
+    const target = targets[metric.key];
+    const rawGap =
+      target === undefined
+        ? null
+        : metric.direction === 'lower_is_better'
+          ? metric.value - target
+          : target - metric.value;
+    const gap = rawGap === null ? null : Math.round(rawGap * 10000) / 10000;
+    return {
+      key: metric.key,
+      name: metric.name,
+      loop: metric.loop,
+      value: metric.value,
+      formatted_value: formatMetricValue(metric.name, metric.value, metric.unit),
+      target: target ?? null,
+      formatted_target: target === undefined ? null : formatMetricValue(metric.name, target, metric.unit),
+      gap,
+      meets_target: gap !== null && gap <= 0,
+      score: metric.score,
+      weight: metric.weight,
+      contribution: metric.score * metric.weight
+    };
+  });
+}
 
-  if (pipelineRating >= 4 && conversionRating <= 2) {
-    patterns.push({ pattern: 'pipeline_conversion_gap', description: 'Strong pipeline but weak conversion - focus on sales enablement', priority: 'high' });
-  }
-  if (conversionRating >= 4 && expansionRating <= 2) {
-    patterns.push({ pattern: 'leaky_bucket', description: 'Acquiring customers but losing them - prioritize customer success', priority: 'critical' });
-  }
-  if (pipelineRating <= 2 && conversionRating <= 2 && expansionRating <= 2) {
-    patterns.push({ pattern: 'systematic_issues', description: 'Multiple weak areas suggest fundamental GTM challenges', priority: 'critical' });
-  }
-  if (economicsRating <= 2 && (pipelineRating >= 3 || conversionRating >= 3)) {
-    patterns.push({ pattern: 'unit_economics_problem', description: 'Operations functional but economics unsustainable', priority: 'high' });
-  }
-  return patterns;
+function applyWeightAdjustment(weights, adjustment) {
+  if (!adjustment) return weights;
+  const adjusted = { ...weights };
+  Object.entries(adjustment).forEach(([loop, factor]) => {
+    if (adjusted[loop] !== undefined) adjusted[loop] *= factor;
+  });
+  const total = Object.values(adjusted).reduce((a, b) => a + b, 0);
+  Object.keys(adjusted).forEach((k) => (adjusted[k] = adjusted[k] / total));
+  return adjusted;
 }
 
-function calculateScores(answers) {
+// Compounds relative lifts per metric: higher-is-better values grow, lower-is-better values shrink.
+function applyMetricLifts(values, metrics, lifts) {
+  if (!lifts) return values;
+  const adjusted = { ...values };
+  metrics.forEach((metric) => {
+    (lifts[metric.key] || []).forEach((lift) => {
+      adjusted[metric.key] *=
+        metric.direction === 'lower_is_better' ? 1 - Math.min(lift, 1) : 1 + lift;
+    });
+  });
+  return adjusted;
+}
+
+function calculateScores(answers, options = {}) {
   try {
     const questions = loadQuestions().questions;
     const fixLibrary = loadFixLibrary();
-    const pipelineRating = parseInt(answers.question_1_pipeline_health) || 3;
-    const conversionRating = parseInt(answers.question_2_sales_conversion) || 3;
-    const expansionRating = parseInt(answers.question_3_customer_success) || 3;
-    const economicsRating = parseInt(answers.question_4_economics_and_efficiency) || 3;
+    const model = loadScoringModel(options.modelVersion);
     const topChallenge = answers.question_5_top_challenge || 'pipeline';
+    const benchmarks = resolveBenchmarks(loadBenchmarks(), model, answers.arr, answers.sector);
+
+    const rawScores = {};
+    const ratings = {};
+    const allMetrics = [];
+    Object.entries(model.loops).forEach(([loopName, loop]) => {
+      const rating = parseInt(answers[loop.question]) || 3;
+      ratings[loopName] = rating;
+      const values = applyMetricLifts(
+        questions[loop.question].maps_to_metrics[rating.toString()],
+        loop.metrics,
+        options.metricLifts
+      );
+      const result = evaluateLoop(loopName, loop, values, benchmarks);
+      rawScores[loopName] = result.score;
+      allMetrics.push(...result.metrics);
+    });
 
-    const pipelineMetrics = questions.question_1_pipeline_health.maps_to_metrics[pipelineRating.toString()];
-    const conversionMetrics = questions.question_2_sales_conversion.maps_to_metrics[conversionRating.toString()];
-    const expansionMetrics = questions.question_3_customer_success.maps_to_metrics[expansionRating.toString()];
-    const economicsMetrics = questions.question_4_economics_and_efficiency.maps_to_metrics[economicsRating.toString()];
-
-    const pipelineScore =
-      (pipelineMetrics.lead_velocity_rate / 0.12) * 0.25 +
-      (pipelineMetrics.mql_to_sql_conversion / 0.28) * 0.25 +
-      (pipelineMetrics.marketing_contribution_pipeline / 0.38) * 0.2 +
-      (pipelineMetrics.pipeline_coverage_ratio / 3.8) * 0.15 +
-      (pipelineMetrics.inbound_lead_volume_growth / 0.25) * 0.1 +
-      (1 - pipelineMetrics.lead_response_time / 24) * 0.05;
-
-    const conversionScore =
-      (conversionMetrics.win_rate / 0.32) * 0.3 +
-      (1 - conversionMetrics.sales_cycle_length / 180) * 0.2 +
-      (conversionMetrics.sql_acceptance_rate / 0.9) * 0.15 +
-      (conversionMetrics.demo_to_proposal_rate / 0.72) * 0.15 +
-      (conversionMetrics.proposal_to_won_rate / 0.68) * 0.1 +
-      (conversionMetrics.pipeline_conversion_rate / 0.42) * 0.1;
-
-    const expansionScore =
-      (expansionMetrics.nrr / 1.2) * 0.3 +
-      (expansionMetrics.grr / 0.98) * 0.2 +
-      (1 - expansionMetrics.churn_rate) * 0.2 +
-      (expansionMetrics.expansion_revenue_growth / 0.28) * 0.15 +
-      (expansionMetrics.nps / 58) * 0.1 +
-      (1 - expansionMetrics.time_to_first_value / 60) * 0.05;
-
-    let weights = { pipeline: 0.3, conversion: 0.3, expansion: 0.25, economics: 0.15 };
-    const challengeWeightMap = { pipeline: 'pipeline', conversion: 'conversion', retention: 'expansion' };
-    if (challengeWeightMap[topChallenge]) {
-      const focus = challengeWeightMap[topChallenge];
-      weights[focus] *= 1.15;
-      const total = Object.values(weights).reduce((a, b) => a + b, 0);
-      Object.keys(weights).forEach((k) => (weights[k] = weights[k] / total));
-    }
+    const challengeOption = (questions.question_5_top_challenge.options || []).find(
+      (opt) => opt.value === topChallenge
+    );
+    const weights = applyWeightAdjustment(model.loop_weights, challengeOption?.weight_adjustment);
+    const overall = Object.keys(weights).reduce(
+      (sum, loop) => sum + (rawScores[loop] || 0) * weights[loop],
+      0
+    );
 
-    const economicsScore =
-      (1 - economicsMetrics.cac_payback_period / 26) * 0.2 +
-      (economicsMetrics.ltv_cac / 5.8) * 0.2 +
-      (1 - economicsMetrics.burn_multiple / 4.0) * 0.15 +
-      (1 - economicsMetrics.sales_rep_ramp_time / 6.5) * 0.1 +
-      (economicsMetrics.quota_attainment / 0.88) * 0.15 +
-      (economicsMetrics.magic_number / 1.25) * 0.1 +
-      (economicsMetrics.rule_of_40 / 62) * 0.1;
-
-    const overall =
-      pipelineScore * weights.pipeline +
-      conversionScore * weights.conversion +
-      expansionScore * weights.expansion +
-      economicsScore * weights.economics;
-
-    const allMetrics = [
-      { name: 'Lead Velocity Rate', score: pipelineMetrics.lead_velocity_rate / 0.12, loop: 'Pipeline', value: pipelineMetrics.lead_velocity_rate },
-      { name: 'MQL to SQL Conversion', score: pipelineMetrics.mql_to_sql_conversion / 0.28, loop: 'Pipeline', value: pipelineMetrics.mql_to_sql_conversion },
-      { name: 'Lead Response Time', score: 1 - pipelineMetrics.lead_response_time / 24, loop: 'Pipeline', value: pipelineMetrics.lead_response_time },
-      { name: 'Win Rate', score: conversionMetrics.win_rate / 0.32, loop: 'Conversion', value: conversionMetrics.win_rate },
-      { name: 'Sales Cycle Length', score: 1 - conversionMetrics.sales_cycle_length / 180, loop: 'Conversion', value: conversionMetrics.sales_cycle_length },
-      { name: 'Net Revenue Retention', score: expansionMetrics.nrr / 1.2, loop: 'Expansion', value: expansionMetrics.nrr },
-      { name: 'Churn Rate', score: 1 - expansionMetrics.churn_rate, loop: 'Expansion', value: expansionMetrics.churn_rate },
-      { name: 'CAC Payback Period', score: 1 - economicsMetrics.cac_payback_period / 26, loop: 'Economics', value: economicsMetrics.cac_payback_period },
-      { name: 'LTV:CAC Ratio', score: economicsMetrics.ltv_cac / 5.8, loop: 'Economics', value: economicsMetrics.ltv_cac }
-    ];
-
-    const priorityRecommendations = selectFixes(
-      { Pipeline: pipelineScore, Conversion: conversionScore, Expansion: expansionScore },
-      fixLibrary
+    const loopScores = {};
+    Object.keys(rawScores).forEach((loop) => {
+      loopScores[loop] = clamp(rawScores[loop], model.clamp.loop);
+    });
+
+    const challengeLoop = Object.keys(challengeOption?.weight_adjustment || {})[0];
+    const overallSsi = clamp(overall, model.clamp.overall);
+    const detectedPatterns = detectPatterns(
+      buildPatternContext({
+        ratings,
+        loopScores,
+        cohort: answers.arr,
+        sector: answers.sector,
+        topChallenge,
+        challengeLoop
+      })
+    );
+    const { recommendations, actionPlan } = selectFixes(
+      fixLibrary,
+      buildFixContext({
+        loopScores,
+        metrics: allMetrics,
+        patterns: detectedPatterns,
+        challengeLoop,
+        cohort: answers.arr,
+        overall: overallSsi
+      })
     );
 
     return {
-      overall_ssi: Math.max(0, Math.min(1, overall)),
-      loop_scores: {
-        Pipeline: Math.max(0, Math.min(1, pipelineScore)),
-        Conversion: Math.max(0, Math.min(1, conversionScore)),
-        Expansion: Math.max(0, Math.min(1, expansionScore))
-      },
-      priority_recommendations: priorityRecommendations,
-      detected_patterns: detectPatterns(answers, pipelineScore, conversionScore, expansionScore)
+      overall_ssi: overallSsi,
+      loop_scores: loopScores,
+      scoring_model_version: model.version,
+      benchmark_set: benchmarks.info,
+      suggested_chapter: challengeOption?.suggests_chapter || null,
+      metric_breakdown: buildMetricBreakdown(allMetrics, benchmarks.targets),
+      priority_recommendations: recommendations,
+      action_plan: actionPlan,
+      detected_patterns: detectedPatterns
     };
   } catch (err) {
     sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'scoring' } });
@@ -143,29 +203,4 @@ function calculateScores(answers) {
   }
 }
 
-function selectFixes(loopScores, fixLibrary) {
-  const loops = [
-    { name: 'Pipeline', score: loopScores.Pipeline, key: 'pipeline_fixes' },
-    { name: 'Conversion', score: loopScores.Conversion, key: 'conversion_fixes' },
-    { name: 'Expansion', score: loopScores.Expansion, key: 'expansion_fixes' }
-  ].sort((a, b) => a.score - b.score);
-
-  const picks = [];
-  loops.forEach((loop, idx) => {
-    const fixes = fixLibrary[loop.key] || [];
-    if (fixes.length === 0) return;
-    const take = idx === 0 ? 2 : 1; // weakest gets 2 plays, others 1
-    fixes.slice(0, take).forEach((fix) => {
-      picks.push({
-        name: fix.name,
-        loop: loop.name,
-        description: fix.description,
-        impact: fix.impact || '',
-        action: fix.implementation ? `Implement in ${fix.implementation}` : undefined
-      });
-    });
-  });
-  return picks;
-}
-
 module.exports = { calculateScores };
@@ -0,0 +1,82 @@
+const { calculateScores } = require('./scoring');
+const { loadScoringModel } = require('./scoring-model');
+const { loadFixLibrary, listFixes } = require('./fixes');
+
+const LIFT_POINTS = {
+  min: (lift) => lift.min,
+  expected: (lift) => (lift.min + lift.max) / 2,
+  max: (lift) => lift.max
+};
+
+// Inputs the simulator cannot apply: fix ids missing from the library, loops missing from the model.
+function findUnknownInputs({ modelVersion, fixIds = [], ratingChanges = {} }) {
+  const model = loadScoringModel(modelVersion);
+  const known = new Set(listFixes(loadFixLibrary()).map((fix) => fix.id));
+  return {
+    fix_ids: fixIds.filter((id) => !known.has(id)),
+    loops: Object.keys(ratingChanges).filter((loop) => !model.loops[loop])
+  };
+}
+
+function collectMetricLifts(fixes, lift) {
+  const lifts = {};
+  fixes.forEach((fix) => {
+    fix.targets_metrics.forEach((key) => {
+      lifts[key] = [...(lifts[key] || []), LIFT_POINTS[lift](fix.expected_lift)];
+    });
+  });
+  return lifts;
+}
+
+function snapshot(results) {
+  return {
+    overall_ssi: results.overall_ssi,
+    loop_scores: results.loop_scores,
+    detected_patterns: results.detected_patterns
+  };
+}
+
+function simulate({ answers, modelVersion, fixIds = [], ratingChanges = {}, lift = 'expected' }) {
+  const model = loadScoringModel(modelVersion);
+  const fixes = listFixes(loadFixLibrary()).filter((fix) => fixIds.includes(fix.id));
+
+  const adjustedAnswers = { ...answers };
+  Object.entries(ratingChanges).forEach(([loop, rating]) => {
+    adjustedAnswers[model.loops[loop].question] = String(rating);
+  });
+
+  const before = calculateScores(answers, { modelVersion: model.version });
+  const after = calculateScores(adjustedAnswers, {
+    modelVersion: model.version,
+    metricLifts: collectMetricLifts(fixes, lift)
+  });
+
+  const loopDeltas = {};
+  Object.keys(after.loop_scores).forEach((loop) => {
+    loopDeltas[loop] = after.loop_scores[loop] - (before.loop_scores[loop] || 0);
+  });
+  const beforeIds = before.detected_patterns.map((p) => p.id);
+  const afterIds = after.detected_patterns.map((p) => p.id);
+
+  return {
+    scoring_model_version: model.version,
+    applied: {
+      fix_ids: fixes.map((fix) => fix.id),
+      rating_changes: ratingChanges,
+      lift
+    },
+    missing_prerequisites: fixes
+      .flatMap((fix) => fix.prerequisites)
+      .filter((id, idx, all) => !fixIds.includes(id) && all.indexOf(id) === idx),
+    before: snapshot(before),
+    after: snapshot(after),
+    delta: {
+      overall_ssi: after.overall_ssi - before.overall_ssi,
+      loop_scores: loopDeltas,
+      resolved_patterns: beforeIds.filter((id) => !afterIds.includes(id)),
+      new_patterns: afterIds.filter((id) => !beforeIds.includes(id))
+    }
+  };
+}
+
+module.exports = { simulate, findUnknownInputs };
@@ -0,0 +1,242 @@
+// Generated by scripts/generate-sdk.js from app_shared/types.ts. Do not edit by hand;
+// run `npm run sdk:generate` after changing the schemas.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.analyticsResponseSchema = exports.analyticsGroupBySchema = exports.errorResponseSchema = exports.pdfJobResponseSchema = exports.generatePdfResponseSchema = exports.simulateResponseSchema = exports.simulateRequestSchema = exports.sharedReportResponseSchema = exports.wizardResponseSchema = exports.reportShareSchema = exports.peerBenchmarkSchema = exports.actionPlanSchema = exports.recommendationSchema = exports.planWindowSchema = exports.detectedPatternSchema = exports.patternEvidenceSchema = exports.metricBreakdownSchema = exports.benchmarkSetSchema = exports.loopScoresSchema = exports.wizardRequestSchema = exports.answerSchema = exports.ratingSchema = void 0;
+const zod_1 = require("zod");
+// The loop questions are answered on the wizard's 1-5 scale.
+exports.ratingSchema = zod_1.z.enum(['1', '2', '3', '4', '5']);
+exports.answerSchema = zod_1.z.object({
+    question_1_pipeline_health: exports.ratingSchema.optional(),
+    question_2_sales_conversion: exports.ratingSchema.optional(),
+    question_3_customer_success: exports.ratingSchema.optional(),
+    question_4_economics_and_efficiency: exports.ratingSchema.optional(),
+    question_5_top_challenge: zod_1.z.string().optional(),
+    arr: zod_1.z.string().optional(),
+    employees: zod_1.z.string().optional(),
+    sector: zod_1.z.string().optional(),
+    user_email: zod_1.z.string().email().optional(),
+    company_name: zod_1.z.string().optional()
+});
+exports.wizardRequestSchema = zod_1.z.object({
+    answers: exports.answerSchema,
+    client_name: zod_1.z.string().optional(),
+    client_id: zod_1.z.string().optional(),
+    email: zod_1.z.string().optional(),
+    report_email_consent: zod_1.z.boolean().optional()
+});
+exports.loopScoresSchema = zod_1.z.object({
+    Pipeline: zod_1.z.number(),
+    Conversion: zod_1.z.number(),
+    Expansion: zod_1.z.number(),
+    Economics: zod_1.z.number()
+});
+exports.benchmarkSetSchema = zod_1.z.object({
+    id: zod_1.z.string(),
+    version: zod_1.z.string(),
+    cohort: zod_1.z.string().nullable(),
+    sector: zod_1.z.string().nullable(),
+    label: zod_1.z.string()
+});
+exports.metricBreakdownSchema = zod_1.z.object({
+    key: zod_1.z.string(),
+    name: zod_1.z.string(),
+    loop: zod_1.z.string(),
+    value: zod_1.z.number(),
+    formatted_value: zod_1.z.string(),
+    target: zod_1.z.number().nullable(),
+    formatted_target: zod_1.z.string().nullable(),
+    gap: zod_1.z.number().nullable(),
+    meets_target: zod_1.z.boolean(),
+    score: zod_1.z.number(),
+    weight: zod_1.z.number(),
+    contribution: zod_1.z.number()
+});
+exports.patternEvidenceSchema = zod_1.z.object({
+    input: zod_1.z.string(),
+    operator: zod_1.z.string(),
+    threshold: zod_1.z.unknown(),
+    actual: zod_1.z.unknown()
+});
+exports.detectedPatternSchema = zod_1.z.object({
+    id: zod_1.z.string(),
+    name: zod_1.z.string(),
+    severity: zod_1.z.enum(['critical', 'high', 'medium', 'low']),
+    description: zod_1.z.string(),
+    evidence: zod_1.z.array(exports.patternEvidenceSchema),
+    fix_ids: zod_1.z.array(zod_1.z.string())
+});
+exports.planWindowSchema = zod_1.z.union([zod_1.z.literal(30), zod_1.z.literal(60), zod_1.z.literal(90)]);
+exports.recommendationSchema = zod_1.z.object({
+    id: zod_1.z.string(),
+    name: zod_1.z.string(),
+    loop: zod_1.z.string(),
+    description: zod_1.z.string(),
+    impact: zod_1.z.string(),
+    difficulty: zod_1.z.string(),
+    implementation: zod_1.z.string(),
+    targets_metrics: zod_1.z.array(zod_1.z.string()),
+    prerequisites: zod_1.z.array(zod_1.z.string()),
+    expected_lift: zod_1.z.object({ min: zod_1.z.number(), max: zod_1.z.number() }),
+    window: exports.planWindowSchema,
+    rationale: zod_1.z.array(zod_1.z.string())
+});
+exports.actionPlanSchema = zod_1.z.array(zod_1.z.object({
+    window: exports.planWindowSchema,
+    label: zod_1.z.string(),
+    fixes: zod_1.z.array(zod_1.z.object({
+        id: zod_1.z.string(),
+        name: zod_1.z.string(),
+        loop: zod_1.z.string(),
+        implementation: zod_1.z.string(),
+        difficulty: zod_1.z.string()
+    }))
+}));
+const peerComparisonSchema = zod_1.z.object({
+    score: zod_1.z.number().nullable(),
+    percentile: zod_1.z.number().nullable(),
+    peer_size: zod_1.z.number(),
+    peer_median: zod_1.z.number().nullable()
+});
+exports.peerBenchmarkSchema = zod_1.z.object({
+    peer_group: zod_1.z.object({
+        level: zod_1.z.enum(['cohort_sector', 'cohort', 'sector', 'all']),
+        cohort: zod_1.z.string().nullable(),
+        sector: zod_1.z.string().nullable(),
+        size: zod_1.z.number()
+    }),
+    min_group_size: zod_1.z.number(),
+    overall_ssi: peerComparisonSchema,
+    loop_scores: zod_1.z.record(peerComparisonSchema)
+});
+exports.reportShareSchema = zod_1.z.object({
+    token: zod_1.z.string(),
+    report_url: zod_1.z.string(),
+    expires_at: zod_1.z.string().nullable()
+});
+exports.wizardResponseSchema = zod_1.z.object({
+    success: zod_1.z.boolean(),
+    client_id: zod_1.z.string().optional(),
+    overall_ssi: zod_1.z.number(),
+    loop_scores: exports.loopScoresSchema,
+    scoring_model_version: zod_1.z.string().optional(),
+    benchmark_set: exports.benchmarkSetSchema.optional(),
+    suggested_chapter: zod_1.z.string().nullable().optional(),
+    metric_breakdown: zod_1.z.array(exports.metricBreakdownSchema).optional(),
+    priority_recommendations: zod_1.z.array(exports.recommendationSchema).optional(),
+    action_plan: exports.actionPlanSchema.optional(),
+    detected_patterns: zod_1.z.array(exports.detectedPatternSchema).optional(),
+    peer_benchmark: exports.peerBenchmarkSchema.nullable().optional(),
+    share: exports.reportShareSchema.nullable().optional()
+});
+// GET /api/reports/:token
+exports.sharedReportResponseSchema = zod_1.z.object({
+    success: zod_1.z.boolean(),
+    clientName: zod_1.z.string().optional(),
+    timestamp: zod_1.z.string(),
+    overall_ssi: zod_1.z.number(),
+    loop_scores: exports.loopScoresSchema,
+    scoring_model_version: zod_1.z.string().optional(),
+    benchmark_set: exports.benchmarkSetSchema.optional(),
+    suggested_chapter: zod_1.z.string().nullable().optional(),
+    metric_breakdown: zod_1.z.array(exports.metricBreakdownSchema),
+    priority_recommendations: zod_1.z.array(exports.recommendationSchema),
+    action_plan: exports.actionPlanSchema,
+    detected_patterns: zod_1.z.array(exports.detectedPatternSchema),
+    peer_benchmark: exports.peerBenchmarkSchema.nullable(),
+    share: zod_1.z.object({ expires_at: zod_1.z.string().nullable() })
+});
+exports.simulateRequestSchema = zod_1.z
+    .object({
+    // A report share token (public), or a client_id (admin only).
+    share_token: zod_1.z.string().optional(),
+    client_id: zod_1.z.string().optional(),
+    answers: exports.answerSchema.optional(),
+    fix_ids: zod_1.z.array(zod_1.z.string()).optional(),
+    rating_changes: zod_1.z.record(zod_1.z.number().int().min(1).max(5)).optional(),
+    lift: zod_1.z.enum(['min', 'expected', 'max']).optional()
+})
+    .refine((body) => body.share_token || body.client_id || body.answers, {
+    message: 'Provide share_token, client_id or answers'
+});
+const simulationSnapshotSchema = zod_1.z.object({
+    overall_ssi: zod_1.z.number(),
+    loop_scores: exports.loopScoresSchema,
+    detected_patterns: zod_1.z.array(exports.detectedPatternSchema)
+});
+exports.simulateResponseSchema = zod_1.z.object({
+    success: zod_1.z.boolean(),
+    scoring_model_version: zod_1.z.string(),
+    applied: zod_1.z.object({
+        fix_ids: zod_1.z.array(zod_1.z.string()),
+        rating_changes: zod_1.z.record(zod_1.z.number()),
+        lift: zod_1.z.enum(['min', 'expected', 'max'])
+    }),
+    missing_prerequisites: zod_1.z.array(zod_1.z.string()),
+    before: simulationSnapshotSchema,
+    after: simulationSnapshotSchema,
+    delta: zod_1.z.object({
+        overall_ssi: zod_1.z.number(),
+        loop_scores: zod_1.z.record(zod_1.z.number()),
+        resolved_patterns: zod_1.z.array(zod_1.z.string()),
+        new_patterns: zod_1.z.array(zod_1.z.string())
+    })
+});
+// POST /api/generate-pdf
+exports.generatePdfResponseSchema = zod_1.z.object({
+    filename: zod_1.z.string(),
+    downloadUrl: zod_1.z.string()
+});
+// 202 from POST /api/generate-pdf while the render waits for a browser, and
+// GET /api/generate-pdf/jobs/:id. `position` is the 1-based place in the queue.
+exports.pdfJobResponseSchema = zod_1.z.object({
+    job_id: zod_1.z.string(),
+    status: zod_1.z.enum(['queued', 'rendering', 'done', 'failed']),
+    position: zod_1.z.number().int().positive().optional(),
+    status_url: zod_1.z.string(),
+    filename: zod_1.z.string().optional(),
+    downloadUrl: zod_1.z.string().optional(),
+    error: zod_1.z.string().optional()
+});
+// Some errors carry extra context, e.g. `status` on 410 or `client_id` on 409.
+exports.errorResponseSchema = zod_1.z
+    .object({
+    error: zod_1.z.string(),
+    details: zod_1.z.unknown().optional()
+})
+    .passthrough();
+const distributionSchema = zod_1.z.object({
+    n: zod_1.z.number(),
+    mean: zod_1.z.number().nullable(),
+    median: zod_1.z.number().nullable(),
+    p25: zod_1.z.number().nullable(),
+    p75: zod_1.z.number().nullable(),
+    p90: zod_1.z.number().nullable()
+});
+const analyticsGroupSchema = zod_1.z.object({
+    count: zod_1.z.number(),
+    suppressed: zod_1.z.boolean().optional(),
+    overall_ssi: distributionSchema.optional(),
+    loop_scores: zod_1.z.record(distributionSchema).optional(),
+    patterns: zod_1.z
+        .array(zod_1.z.object({ id: zod_1.z.string(), name: zod_1.z.string(), count: zod_1.z.number(), share: zod_1.z.number() }))
+        .optional(),
+    top_challenges: zod_1.z
+        .array(zod_1.z.object({ value: zod_1.z.string(), count: zod_1.z.number(), share: zod_1.z.number() }))
+        .optional()
+});
+exports.analyticsGroupBySchema = zod_1.z.enum(['cohort', 'sector', 'employees', 'week']);
+exports.analyticsResponseSchema = zod_1.z.object({
+    filters: zod_1.z.record(zod_1.z.union([zod_1.z.string(), zod_1.z.number()])),
+    generated_at: zod_1.z.string(),
+    group_by: exports.analyticsGroupBySchema.nullable(),
+    min_group_size: zod_1.z.number(),
+    overall: analyticsGroupSchema,
+    groups: zod_1.z.array(analyticsGroupSchema.extend({ key: zod_1.z.string() })).nullable(),
+    weekly_volume: zod_1.z.array(zod_1.z.object({
+        week: zod_1.z.string(),
+        count: zod_1.z.number(),
+        change: zod_1.z.number().nullable(),
+        change_pct: zod_1.z.number().nullable()
+    }))
+});
@@ -0,0 +1,80 @@
+const { zodToJsonSchema } = require('zod-to-json-schema');
+const contract = require('./api-contract');
+
+const API_VERSION = '1.0.0';
+
+// 'wizardResponseSchema' -> 'WizardResponse'
+const componentName = (exportName) =>
+  exportName.charAt(0).toUpperCase() + exportName.slice(1).replace(/Schema$/, '');
+
+// Objects only get `additionalProperties: false` when the schema is strict, so adding a
+// response field stays a compatible change.
+const toJsonSchema = (exportName) =>
+  zodToJsonSchema(contract[exportName], {
+    target: 'openApi3',
+    $refStrategy: 'none',
+    removeAdditionalStrategy: 'strict'
+  });
+
+const jsonContent = (exportName) => ({
+  'application/json': { schema: { $ref: `#/components/schemas/${componentName(exportName)}` } }
+});
+
+/**
+ * Builds the OpenAPI 3 document for the routes mounted under `basePath`. Each route is
+ * { method, path (Express syntax), operationId, summary, request?, response, headers?,
+ * errors? }, where `request` and `response` name exports of api-contract.js.
+ */
+function buildOpenApi(routes, { basePath }) {
+  const schemas = { [componentName('errorResponseSchema')]: toJsonSchema('errorResponseSchema') };
+  const paths = {};
+  for (const route of routes) {
+    for (const exportName of [route.request, route.response].filter(Boolean)) {
+      schemas[componentName(exportName)] = toJsonSchema(exportName);
+    }
+    const pathParams = (route.path.match(/:\w+/g) || []).map((param) => ({
+      name: param.slice(1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+    const headerParams = (route.headers || []).map((header) => ({
+      in: 'header',
+      required: false,
+      schema: { type: 'string' },
+      ...header
+    }));
+    const responses = { 200: { description: 'OK', content: jsonContent(route.response) } };
+    for (const [status, description] of Object.entries(route.errors || {})) {
+      responses[status] = { description, content: jsonContent('errorResponseSchema') };
+    }
+    const openApiPath = basePath + route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = {
+      ...paths[openApiPath],
+      [route.method]: {
+        operationId: route.operationId,
+        summary: route.summary,
+        ...(pathParams.length || headerParams.length
+          ? { parameters: [...pathParams, ...headerParams] }
+          : {}),
+        ...(route.request
+          ? { requestBody: { required: true, content: jsonContent(route.request) } }
+          : {}),
+        responses
+      }
+    };
+  }
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Alpine Signal Rating API',
+      version: API_VERSION,
+      description:
+        'Request and response bodies are validated against these schemas. Fields may be added within a version; nothing is removed or changed.'
+    },
+    paths,
+    components: { schemas }
+  };
+}
+
+module.exports = { API_VERSION, buildOpenApi };
@@ -1,23 +1,245 @@
 const { z } = require('zod');
 
-const answerSchema = z.object({
-  question_1_pipeline_health: z.string().optional(),
-  question_2_sales_conversion: z.string().optional(),
-  question_3_customer_success: z.string().optional(),
-  question_4_economics_and_efficiency: z.string().optional(),
-  question_5_top_challenge: z.string().optional(),
-  arr: z.string().optional(),
-  employees: z.string().optional(),
+// The public API request schemas (answers, wizard submissions, simulations) are defined once
+// in app_shared/types.ts; server code uses their compiled copy in ./api-contract.js.
+
+const rescoreRequestSchema = z.object({
+  model_version: z.string().optional(),
+  dry_run: z.boolean().optional(),
+  client_ids: z.array(z.string()).optional()
+});
+
+const submissionFilterFields = {
+  cohort: z.string().optional(),
   sector: z.string().optional(),
-  user_email: z.string().email().optional(),
-  company_name: z.string().optional()
+  employees: z.string().optional(),
+  top_challenge: z.string().optional(),
+  pattern: z.string().optional(),
+  min_ssi: z.coerce.number().min(0).max(1).optional(),
+  max_ssi: z.coerce.number().min(0).max(1).optional(),
+  start_date: z.string().optional(),
+  end_date: z.string().optional()
+};
+
+const validDateRange = [
+  (q) => [q.start_date, q.end_date].every((d) => !d || !isNaN(Date.parse(d))),
+  { message: 'start_date and end_date must be dates (YYYY-MM-DD)' }
+];
+
+const submissionListFields = {
+  ...submissionFilterFields,
+  search: z.string().trim().min(1).optional(),
+  sort: z
+    .enum(['timestamp', 'overall_ssi', 'pipeline', 'conversion', 'expansion', 'economics'])
+    .default('timestamp'),
+  order: z.enum(['asc', 'desc']).default('desc')
+};
+
+const submissionQuerySchema = z
+  .object({
+    ...submissionListFields,
+    limit: z.coerce.number().int().min(1).max(500).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+  })
+  .refine(...validDateRange);
+
+// Same filters and ordering as /api/submissions, without paging: exports every match.
+const submissionExportSchema = z
+  .object({
+    ...submissionListFields,
+    format: z.enum(['csv', 'xlsx']).default('csv')
+  })
+  .refine(...validDateRange);
+
+// Segment filters match /api/submissions; free-text search is left out because it targets PII.
+const analyticsQuerySchema = z
+  .object({
+    ...submissionFilterFields,
+    group_by: z.enum(['cohort', 'sector', 'employees', 'week']).optional()
+  })
+  .refine(...validDateRange);
+
+// Idempotency-Key request header: any visible ASCII, e.g. a UUID generated per submit.
+const idempotencyKeySchema = z
+  .string()
+  .min(1)
+  .max(255)
+  .regex(/^[\x21-\x7e]+$/, 'Must be visible ASCII characters');
+
+const loginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1)
+});
+
+const auditQuerySchema = z.object({
+  actor: z.string().optional(),
+  action: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// 0 = never expires; omitted = REPORT_SHARE_TTL_DAYS.
+const shareCreateSchema = z.object({
+  expires_in_days: z.number().int().min(0).max(3650).optional()
+});
+
+const webhookEventSchema = z.enum([
+  'submission.created',
+  'lead.email_captured',
+  'report.pdf_generated'
+]);
+
+const webhookCreateSchema = z.object({
+  url: z
+    .string()
+    .url()
+    .refine((url) => /^https?:\/\//i.test(url), { message: 'Must be an http(s) URL' }),
+  events: z.array(webhookEventSchema).min(1),
+  description: z.string().max(200).optional()
+});
+
+const webhookUpdateSchema = webhookCreateSchema.partial().extend({
+  active: z.boolean().optional()
+});
+
+const webhookDeliveryQuerySchema = z.object({
+  status: z.enum(['pending', 'delivered', 'dead']).optional(),
+  subscription_id: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+const patternConditionSchema = z.lazy(() =>
+  z.union([
+    z.object({ all: z.array(patternConditionSchema).min(1) }),
+    z.object({ any: z.array(patternConditionSchema).min(1) }),
+    z
+      .object({
+        input: z.string(),
+        op: z.enum(['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in']),
+        value: z.any().optional(),
+        ref: z.string().optional()
+      })
+      .refine((c) => (c.value === undefined) !== (c.ref === undefined), {
+        message: 'conditions need exactly one of value or ref'
+      })
+  ])
+);
+
+const patternRulesSchema = z.object({
+  version: z.string(),
+  description: z.string().optional(),
+  patterns: z.array(
+    z.object({
+      id: z.string(),
+      name: z.string(),
+      severity: z.enum(['critical', 'high', 'medium', 'low']),
+      description: z.string(),
+      when: patternConditionSchema,
+      fixes: z.array(z.string()).default([])
+    })
+  )
+});
+
+const rangeSchema = z.tuple([z.number(), z.number()]);
+const sumsToOne = (weights) => Math.abs(weights.reduce((a, b) => a + b, 0) - 1) < 0.001;
+
+const scoringMetricSchema = z
+  .object({
+    key: z.string(),
+    label: z.string(),
+    unit: z.enum(['percent', 'hours', 'days', 'months', 'ratio', 'multiple', 'number']).optional(),
+    weight: z.number().nonnegative(),
+    direction: z.enum(['higher_is_better', 'lower_is_better']),
+    target: z.number().positive().optional(),
+    ceiling: z.number().positive().optional(),
+    clamp: rangeSchema.optional()
+  })
+  .refine(
+    (m) => (m.direction === 'higher_is_better' ? m.target !== undefined : m.ceiling !== undefined),
+    {
+      message: 'higher_is_better metrics need a target; lower_is_better metrics need a ceiling'
+    }
+  );
+
+const scoringModelSchema = z.object({
+  version: z.string(),
+  released: z.string().optional(),
+  description: z.string().optional(),
+  loop_weights: z
+    .record(z.number().nonnegative())
+    .refine((w) => sumsToOne(Object.values(w)), { message: 'loop_weights must sum to 1' }),
+  clamp: z.object({ loop: rangeSchema, overall: rangeSchema }),
+  loops: z.record(
+    z.object({
+      question: z.string(),
+      metrics: z
+        .array(scoringMetricSchema)
+        .min(1)
+        .refine((metrics) => sumsToOne(metrics.map((m) => m.weight)), {
+          message: 'metric weights in a loop must sum to 1'
+        })
+    })
+  )
+});
+
+// A CRM field is filled from a lead field (optionally formatted) or set to a constant.
+const crmFieldSchema = z.union([
+  z.string(),
+  z.object({ source: z.string(), format: z.enum(['percent', 'list', 'date']).optional() }),
+  z.object({ value: z.union([z.string(), z.number(), z.boolean()]) })
+]);
+
+// `id` names the mapped field the CRM upserts on (e.g. email for contacts).
+const crmObjectMappingSchema = z
+  .object({ id: z.string(), fields: z.record(crmFieldSchema) })
+  .refine((mapping) => mapping.id in mapping.fields, {
+    message: 'id must name one of the mapped fields'
+  });
+
+const crmMappingSchema = z.object({
+  contact: crmObjectMappingSchema,
+  company: crmObjectMappingSchema
+});
+
+const fixSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_]+$/),
+  name: z.string(),
+  description: z.string(),
+  impact: z.string(),
+  implementation: z.string(),
+  difficulty: z.enum(['Easy', 'Medium', 'Hard']),
+  targets_metrics: z.array(z.string()).min(1),
+  prerequisites: z.array(z.string()).default([]),
+  expected_lift: z
+    .object({ min: z.number().nonnegative(), max: z.number().nonnegative() })
+    .refine((lift) => lift.min <= lift.max, { message: 'expected_lift.min must not exceed max' })
 });
 
-const wizardRequestSchema = z.object({
-  answers: answerSchema,
-  client_name: z.string().optional(),
-  client_id: z.string().optional(),
-  email: z.string().optional()
+const fixLibrarySchema = z.object({
+  version: z.string(),
+  description: z.string().optional(),
+  pipeline_fixes: z.array(fixSchema),
+  conversion_fixes: z.array(fixSchema),
+  expansion_fixes: z.array(fixSchema),
+  economics_fixes: z.array(fixSchema)
 });
 
-module.exports = { answerSchema, wizardRequestSchema };
+module.exports = {
+  rescoreRequestSchema,
+  submissionQuerySchema,
+  submissionExportSchema,
+  analyticsQuerySchema,
+  idempotencyKeySchema,
+  loginSchema,
+  auditQuerySchema,
+  shareCreateSchema,
+  webhookEventSchema,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  webhookDeliveryQuerySchema,
+  patternRulesSchema,
+  scoringModelSchema,
+  crmMappingSchema,
+  fixLibrarySchema
+};
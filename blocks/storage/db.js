@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const env = require('../../config/env');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Applies every migrations/NNN_name.sql newer than the recorded schema version, each in its own transaction.
+function migrate(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const record = db.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+  );
+
+  fs.readdirSync(migrationsDir)
+    .filter((file) => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort()
+    .forEach((file) => {
+      const version = parseInt(file, 10);
+      if (applied.has(version)) return;
+      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf-8');
+      db.transaction(() => {
+        db.exec(sql);
+        record.run(version, file, new Date().toISOString());
+      })();
+    });
+}
+
+function openDatabase(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+let db;
+
+// Shared connection to the application database (submissions, auth, audit log).
+function getDb() {
+  if (!db) db = openDatabase(path.resolve(process.cwd(), env.databasePath));
+  return db;
+}
+
+module.exports = { getDb, openDatabase };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const { sendErrorAlert } = require('../../communication/error-alert');
+const { SORT_COLUMNS, patternIds, summarize, dateRange } = require('../query');
+
+function matches(submission, filters) {
+  const row = summarize(submission);
+  const { start, end } = dateRange(filters.start_date, filters.end_date);
+  const search = filters.search?.toLowerCase();
+  return (
+    ['cohort', 'sector', 'employees', 'top_challenge', 'scoring_model_version'].every(
+      (field) => !filters[field] || row[field] === filters[field]
+    ) &&
+    (filters.min_ssi === undefined || (row.overall_ssi ?? -Infinity) >= filters.min_ssi) &&
+    (filters.max_ssi === undefined || (row.overall_ssi ?? Infinity) <= filters.max_ssi) &&
+    (!start || row.timestamp >= start) &&
+    (!end || row.timestamp <= end) &&
+    (!filters.pattern || patternIds(submission).includes(filters.pattern)) &&
+    (!search || [row.client_name, row.email].some((value) => value?.toLowerCase().includes(search)))
+  );
+}
+
+// Legacy single-file store. Every write rewrites the whole file, so it is only safe
+// for a single writer; kept for local development and as the import source.
+function createJsonStore({ filePath }) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    try {
+      const raw = fs.readFileSync(filePath, 'utf-8');
+      return JSON.parse(raw);
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.read' } });
+      return [];
+    }
+  }
+
+  function write(submissions) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(submissions, null, 2));
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.write' } });
+      throw err;
+    }
+  }
+
+  function get(clientId) {
+    return readAll().find((s) => s.client_id === clientId) || null;
+  }
+
+  function query(filters = {}) {
+    const column = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.timestamp;
+    const direction = filters.order === 'asc' ? 1 : -1;
+    const matched = readAll()
+      .map((submission, idx) => ({ submission, idx, value: summarize(submission)[column] }))
+      .filter(({ submission }) => matches(submission, filters))
+      .sort((a, b) => {
+        if (a.value == null || b.value == null) return (a.value == null) - (b.value == null);
+        if (a.value === b.value) return (a.idx - b.idx) * direction;
+        return (a.value < b.value ? -1 : 1) * direction;
+      });
+    const offset = filters.offset ?? 0;
+    const page =
+      filters.limit === undefined
+        ? matched.slice(offset)
+        : matched.slice(offset, offset + filters.limit);
+    return { submissions: page.map(({ submission }) => submission), total: matched.length };
+  }
+
+  function summaries(filters = {}) {
+    return readAll()
+      .filter((submission) => matches(submission, filters))
+      .map((submission) => ({ ...summarize(submission), patterns: patternIds(submission) }))
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+  }
+
+  function insert(submission) {
+    const submissions = readAll();
+    if (submissions.some((s) => s.client_id === submission.client_id)) {
+      throw Object.assign(new Error(`Submission already exists: ${submission.client_id}`), {
+        code: 'SUBMISSION_EXISTS'
+      });
+    }
+    write([...submissions, submission]);
+  }
+
+  function update(submissions) {
+    const changed = new Map(submissions.map((s) => [s.client_id, s]));
+    write(readAll().map((s) => changed.get(s.client_id) || s));
+  }
+
+  function remove(clientId) {
+    const submissions = readAll();
+    const remaining = submissions.filter((s) => s.client_id !== clientId);
+    if (remaining.length === submissions.length) return false;
+    write(remaining);
+    return true;
+  }
+
+  return { readAll, get, query, summaries, insert, update, remove };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const { sendErrorAlert } = require('../../communication/error-alert');
+const { SORT_COLUMNS, patternIds, summarize, dateRange } = require('../query');
+
+function toRow(submission) {
+  return { ...summarize(submission), data: JSON.stringify(submission) };
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function buildWhere(filters) {
+  const clauses = [];
+  const params = {};
+  ['cohort', 'sector', 'employees', 'top_challenge', 'scoring_model_version'].forEach((field) => {
+    if (filters[field]) {
+      clauses.push(`${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  });
+  if (filters.min_ssi !== undefined) {
+    clauses.push('overall_ssi >= @min_ssi');
+    params.min_ssi = filters.min_ssi;
+  }
+  if (filters.max_ssi !== undefined) {
+    clauses.push('overall_ssi <= @max_ssi');
+    params.max_ssi = filters.max_ssi;
+  }
+  const { start, end } = dateRange(filters.start_date, filters.end_date);
+  if (start) {
+    clauses.push('timestamp >= @start');
+    params.start = start;
+  }
+  if (end) {
+    clauses.push('timestamp <= @end');
+    params.end = end;
+  }
+  if (filters.pattern) {
+    clauses.push(
+      'id IN (SELECT submission_id FROM submission_patterns WHERE pattern_id = @pattern)'
+    );
+    params.pattern = filters.pattern;
+  }
+  if (filters.search) {
+    clauses.push("(client_name LIKE @search ESCAPE '\\' OR email LIKE @search ESCAPE '\\')");
+    params.search = `%${escapeLike(filters.search)}%`;
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+function createSqliteStore({ db, legacyPath }) {
+  const columns = Object.keys(toRow({ client_id: '' }));
+  const insertSql = `INSERT INTO submissions (${columns.join(', ')}) VALUES (${columns
+    .map((c) => `@${c}`)
+    .join(', ')})`;
+  const statements = {
+    selectAll: db.prepare('SELECT data FROM submissions ORDER BY id').pluck(),
+    selectOne: db.prepare('SELECT data FROM submissions WHERE client_id = ?').pluck(),
+    selectId: db.prepare('SELECT id FROM submissions WHERE client_id = ?').pluck(),
+    clearPatterns: db.prepare('DELETE FROM submission_patterns WHERE submission_id = ?'),
+    addPattern: db.prepare(
+      'INSERT OR IGNORE INTO submission_patterns (submission_id, pattern_id) VALUES (?, ?)'
+    ),
+    insert: db.prepare(insertSql),
+    insertIgnore: db.prepare(insertSql.replace('INSERT INTO', 'INSERT OR IGNORE INTO')),
+    update: db.prepare(
+      `UPDATE submissions SET ${columns
+        .filter((c) => c !== 'client_id')
+        .map((c) => `${c} = @${c}`)
+        .join(', ')} WHERE client_id = @client_id`
+    ),
+    remove: db.prepare('DELETE FROM submissions WHERE client_id = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?').pluck(),
+    setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+  };
+
+  function indexPatterns(submissionId, submission) {
+    statements.clearPatterns.run(submissionId);
+    patternIds(submission).forEach((id) => statements.addPattern.run(submissionId, id));
+  }
+
+  const insertOne = db.transaction((submission) => {
+    const { lastInsertRowid } = statements.insert.run(toRow(submission));
+    indexPatterns(lastInsertRowid, submission);
+  });
+
+  function readAll() {
+    try {
+      return statements.selectAll.all().map((data) => JSON.parse(data));
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.read' } });
+      return [];
+    }
+  }
+
+  function insert(submission) {
+    try {
+      insertOne(submission);
+    } catch (err) {
+      // A duplicate client_id is the caller's mistake, not a storage fault, so no alert.
+      if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw Object.assign(new Error(`Submission already exists: ${submission.client_id}`), {
+          code: 'SUBMISSION_EXISTS'
+        });
+      }
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.write' } });
+      throw err;
+    }
+  }
+
+  const updateMany = db.transaction((submissions) => {
+    submissions.forEach((submission) => {
+      statements.update.run(toRow(submission));
+      const id = statements.selectId.get(submission.client_id);
+      if (id !== undefined) indexPatterns(id, submission);
+    });
+  });
+
+  function update(submissions) {
+    try {
+      updateMany(submissions);
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.write' } });
+      throw err;
+    }
+  }
+
+  // submission_patterns rows go with it via ON DELETE CASCADE.
+  function remove(clientId) {
+    try {
+      return statements.remove.run(clientId).changes > 0;
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.write' } });
+      throw err;
+    }
+  }
+
+  function get(clientId) {
+    const data = statements.selectOne.get(clientId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  function query(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    const column = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.timestamp;
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const total = db.prepare(`SELECT COUNT(*) FROM submissions ${where}`).pluck().get(params);
+    const rows = db
+      .prepare(
+        `SELECT data FROM submissions ${where}
+         ORDER BY ${column} IS NULL, ${column} ${direction}, id ${direction}
+         LIMIT @limit OFFSET @offset`
+      )
+      .pluck()
+      .all({ ...params, limit: filters.limit ?? -1, offset: filters.offset ?? 0 });
+    return { submissions: rows.map((data) => JSON.parse(data)), total };
+  }
+
+  // Flat rows (see summarize) plus pattern ids for every match, without the submission payloads.
+  function summaries(filters = {}) {
+    const { where, params } = buildWhere(filters);
+    return db
+      .prepare(
+        `SELECT ${columns.filter((c) => c !== 'data').join(', ')},
+           (SELECT group_concat(pattern_id) FROM submission_patterns
+            WHERE submission_id = submissions.id) AS pattern_ids
+         FROM submissions ${where} ORDER BY timestamp`
+      )
+      .all(params)
+      .map(({ pattern_ids: ids, ...row }) => ({ ...row, patterns: ids ? ids.split(',') : [] }));
+  }
+
+  // Copies submissions from the legacy JSON file; records already present (same client_id) are skipped.
+  const importLegacyJson = db.transaction((sourcePath) => {
+    const submissions = JSON.parse(fs.readFileSync(sourcePath, 'utf-8'));
+    let imported = 0;
+    submissions.forEach((submission) => {
+      if (!submission.client_id) return;
+      const { changes, lastInsertRowid } = statements.insertIgnore.run(toRow(submission));
+      if (changes) indexPatterns(lastInsertRowid, submission);
+      imported += changes;
+    });
+    statements.setMeta.run(
+      'legacy_json_import',
+      JSON.stringify({ source: sourcePath, imported, at: new Date().toISOString() })
+    );
+    return { total: submissions.length, imported, skipped: submissions.length - imported };
+  });
+
+  if (legacyPath && !statements.getMeta.get('legacy_json_import') && fs.existsSync(legacyPath)) {
+    try {
+      importLegacyJson(legacyPath);
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.import' } });
+    }
+  }
+
+  return { readAll, get, query, summaries, insert, update, remove, importLegacyJson };
+}
+
+module.exports = { createSqliteStore };
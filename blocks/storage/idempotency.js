@@ -0,0 +1,61 @@
+const env = require('../../config/env');
+const { getDb } = require('./db');
+const { digest } = require('../auth/credentials');
+
+// Canonical body hash, so a retried request matches regardless of key order.
+function requestHash(body) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value)
+          .sort()
+          .map((key) => [key, canonical(value[key])])
+      );
+    }
+    return value;
+  };
+  return digest(JSON.stringify(canonical(body ?? null)));
+}
+
+/**
+ * Looks up a stored result for `key` within `scope` (e.g. 'POST /api/wizard'). Returns null
+ * for a new key, otherwise { matches, status, response } where `matches` is false when the
+ * key was first used with a different request body.
+ */
+function findIdempotent(scope, key, body) {
+  const row = getDb()
+    .prepare(
+      'SELECT request_hash, status, response FROM idempotency_keys WHERE scope = ? AND key = ? AND expires_at > ?'
+    )
+    .get(scope, key, new Date().toISOString());
+  if (!row) return null;
+  return {
+    matches: row.request_hash === requestHash(body),
+    status: row.status,
+    response: JSON.parse(row.response)
+  };
+}
+
+// Remembers a result for IDEMPOTENCY_TTL_HOURS and clears out lapsed keys.
+function saveIdempotent(scope, key, body, { status, response }) {
+  const db = getDb();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + env.idempotencyTtlHours * 60 * 60 * 1000);
+  db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(now.toISOString());
+  db.prepare(
+    `INSERT OR REPLACE INTO idempotency_keys
+       (scope, key, request_hash, status, response, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    scope,
+    key,
+    requestHash(body),
+    status,
+    JSON.stringify(response),
+    now.toISOString(),
+    expiresAt.toISOString()
+  );
+}
+
+module.exports = { findIdempotent, saveIdempotent };
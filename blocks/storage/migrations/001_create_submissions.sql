@@ -0,0 +1,27 @@
+CREATE TABLE submissions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  client_id TEXT NOT NULL UNIQUE,
+  timestamp TEXT NOT NULL,
+  client_name TEXT,
+  email TEXT,
+  cohort TEXT,
+  sector TEXT,
+  employees TEXT,
+  top_challenge TEXT,
+  overall_ssi REAL,
+  pipeline_score REAL,
+  conversion_score REAL,
+  expansion_score REAL,
+  economics_score REAL,
+  scoring_model_version TEXT,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX idx_submissions_cohort ON submissions (cohort);
+CREATE INDEX idx_submissions_sector ON submissions (sector);
+CREATE INDEX idx_submissions_timestamp ON submissions (timestamp);
+
+CREATE TABLE meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
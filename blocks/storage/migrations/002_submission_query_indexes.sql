@@ -0,0 +1,30 @@
+CREATE INDEX idx_submissions_overall_ssi ON submissions (overall_ssi);
+CREATE INDEX idx_submissions_top_challenge ON submissions (top_challenge);
+CREATE INDEX idx_submissions_employees ON submissions (employees);
+
+CREATE TABLE submission_patterns (
+  submission_id INTEGER NOT NULL REFERENCES submissions (id) ON DELETE CASCADE,
+  pattern_id TEXT NOT NULL,
+  PRIMARY KEY (submission_id, pattern_id)
+);
+
+CREATE INDEX idx_submission_patterns_pattern ON submission_patterns (pattern_id);
+
+-- Backfill from the latest score revision, or the original patterns when never re-scored.
+INSERT OR IGNORE INTO submission_patterns (submission_id, pattern_id)
+SELECT s.id, pattern_id FROM (
+  SELECT s.id,
+    CASE p.type
+      WHEN 'object' THEN COALESCE(json_extract(p.value, '$.id'), json_extract(p.value, '$.pattern'))
+      WHEN 'text' THEN p.value
+    END AS pattern_id
+  FROM submissions s, json_each(
+    s.data,
+    CASE
+      WHEN json_type(s.data, '$.score_revisions[#-1].patterns') = 'array'
+        THEN '$.score_revisions[#-1].patterns'
+      ELSE '$.patterns'
+    END
+  ) p
+) s
+WHERE pattern_id IS NOT NULL;
@@ -0,0 +1,13 @@
+CREATE TABLE report_shares (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_hash TEXT NOT NULL UNIQUE,
+  client_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  created_by TEXT,
+  expires_at TEXT,
+  revoked_at TEXT,
+  last_viewed_at TEXT,
+  view_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX idx_report_shares_client_id ON report_shares (client_id);
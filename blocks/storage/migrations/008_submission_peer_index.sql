@@ -0,0 +1,2 @@
+-- Peer benchmarks look submissions up by scoring model, then cohort and sector.
+CREATE INDEX idx_submissions_peer_group ON submissions (scoring_model_version, cohort, sector);
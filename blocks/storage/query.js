@@ -0,0 +1,60 @@
+// Helpers shared by the storage drivers for indexing and querying submissions.
+
+const SORT_COLUMNS = {
+  timestamp: 'timestamp',
+  overall_ssi: 'overall_ssi',
+  pipeline: 'pipeline_score',
+  conversion: 'conversion_score',
+  expansion: 'expansion_score',
+  economics: 'economics_score'
+};
+
+function latestRevision(submission) {
+  const revisions = submission.score_revisions || [];
+  return revisions[revisions.length - 1];
+}
+
+// Pattern ids from the latest score revision, or the original patterns when never re-scored.
+// Legacy submissions stored `{ pattern }` objects or plain names.
+function patternIds(submission) {
+  const patterns = latestRevision(submission)?.patterns || submission.patterns || [];
+  return patterns.map((p) => (typeof p === 'string' ? p : p?.id || p?.pattern)).filter(Boolean);
+}
+
+// Flat, queryable fields of a submission; scores reflect the latest revision.
+function summarize(submission) {
+  const latest = latestRevision(submission);
+  const scores = (latest ? latest.scores : submission.scores) || {};
+  return {
+    client_id: submission.client_id,
+    timestamp: submission.timestamp || new Date(0).toISOString(),
+    client_name: submission.client_name ?? null,
+    email: submission.email ?? null,
+    cohort: submission.cohort ?? null,
+    sector: submission.sector ?? null,
+    employees: submission.employees ?? null,
+    top_challenge: submission.answers?.question_5_top_challenge ?? null,
+    overall_ssi: (latest ? latest.overall_ssi : submission.overall_ssi) ?? null,
+    pipeline_score: scores.Pipeline ?? null,
+    conversion_score: scores.Conversion ?? null,
+    expansion_score: scores.Expansion ?? null,
+    economics_score: scores.Economics ?? null,
+    scoring_model_version:
+      (latest ? latest.scoring_model_version : submission.scoring_model_version) ?? null
+  };
+}
+
+// start_date is inclusive from midnight; end_date is inclusive to the end of that day. Both
+// are UTC days, like the stored timestamps, whatever the server's time zone.
+function dateRange(startDate, endDate) {
+  const range = {};
+  if (startDate) range.start = new Date(startDate).toISOString();
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setUTCHours(23, 59, 59, 999);
+    range.end = end.toISOString();
+  }
+  return range;
+}
+
+module.exports = { SORT_COLUMNS, patternIds, summarize, dateRange };
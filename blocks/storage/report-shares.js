@@ -0,0 +1,84 @@
+const env = require('../../config/env');
+const { getDb } = require('./db');
+const { digest, generateToken } = require('../auth/credentials');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHARE_COLUMNS =
+  'id, client_id, created_at, created_by, expires_at, revoked_at, last_viewed_at, view_count';
+
+// Path of the report page for a share token; prefix with PUBLIC_BASE_URL for links sent out.
+function reportPath(token) {
+  return `/report?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issues a share token for a submission's report. `expiresInDays` defaults to
+ * REPORT_SHARE_TTL_DAYS; 0 means the link never expires. Only a hash is stored, so the
+ * token is returned here and cannot be recovered later.
+ */
+function createShare({ clientId, expiresInDays = env.reportShareTtlDays, createdBy = null }) {
+  const token = generateToken();
+  const now = new Date();
+  const expiresAt = expiresInDays
+    ? new Date(now.getTime() + expiresInDays * DAY_MS).toISOString()
+    : null;
+  const { lastInsertRowid } = getDb()
+    .prepare(
+      `INSERT INTO report_shares (token_hash, client_id, created_at, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(digest(token), clientId, now.toISOString(), createdBy, expiresAt);
+  return {
+    id: Number(lastInsertRowid),
+    token,
+    report_url: reportPath(token),
+    expires_at: expiresAt
+  };
+}
+
+/**
+ * Looks a token up and records the view when it is usable (unless `recordView` is false).
+ * Returns null for unknown tokens, otherwise { share, status } with status 'active',
+ * 'revoked' or 'expired'.
+ */
+function resolveShare(token, { recordView = true } = {}) {
+  if (!token) return null;
+  const db = getDb();
+  const share = db
+    .prepare(`SELECT ${SHARE_COLUMNS} FROM report_shares WHERE token_hash = ?`)
+    .get(digest(token));
+  if (!share) return null;
+  const now = new Date().toISOString();
+  if (share.revoked_at) return { share, status: 'revoked' };
+  if (share.expires_at && share.expires_at <= now) return { share, status: 'expired' };
+  if (!recordView) return { share, status: 'active' };
+  db.prepare(
+    'UPDATE report_shares SET last_viewed_at = ?, view_count = view_count + 1 WHERE id = ?'
+  ).run(now, share.id);
+  return { share, status: 'active' };
+}
+
+function listShares(clientId) {
+  return getDb()
+    .prepare(`SELECT ${SHARE_COLUMNS} FROM report_shares WHERE client_id = ? ORDER BY id`)
+    .all(clientId);
+}
+
+function revokeShare(clientId, id) {
+  return (
+    getDb()
+      .prepare(
+        'UPDATE report_shares SET revoked_at = ? WHERE id = ? AND client_id = ? AND revoked_at IS NULL'
+      )
+      .run(new Date().toISOString(), id, clientId).changes > 0
+  );
+}
+
+// Share rows are keyed by client_id rather than a foreign key so they work with either
+// storage driver; deleting a submission removes its links here.
+function removeShares(clientId) {
+  return getDb().prepare('DELETE FROM report_shares WHERE client_id = ?').run(clientId).changes;
+}
+
+module.exports = { reportPath, createShare, resolveShare, listShares, revokeShare, removeShares };
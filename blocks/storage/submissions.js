@@ -1,30 +1,76 @@
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { sendErrorAlert } = require('../communication/error-alert');
+const env = require('../../config/env');
+const { createJsonStore } = require('./drivers/json');
+const { createSqliteStore } = require('./drivers/sqlite');
+const { getDb } = require('./db');
 
-const dataPath = path.join(process.cwd(), 'submissions_data.json');
+const legacyPath = path.join(process.cwd(), 'submissions_data.json');
 
-function readAll() {
-  if (!fs.existsSync(dataPath)) {
-    return [];
-  }
-  try {
-    const raw = fs.readFileSync(dataPath, 'utf-8');
-    return JSON.parse(raw);
-  } catch (err) {
-    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.read' } });
-    return [];
+// Every driver implements { readAll(), get(clientId), query(filters), summaries(filters),
+// insert(submission), update(submissions), remove(clientId) }.
+const drivers = {
+  json: () => createJsonStore({ filePath: legacyPath }),
+  sqlite: () => createSqliteStore({ db: getDb(), legacyPath })
+};
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const driver = drivers[env.storageDriver];
+    if (!driver) throw new Error(`Unknown STORAGE_DRIVER: ${env.storageDriver}`);
+    store = driver();
   }
+  return store;
+}
+
+// Random, server-issued id; unlike the old wizard_<timestamp> ids it cannot be guessed or collide.
+function generateClientId() {
+  return `wizard_${crypto.randomUUID()}`;
+}
+
+function readAll() {
+  return getStore().readAll();
+}
+
+function findByClientId(clientId) {
+  return getStore().get(clientId);
+}
+
+// Filtered, sorted page of submissions plus the total number of matches. See SORT_COLUMNS in query.js.
+function query(filters) {
+  return getStore().query(filters);
+}
+
+// Flat score/segment rows with pattern ids for every match, oldest first; used for aggregates.
+function summaries(filters) {
+  return getStore().summaries(filters);
 }
 
+// Throws an error with code 'SUBMISSION_EXISTS' when the client_id is already taken.
 function save(submission) {
-  const existing = readAll();
-  existing.push(submission);
-  try {
-    fs.writeFileSync(dataPath, JSON.stringify(existing, null, 2));
-  } catch (err) {
-    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'storage.write' } });
-  }
+  getStore().insert(submission);
+}
+
+// Persists changes to existing submissions, matched by client_id.
+function update(submissions) {
+  getStore().update(submissions);
+}
+
+// Deletes a submission by client_id; returns false when it did not exist.
+function remove(clientId) {
+  return getStore().remove(clientId);
 }
 
-module.exports = { readAll, save };
+module.exports = {
+  generateClientId,
+  readAll,
+  findByClientId,
+  query,
+  summaries,
+  save,
+  update,
+  remove,
+  getStore
+};
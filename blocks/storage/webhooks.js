@@ -0,0 +1,171 @@
+const { getDb } = require('./db');
+const { generateToken } = require('../auth/credentials');
+
+const SUBSCRIPTION_COLUMNS =
+  'id, url, events, description, active, created_at, created_by, updated_at';
+
+const DELIVERY_COLUMNS = `d.id, d.subscription_id, s.url, d.event_id, d.event, d.status, d.attempts,
+  d.last_status_code, d.last_error, d.created_at, d.updated_at, d.delivered_at`;
+
+const toSubscription = (row) =>
+  row && { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+
+function getSubscription(id) {
+  return toSubscription(
+    getDb()
+      .prepare(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = ?`)
+      .get(id)
+  );
+}
+
+function listSubscriptions() {
+  return getDb()
+    .prepare(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY id`)
+    .all()
+    .map(toSubscription);
+}
+
+/**
+ * Adds a subscription with a fresh signing secret. The secret is kept in plain text because
+ * every delivery is signed with it, but it is only returned here; listings leave it out.
+ */
+function createSubscription({ url, events, description = null, createdBy = null }) {
+  const secret = `whsec_${generateToken()}`;
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = getDb()
+    .prepare(
+      `INSERT INTO webhook_subscriptions
+         (url, events, secret, description, created_at, created_by, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(url, JSON.stringify(events), secret, description, now, createdBy, now);
+  return { ...getSubscription(Number(lastInsertRowid)), secret };
+}
+
+// Applies the given fields; returns the updated subscription, or null when it doesn't exist.
+function updateSubscription(id, { url, events, description, active }) {
+  const fields = { url, events: events && JSON.stringify(events), description };
+  if (active !== undefined) fields.active = active ? 1 : 0;
+  const sets = Object.keys(fields).filter((key) => fields[key] !== undefined);
+  const { changes } = getDb()
+    .prepare(
+      `UPDATE webhook_subscriptions SET ${[...sets.map((key) => `${key} = @${key}`), 'updated_at = @now'].join(', ')}
+       WHERE id = @id`
+    )
+    .run({
+      ...Object.fromEntries(sets.map((key) => [key, fields[key]])),
+      now: new Date().toISOString(),
+      id
+    });
+  return changes ? getSubscription(id) : null;
+}
+
+// Also removes the subscription's delivery log (ON DELETE CASCADE).
+function removeSubscription(id) {
+  return getDb().prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(id).changes > 0;
+}
+
+// Active subscriptions listening for `event`, with their secrets, for the dispatcher.
+function subscribersFor(event) {
+  return getDb()
+    .prepare(
+      `SELECT id, url, secret FROM webhook_subscriptions
+       WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(events) WHERE value = ?)
+       ORDER BY id`
+    )
+    .all(event);
+}
+
+function createDelivery({ subscriptionId, eventId, event, payload }) {
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = getDb()
+    .prepare(
+      `INSERT INTO webhook_deliveries
+         (subscription_id, event_id, event, payload, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(subscriptionId, eventId, event, JSON.stringify(payload), now, now);
+  return Number(lastInsertRowid);
+}
+
+// Everything needed to send a delivery: its payload plus the subscription's url and secret.
+function deliveryForSend(id) {
+  const row = getDb()
+    .prepare(
+      `SELECT d.id, d.event_id, d.event, d.payload, s.url, s.secret, s.active
+       FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.id = ?`
+    )
+    .get(id);
+  return row && { ...row, payload: JSON.parse(row.payload), active: Boolean(row.active) };
+}
+
+function recordAttempt(id, { statusCode = null, error = null, delivered = false }) {
+  const now = new Date().toISOString();
+  getDb()
+    .prepare(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1, last_status_code = ?, last_error = ?, updated_at = ?,
+           status = CASE WHEN ? THEN 'delivered' ELSE status END,
+           delivered_at = CASE WHEN ? THEN ? ELSE delivered_at END
+       WHERE id = ?`
+    )
+    .run(statusCode, error, now, delivered ? 1 : 0, delivered ? 1 : 0, now, id);
+}
+
+function markDeliveryDead(id, error) {
+  getDb()
+    .prepare(
+      "UPDATE webhook_deliveries SET status = 'dead', last_error = ?, updated_at = ? WHERE id = ?"
+    )
+    .run(error, new Date().toISOString(), id);
+}
+
+// Puts a finished (delivered or dead) delivery back to pending; false if it is still pending.
+function resetDelivery(id) {
+  return (
+    getDb()
+      .prepare(
+        "UPDATE webhook_deliveries SET status = 'pending', updated_at = ? WHERE id = ? AND status != 'pending'"
+      )
+      .run(new Date().toISOString(), id).changes > 0
+  );
+}
+
+function listDeliveries({ status, subscriptionId, limit = 50, offset = 0 } = {}) {
+  const clauses = [];
+  const params = { limit, offset };
+  if (status) {
+    clauses.push('d.status = @status');
+    params.status = status;
+  }
+  if (subscriptionId) {
+    clauses.push('d.subscription_id = @subscriptionId');
+    params.subscriptionId = subscriptionId;
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const from = 'webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id';
+  const db = getDb();
+  const total = db.prepare(`SELECT COUNT(*) FROM ${from} ${where}`).pluck().get(params);
+  const deliveries = db
+    .prepare(
+      `SELECT ${DELIVERY_COLUMNS} FROM ${from} ${where} ORDER BY d.id DESC LIMIT @limit OFFSET @offset`
+    )
+    .all(params);
+  return { deliveries, total };
+}
+
+module.exports = {
+  getSubscription,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  removeSubscription,
+  subscribersFor,
+  createDelivery,
+  deliveryForSend,
+  recordAttempt,
+  markDeliveryDead,
+  resetDelivery,
+  listDeliveries
+};
@@ -4,6 +4,47 @@ const env = {
   sendgridApiKey: process.env.SENDGRID_API_KEY || '',
   emailFrom: process.env.EMAIL_FROM || '',
   emailTo: process.env.EMAIL_TO || '',
+  emailNotificationsEnabled: process.env.EMAIL_NOTIFICATIONS_ENABLED === 'true',
+  smtpHost: process.env.SMTP_HOST || '',
+  smtpPort: parseInt(process.env.SMTP_PORT || '587', 10),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER || '',
+  smtpPass: process.env.SMTP_PASS || '',
+  emailMaxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS || '4', 10),
+  emailRetryBaseMs: parseInt(process.env.EMAIL_RETRY_BASE_MS || '2000', 10),
+  reportEmailEnabled: process.env.REPORT_EMAIL_ENABLED === 'true',
+  outboundPollMs: parseInt(process.env.OUTBOUND_POLL_MS || '5000', 10),
+  outboundMaxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS || '6', 10),
+  outboundRetryBaseMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS || '30000', 10),
+  outboundLeaseMs: parseInt(process.env.OUTBOUND_LEASE_MS || '300000', 10),
+  reportShareTtlDays: parseInt(process.env.REPORT_SHARE_TTL_DAYS || '90', 10),
+  pdfConcurrency: parseInt(process.env.PDF_CONCURRENCY || '2', 10),
+  pdfQueueLimit: parseInt(process.env.PDF_QUEUE_LIMIT || '20', 10),
+  pdfRenderTimeoutMs: parseInt(process.env.PDF_RENDER_TIMEOUT_MS || '30000', 10),
+  pdfBrowserMaxRenders: parseInt(process.env.PDF_BROWSER_MAX_RENDERS || '100', 10),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  crmProvider: process.env.CRM_PROVIDER || '',
+  crmBaseUrl: process.env.CRM_BASE_URL || '',
+  crmAccessToken: process.env.CRM_ACCESS_TOKEN || '',
+  crmMappingPath: process.env.CRM_MAPPING_PATH || '',
+  crmDryRun: process.env.CRM_DRY_RUN === 'true',
+  crmDryRunDir: process.env.CRM_DRY_RUN_DIR || 'data/crm-dry-run',
+  crmTimeoutMs: parseInt(process.env.CRM_TIMEOUT_MS || '10000', 10),
+  idempotencyTtlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10),
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+  storageDriver: process.env.STORAGE_DRIVER || 'sqlite',
+  databasePath: process.env.DATABASE_PATH || 'data/signal-rating.db',
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS || '12', 10),
+  corsOrigins: (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+  adminEmail: process.env.ADMIN_EMAIL || '',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
+  analyticsMinGroupSize: parseInt(process.env.ANALYTICS_MIN_GROUP_SIZE || '5', 10),
+  peerMinGroupSize: parseInt(process.env.PEER_MIN_GROUP_SIZE || '10', 10),
+  nodeEnv: process.env.NODE_ENV || 'development',
+  scoringModelVersion: process.env.SCORING_MODEL_VERSION || 'v1',
   port: parseInt(process.env.PORT || '3000', 10)
 };
 
@@ -1,5 +1,18 @@
-// Simplified Report Page Logic - Reads from localStorage only
-// No client selection, no API calls, self-contained one-time experience
+// Simplified Report Page Logic - Reads a shared report by ?token=, else from localStorage
+// No client selection, self-contained one-time experience
+
+// Shared API client (app_shared/sdk/asr-client.js), also used by the Next.js pages
+const api = AsrClient.createClient();
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[c]);
+}
 
 document.addEventListener('DOMContentLoaded', function() {
     // Set report generation date
@@ -16,6 +29,13 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 function loadReport() {
+    // Share links load the stored report from the server, so they work on any device
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) {
+        loadSharedReport(token);
+        return;
+    }
+
     // Get results from localStorage
     const resultsJSON = localStorage.getItem('wizardResults');
 
@@ -36,13 +56,29 @@ function loadReport() {
     }
 }
 
-function showNoDataState() {
+async function loadSharedReport(token) {
+    try {
+        const results = await api.getReport(token);
+        renderReport({ ...results, clientName: results.clientName || 'Your Company' });
+    } catch (error) {
+        if (error instanceof AsrClient.ApiError && error.status === 410) {
+            showNoDataState('This report link has expired or been revoked.');
+        } else if (error instanceof AsrClient.ApiError && error.status === 404) {
+            showNoDataState('This report link is not valid.');
+        } else {
+            console.error('Error loading shared report:', error);
+            showNoDataState();
+        }
+    }
+}
+
+function showNoDataState(message) {
     const reportContent = document.getElementById('report-content');
     reportContent.innerHTML = `
         <div class="no-data-state">
             <i class="fas fa-chart-line"></i>
             <h3>No Report Data Available</h3>
-            <p>Complete the assessment to view your results</p>
+            <p>${message || 'Complete the assessment to view your results'}</p>
             <button class="cta-button primary" onclick="window.location.href='/wizard.html'" style="margin-top: 24px;">
                 <i class="fas fa-arrow-left"></i> Take Assessment
             </button>
@@ -58,6 +94,7 @@ function renderReport(results) {
     const pipelineScore = Math.round(results.loop_scores.Pipeline * 100);
     const conversionScore = Math.round(results.loop_scores.Conversion * 100);
     const expansionScore = Math.round(results.loop_scores.Expansion * 100);
+    const economicsScore = Math.round((results.loop_scores.Economics || 0) * 100);
 
     // Get priority recommendations
     const recommendations = results.priority_recommendations || [];
@@ -67,21 +104,27 @@ function renderReport(results) {
     const loopScoresArray = [
         { name: 'Pipeline', score: pipelineScore },
         { name: 'Conversion', score: conversionScore },
-        { name: 'Expansion', score: expansionScore }
+        { name: 'Expansion', score: expansionScore },
+        { name: 'Economics', score: economicsScore }
     ];
     loopScoresArray.sort((a, b) => b.score - a.score);
     const strongestLoop = loopScoresArray[0];
-    const weakestLoop = loopScoresArray[2];
+    const weakestLoop = loopScoresArray[loopScoresArray.length - 1];
+
+    // The company name is whatever the prospect typed, so it is escaped before any innerHTML
+    const clientName = escapeHtml(results.clientName);
 
     // Generate contextual insights
-    const insights = generateInsights(results.clientName, overallScore, strongestLoop, weakestLoop);
+    const insights = generateInsights(clientName, overallScore, strongestLoop, weakestLoop);
 
     reportContent.innerHTML = `
         <!-- Overall ASR Score -->
         <div class="ais-score-section">
             <div class="ais-score-large">${overallScore}</div>
             <div class="ais-label-large">Alpine Signal Rating (ASR™)</div>
-            <div class="ais-description">Overall GTM Infrastructure Health for ${results.clientName}</div>
+            <div class="ais-description">Overall GTM Infrastructure Health for ${clientName}</div>
+            ${results.benchmark_set ? `<div class="ais-description">Benchmarked against ${results.benchmark_set.label}</div>` : ''}
+            ${generatePeerComparison(results.peer_benchmark)}
         </div>
 
         <!-- Key Insights & Commentary -->
@@ -96,6 +139,7 @@ function renderReport(results) {
                 ${insights.loopAnalysis}
                 <br><br>
                 ${insights.actionableOutcome}
+                ${results.suggested_chapter ? `<br><br>Based on your top challenge, start with <strong>${results.suggested_chapter.replace('_', ' ')}</strong> of The Alpine System.` : ''}
             </div>
         </div>
 
@@ -151,8 +195,27 @@ function renderReport(results) {
                     Customer retention and revenue expansion
                 </div>
             </div>
+
+            <!-- Economics -->
+            <div class="pce-loop-card">
+                <div class="pce-loop-header">
+                    <div class="pce-loop-title">
+                        <i class="fas fa-coins"></i>
+                        Economics
+                    </div>
+                    <div class="pce-loop-score ${getScoreClass(economicsScore)}">${economicsScore}</div>
+                </div>
+                <div class="pce-loop-bar">
+                    <div class="pce-loop-fill ${getScoreClass(economicsScore)}" style="width: ${economicsScore}%"></div>
+                </div>
+                <div class="pce-loop-description">
+                    Unit economics, CAC payback, and burn efficiency
+                </div>
+            </div>
         </div>
 
+        ${generateMetricBreakdown(results.metric_breakdown || [])}
+
         <!-- Priority Recommendations -->
         <div class="recommendations-section" style="margin: 48px 0;">
             <h2 class="section-title">
@@ -188,7 +251,7 @@ function renderReport(results) {
                 Get Your Complete PDF Report
             </h2>
             <p style="color: var(--light-gray); font-size: 16px; line-height: 1.6; max-width: 650px; margin: 0 auto 24px;">
-                Download the full PDF for detailed fix recommendations, implementation roadmap, and priority sequencing across all three GTM loops. Take this report to your team and start addressing your highest-impact opportunities immediately.
+                Download the full PDF for detailed fix recommendations, implementation roadmap, and priority sequencing across all four GTM loops. Take this report to your team and start addressing your highest-impact opportunities immediately.
             </p>
             <button class="cta-button primary" onclick="downloadResults()" style="padding: 16px 32px; background: var(--cyan); color: var(--bg); border: none; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; transition: all 0.2s; display: inline-flex; align-items: center; gap: 10px;">
                 <i class="fas fa-download"></i>
@@ -241,6 +304,81 @@ function renderReport(results) {
     `;
 }
 
+function generateMetricBreakdown(metrics) {
+    if (metrics.length === 0) return '';
+
+    const rows = metrics.map(metric => `
+        <tr style="border-bottom: 1px solid var(--border);">
+            <td style="padding: 10px 12px; color: ${metric.meets_target ? 'var(--white)' : 'var(--red)'};">${metric.name}</td>
+            <td style="padding: 10px 12px; color: var(--light-gray);">${metric.loop}</td>
+            <td style="padding: 10px 12px; color: var(--white); font-weight: 600;">${metric.formatted_value}</td>
+            <td style="padding: 10px 12px; color: var(--light-gray);">${metric.formatted_target || '—'}</td>
+            <td style="padding: 10px 12px; color: var(--light-gray);">${Math.round(metric.contribution * 100)} / ${Math.round(metric.weight * 100)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <!-- Metric Breakdown -->
+        <div class="metric-breakdown-section" style="background: var(--card-bg); padding: 32px; border-radius: var(--radius-lg); margin: 32px 0; border: 1px solid var(--border);">
+            <h2 class="section-title" style="margin-top: 0;">
+                <i class="fas fa-table"></i>
+                Metric Breakdown
+            </h2>
+            <p style="color: var(--light-gray); margin-bottom: 16px;">
+                Estimated from your ratings. Contribution is each metric's share of its loop score, in points; metrics in red are below target.
+            </p>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px; text-align: left;">
+                <thead>
+                    <tr style="color: var(--cyan); text-transform: uppercase; font-size: 12px; letter-spacing: 0.5px;">
+                        <th style="padding: 10px 12px;">Metric</th>
+                        <th style="padding: 10px 12px;">Loop</th>
+                        <th style="padding: 10px 12px;">Yours</th>
+                        <th style="padding: 10px 12px;">Target</th>
+                        <th style="padding: 10px 12px;">Contribution</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Percentile badge against stored peer submissions (computed by the server).
+ */
+function generatePeerComparison(peerBenchmark) {
+    if (!peerBenchmark || peerBenchmark.overall_ssi.percentile === null) return '';
+
+    const groupLabels = {
+        cohort_sector: 'companies in your ARR band and sector',
+        cohort: 'companies in your ARR band',
+        sector: 'companies in your sector',
+        all: 'all assessed companies'
+    };
+    const overall = peerBenchmark.overall_ssi;
+    const isAbove = overall.percentile >= 50;
+    const loopBadges = Object.entries(peerBenchmark.loop_scores)
+        .filter(([, c]) => c.percentile !== null)
+        .map(([loop, c]) => `<span style="margin: 0 8px;">${loop}: P${c.percentile}</span>`)
+        .join('');
+
+    return `
+        <div style="margin-top: 24px; padding: 16px; background: ${isAbove ? '#ecfdf5' : '#fef3c7'}; border: 1px solid ${isAbove ? '#6ee7b7' : '#fcd34d'}; border-radius: 12px;">
+            <div style="display: flex; align-items: center; justify-content: center; gap: 12px;">
+                <span style="color: #6b7280; font-size: 14px; font-weight: 500;">
+                    vs ${peerBenchmark.peer_group.size} ${groupLabels[peerBenchmark.peer_group.level]} (median ${Math.round(overall.peer_median * 100)}):
+                </span>
+                <span style="font-size: 20px; font-weight: 700; color: ${isAbove ? '#059669' : '#d97706'};">
+                    Ahead of ${overall.percentile}% of peers
+                </span>
+            </div>
+            <p style="margin: 8px 0 0; text-align: center; font-size: 13px; color: #6b7280;">
+                ${loopBadges}
+            </p>
+        </div>
+    `;
+}
+
 function getScoreClass(score) {
     if (score >= 70) return 'score-high';
     if (score >= 40) return 'score-medium';
@@ -282,7 +420,7 @@ function generateInsights(clientName, overallScore, strongestLoop, weakestLoop)
     const loopAnalysis = `The <strong>${weakestLoop.name}</strong> loop (${weakestLoop.score}) represents the ${concernLevel} and should be the focus of immediate improvement efforts. In contrast, the <strong>${strongestLoop.name}</strong> loop (${strongestLoop.score}) shows relative strength and can serve as a foundation for broader GTM improvements.`;
 
     // Actionable outcome
-    const actionableOutcome = `By addressing the priority metrics identified below, <strong>${clientName}</strong> can expect to see measurable improvements in pipeline velocity, conversion rates, and customer expansion within 90 days.`;
+    const actionableOutcome = `By addressing the priority metrics identified below, <strong>${clientName}</strong> can expect to see measurable improvements in pipeline velocity, conversion rates, customer expansion, and unit economics within 90 days.`;
 
     return {
         mainInsight,
@@ -316,6 +454,9 @@ function generatePriorityRecommendations(loopScoresArray) {
             case 'Expansion':
                 description = 'Strengthen customer retention, reduce churn, and build expansion revenue streams. Schedule a diagnostic call to see your detailed Expansion metrics and custom fix roadmap.';
                 break;
+            case 'Economics':
+                description = 'Shorten CAC payback, lower your burn multiple, and improve LTV:CAC so growth funds itself. Schedule a diagnostic call to see your detailed Economics metrics and custom fix roadmap.';
+                break;
         }
 
         recommendations.push({
@@ -344,29 +485,13 @@ async function downloadResults() {
         btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generating PDF...';
         btn.disabled = true;
 
-        // Use relative path for both local and production
-        const API_ENDPOINT = '/api/generate-pdf';
-
         // Call backend to generate PDF
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(results)
-        });
-
-        if (!response.ok) {
-            throw new Error('PDF generation failed');
-        }
-
-        // Get response with download URL
-        const data = await response.json();
+        const data = await api.generatePdf(results);
         console.log('PDF generated, downloading from:', data.downloadUrl);
 
         // Download the PDF using the provided URL
         const a = document.createElement('a');
-        a.href = data.downloadUrl;
+        a.href = api.url(data.downloadUrl);
         a.download = data.filename;
         a.style.display = 'none';
         document.body.appendChild(a);
@@ -383,7 +508,11 @@ async function downloadResults() {
 
     } catch (error) {
         console.error('Error downloading PDF:', error);
-        alert('Failed to generate PDF. Please try again or contact support.');
+        if (error instanceof AsrClient.ApiError && error.status === 429) {
+            alert('We are generating a lot of reports right now. Please try again in a minute.');
+        } else {
+            alert('Failed to generate PDF. Please try again or contact support.');
+        }
 
         // Reset button
         const btn = event.target.closest('button');
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Manage admin accounts and API keys.
+ *
+ *   node scripts/auth.js create-user --email you@company.com --role admin   (password from AUTH_PASSWORD or prompt)
+ *   node scripts/auth.js disable-user --email you@company.com
+ *   node scripts/auth.js create-api-key --name reporting --role viewer
+ *   node scripts/auth.js revoke-api-key --id 3
+ *   node scripts/auth.js list
+ *
+ * Roles: viewer (aggregate analytics only) and admin (submissions, PII, re-scoring, deletes).
+ */
+require('dotenv').config();
+const readline = require('readline');
+const {
+  createUser,
+  listUsers,
+  disableUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../blocks/auth/store');
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = { command, role: 'viewer' };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--email') args.email = rest[++i];
+    else if (arg === '--role') args.role = rest[++i];
+    else if (arg === '--name') args.name = rest[++i];
+    else if (arg === '--id') args.id = parseInt(rest[++i], 10);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function required(value, flag) {
+  if (!value) throw new Error(`Missing ${flag}`);
+  return value;
+}
+
+function promptPassword() {
+  if (process.env.AUTH_PASSWORD) return Promise.resolve(process.env.AUTH_PASSWORD);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question('Password (min 12 characters): ', (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  switch (args.command) {
+    case 'create-user': {
+      const email = required(args.email, '--email');
+      const user = await createUser({ email, password: await promptPassword(), role: args.role });
+      console.log(`Created ${user.role} ${user.email}`);
+      break;
+    }
+    case 'disable-user': {
+      const email = required(args.email, '--email');
+      if (!disableUser(email)) throw new Error(`No user ${email}`);
+      console.log(`Disabled ${email} and ended their sessions`);
+      break;
+    }
+    case 'create-api-key': {
+      const key = createApiKey({ name: required(args.name, '--name'), role: args.role });
+      console.log(
+        `Created ${key.role} key #${key.id} (${key.name}). Store it now; it is not shown again:`
+      );
+      console.log(key.key);
+      break;
+    }
+    case 'revoke-api-key': {
+      if (!revokeApiKey(required(args.id, '--id'))) throw new Error(`No active key #${args.id}`);
+      console.log(`Revoked key #${args.id}`);
+      break;
+    }
+    case 'list':
+      console.table(listUsers());
+      console.table(listApiKeys());
+      break;
+    default:
+      throw new Error(
+        'Usage: auth.js <create-user|disable-user|create-api-key|revoke-api-key|list> [options]'
+      );
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * Contract tests for the public API: starts server.js against a throwaway database, drives
+ * it through the generated client SDK and checks every response against the schemas in
+ * app_shared/types.ts. Undeclared fields count as drift, so new response fields must be
+ * added to the schemas (and the SDK regenerated) before the build passes.
+ *
+ *   node scripts/contract-check.js
+ *
+ * Exits 1 on drift. PDF rendering is not exercised because it needs a Chrome install.
+ */
+const { z } = require('zod');
+const { loadSharedTypes } = require('./lib/shared-types');
+const { startServer } = require('./lib/server-process');
+const { staleSdkFiles } = require('./generate-sdk');
+
+// Rebuilds a schema with every object strict, so undeclared keys fail at any depth.
+function strict(schema) {
+  if (schema instanceof z.ZodObject) {
+    const shape = Object.fromEntries(
+      Object.entries(schema.shape).map(([key, value]) => [key, strict(value)])
+    );
+    return z.object(shape).strict();
+  }
+  if (schema instanceof z.ZodOptional) return strict(schema.unwrap()).optional();
+  if (schema instanceof z.ZodNullable) return strict(schema.unwrap()).nullable();
+  if (schema instanceof z.ZodArray) return z.array(strict(schema.element));
+  if (schema instanceof z.ZodRecord) return z.record(strict(schema.valueSchema));
+  if (schema instanceof z.ZodUnion) return z.union(schema.options.map(strict));
+  return schema;
+}
+
+// The first option of every question, so the fixture follows wizard_questions.json.
+function sampleAnswers() {
+  const config = require('../public/wizard_questions.json');
+  const answers = { user_email: 'contract-check@example.com', company_name: 'Contract Check' };
+  for (const [key, question] of Object.entries({ ...config.qualifiers, ...config.questions })) {
+    if (question.options?.length) answers[key] = question.options[0].value;
+  }
+  return answers;
+}
+
+async function runChecks(client, types, ENDPOINTS) {
+  const failures = [];
+  const report = (label, result) => {
+    if (result.success) {
+      console.log(`  ok    ${label}`);
+      return;
+    }
+    console.log(`  FAIL  ${label}`);
+    for (const issue of result.error.issues) {
+      console.log(`          ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    }
+    failures.push(label);
+  };
+  const check = (label, schema, body) => report(label, strict(schema).safeParse(body));
+  const expectStatus = async (label, status, promise) => {
+    try {
+      await promise;
+      console.log(`  FAIL  ${label}: expected ${status}, request succeeded`);
+      failures.push(label);
+    } catch (err) {
+      if (err.status !== status) {
+        console.log(`  FAIL  ${label}: expected ${status}, got ${err.status || err.message}`);
+        failures.push(label);
+        return;
+      }
+      report(label, types.errorResponseSchema.safeParse(err.body));
+    }
+  };
+
+  const request = {
+    answers: sampleAnswers(),
+    client_name: 'Contract Check',
+    report_email_consent: false
+  };
+  types.wizardRequestSchema.parse(request);
+
+  const submitted = await client.submitWizard(request, { idempotencyKey: 'contract-check' });
+  check('POST /api/v1/submissions', types.wizardResponseSchema, submitted);
+  const replayed = await client.submitWizard(request, { idempotencyKey: 'contract-check' });
+  check('POST /api/v1/submissions (idempotent replay)', types.wizardResponseSchema, replayed);
+  if (replayed.client_id !== submitted.client_id) {
+    console.log('  FAIL  idempotent replay returned a different client_id');
+    failures.push('idempotent replay');
+  }
+  await expectStatus(
+    'POST /api/v1/submissions (invalid body)',
+    400,
+    client.submitWizard({ answers: 1 })
+  );
+
+  const token = submitted.share && submitted.share.token;
+  if (token) {
+    check(
+      'GET /api/v1/reports/:token',
+      types.sharedReportResponseSchema,
+      await client.getReport(token)
+    );
+  } else {
+    console.log('  FAIL  POST /api/v1/submissions returned no share token');
+    failures.push('share token');
+  }
+  await expectStatus('GET /api/v1/reports/:token (unknown)', 404, client.getReport('not-a-token'));
+  await expectStatus(
+    'GET /api/generate-pdf/jobs/:id (unknown)',
+    404,
+    client.getPdfJob('no-such-job')
+  );
+
+  if (token) {
+    check(
+      'POST /api/v1/simulations (share_token)',
+      types.simulateResponseSchema,
+      await client.simulate({ share_token: token, rating_changes: { Pipeline: 5 } })
+    );
+  }
+  await expectStatus(
+    'POST /api/v1/simulations (client_id without credentials)',
+    401,
+    client.simulate({ client_id: submitted.client_id })
+  );
+  check(
+    'POST /api/v1/simulations (answers)',
+    types.simulateResponseSchema,
+    await client.simulate({ answers: request.answers, lift: 'max' })
+  );
+  await expectStatus('POST /api/v1/simulations (invalid body)', 400, client.simulate({}));
+
+  // /api/v1 drops undeclared fields, so they can only be spotted on the unversioned routes
+  // that share its handlers.
+  const unversioned = async (method, pathname, body) => {
+    const res = await fetch(client.url(pathname), {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return res.json();
+  };
+  check(
+    'POST /api/wizard',
+    types.wizardResponseSchema,
+    await unversioned('POST', '/api/wizard', request)
+  );
+  if (token) {
+    check(
+      'GET /api/reports/:token',
+      types.sharedReportResponseSchema,
+      await unversioned('GET', `/api/reports/${encodeURIComponent(token)}`)
+    );
+  }
+  check(
+    'POST /api/simulate',
+    types.simulateResponseSchema,
+    await unversioned('POST', '/api/simulate', { answers: request.answers })
+  );
+
+  // Every versioned SDK call must be documented in the OpenAPI document.
+  const spec = await (await fetch(client.url('/api/v1/openapi.json'))).json();
+  const undocumented = Object.values(ENDPOINTS)
+    .filter((endpoint) => endpoint.path.startsWith('/api/v1/'))
+    .filter((endpoint) => {
+      const specPath = endpoint.path.replace(/:(\w+)/g, '{$1}');
+      return !spec.paths?.[specPath]?.[endpoint.method.toLowerCase()];
+    });
+  if (/^3\./.test(spec.openapi) && !undocumented.length) {
+    console.log('  ok    GET /api/v1/openapi.json');
+  } else {
+    console.log('  FAIL  GET /api/v1/openapi.json');
+    undocumented.forEach((endpoint) =>
+      console.log(`          missing ${endpoint.method} ${endpoint.path}`)
+    );
+    failures.push('openapi.json');
+  }
+
+  return failures;
+}
+
+async function main() {
+  const stale = staleSdkFiles();
+  if (stale.length) {
+    throw new Error(
+      `Generated API files are out of date (${stale.join(', ')}); run npm run sdk:generate.`
+    );
+  }
+
+  const types = loadSharedTypes();
+  const { ENDPOINTS, createClient } = require('../app_shared/sdk/asr-client');
+  const server = await startServer();
+  const { baseUrl } = server;
+
+  try {
+    console.log(`Checking API responses against app_shared/types.ts (${baseUrl})`);
+    const failures = await runChecks(createClient({ baseUrl }), types, ENDPOINTS);
+    if (failures.length) {
+      throw new Error(
+        `${failures.length} contract check(s) failed; update the server or the schemas.`
+      );
+    }
+    console.log('API contract holds.');
+  } finally {
+    await server.stop();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
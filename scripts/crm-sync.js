@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Sync stored leads to the CRM set by CRM_PROVIDER, e.g. to backfill leads captured before
+ * the sync was switched on.
+ *
+ *   node scripts/crm-sync.js (--all | --client wizard_123 ...) [--dry-run]
+ *
+ * Syncs are queued and sent by the server's outbound worker. With --dry-run (or
+ * CRM_DRY_RUN=true) the requests are written to CRM_DRY_RUN_DIR right away instead.
+ */
+require('dotenv').config();
+const env = require('../config/env');
+const { readAll, findByClientId } = require('../blocks/storage/submissions');
+const { isEnabled, queueCrmSync, syncSubmission } = require('../blocks/communication/crm-sync');
+
+function parseArgs(argv) {
+  const args = { all: false, clientIds: [], dryRun: env.crmDryRun };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all') args.all = true;
+    else if (arg === '--client') args.clientIds.push(argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (args.all === Boolean(args.clientIds.length)) {
+    throw new Error('Pass either --all or one or more --client ids');
+  }
+  return args;
+}
+
+function selectSubmissions(args) {
+  if (args.all) return readAll();
+  return args.clientIds.map((clientId) => {
+    const submission = findByClientId(clientId);
+    if (!submission) throw new Error(`Unknown client_id: ${clientId}`);
+    return submission;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!isEnabled()) throw new Error('CRM_PROVIDER is not set');
+  const submissions = selectSubmissions(args).filter((submission) => submission.email);
+  if (args.dryRun) {
+    for (const submission of submissions) {
+      const { file } = await syncSubmission(submission, { dryRun: true });
+      console.log(`${submission.client_id} -> ${file}`);
+    }
+    console.log(`Wrote ${submissions.length} dry-run sync(s) for ${env.crmProvider}`);
+    return;
+  }
+  const queued = submissions.filter((submission) => queueCrmSync(submission) !== null).length;
+  console.log(
+    `Queued ${queued} of ${submissions.length} lead(s) with an email for ${env.crmProvider}`
+  );
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Generate the client SDK that both frontends use to call the public API, and the
+ * server's compiled copy of the API schemas.
+ *
+ *   node scripts/generate-sdk.js          # write app_shared/sdk/asr-client.{js,d.ts} and
+ *                                         # blocks/shared/api-contract.js
+ *   node scripts/generate-sdk.js --check  # exit 1 when the committed files are out of date
+ *
+ * Request and response shapes come from the zod schemas in app_shared/types.ts, and
+ * SCHEMA_HASH changes whenever they do. Bump SDK_VERSION when the client surface changes.
+ * server.js validates /api/v1 traffic and builds its OpenAPI document from
+ * blocks/shared/api-contract.js, because TypeScript is not installed in production.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { zodToJsonSchema } = require('zod-to-json-schema');
+const { loadSharedTypes, transpileSharedTypes } = require('./lib/shared-types');
+
+const SDK_VERSION = '1.2.0';
+const SDK_DIR = path.join(__dirname, '..', 'app_shared', 'sdk');
+const CONTRACT_PATH = path.join(__dirname, '..', 'blocks', 'shared', 'api-contract.js');
+
+// Client method -> route and the types.ts schemas describing its body and response.
+const ENDPOINTS = {
+  submitWizard: {
+    method: 'POST',
+    path: '/api/v1/submissions',
+    request: 'wizardRequestSchema',
+    response: 'wizardResponseSchema'
+  },
+  getReport: {
+    method: 'GET',
+    path: '/api/v1/reports/:token',
+    request: null,
+    response: 'sharedReportResponseSchema'
+  },
+  simulate: {
+    method: 'POST',
+    path: '/api/v1/simulations',
+    request: 'simulateRequestSchema',
+    response: 'simulateResponseSchema'
+  },
+  // Not in /api/v1 yet. The body is a report (a wizard or shared-report response).
+  generatePdf: {
+    method: 'POST',
+    path: '/api/generate-pdf',
+    request: null,
+    response: 'generatePdfResponseSchema'
+  },
+  getPdfJob: {
+    method: 'GET',
+    path: '/api/generate-pdf/jobs/:id',
+    request: null,
+    response: 'pdfJobResponseSchema'
+  }
+};
+
+const HEADER =
+  '// Generated by scripts/generate-sdk.js from app_shared/types.ts. Do not edit by hand;\n' +
+  '// run `npm run sdk:generate` after changing the schemas.\n';
+
+const schemaName = (exportName) => exportName.replace(/Schema$/, '');
+
+function buildManifest(types) {
+  const schemas = {};
+  for (const endpoint of Object.values(ENDPOINTS)) {
+    for (const exportName of [endpoint.request, endpoint.response, 'errorResponseSchema']) {
+      if (!exportName || schemas[schemaName(exportName)]) continue;
+      if (!types[exportName]) throw new Error(`app_shared/types.ts does not export ${exportName}`);
+      schemas[schemaName(exportName)] = zodToJsonSchema(types[exportName], {
+        $refStrategy: 'none'
+      });
+    }
+  }
+  const endpoints = Object.fromEntries(
+    Object.entries(ENDPOINTS).map(([name, endpoint]) => [
+      name,
+      {
+        method: endpoint.method,
+        path: endpoint.path,
+        request: endpoint.request && schemaName(endpoint.request),
+        response: schemaName(endpoint.response)
+      }
+    ])
+  );
+  const loops = Object.keys(types.loopScoresSchema.shape);
+  // The JSON Schemas only feed the hash: any change to a payload shape changes SCHEMA_HASH.
+  const schemaHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ schemas, endpoints, loops }))
+    .digest('hex')
+    .slice(0, 12);
+  return { endpoints, loops, schemaHash };
+}
+
+const json = (value) => JSON.stringify(value, null, 2).replace(/\n/g, '\n  ');
+
+function renderJs({ endpoints, loops, schemaHash }) {
+  return `${HEADER}(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AsrClient = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  var SDK_VERSION = ${JSON.stringify(SDK_VERSION)};
+  var SCHEMA_HASH = ${JSON.stringify(schemaHash)};
+
+  var LOOPS = ${JSON.stringify(loops)};
+
+  var ENDPOINTS = ${json(endpoints)};
+
+  class ApiError extends Error {
+    constructor(status, body) {
+      super((body && body.error) || 'Request failed with status ' + status);
+      this.name = 'ApiError';
+      this.status = status;
+      this.body = body;
+    }
+  }
+
+  function sleep(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  // options.baseUrl defaults to the current origin; pass options.fetch outside the browser.
+  // options.pollMs is how often a queued PDF render is checked (default 1000).
+  function createClient(options) {
+    var opts = options || {};
+    var pollMs = opts.pollMs || 1000;
+    var baseUrl = (opts.baseUrl || '').replace(/\\/$/, '');
+    var fetchImpl =
+      opts.fetch ||
+      function (input, init) {
+        return fetch(input, init);
+      };
+
+    function url(pathname) {
+      return /^https?:\\/\\//.test(pathname) ? pathname : baseUrl + pathname;
+    }
+
+    async function call(name, params, body, headers) {
+      var endpoint = ENDPOINTS[name];
+      var pathname = endpoint.path.replace(/:(\\w+)/g, function (_, key) {
+        return encodeURIComponent(params[key]);
+      });
+      var init = { method: endpoint.method, headers: Object.assign({ Accept: 'application/json' }, headers) };
+      if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+      var res = await fetchImpl(url(pathname), init);
+      var text = await res.text();
+      var data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (err) {
+        data = null;
+      }
+      if (!res.ok) throw new ApiError(res.status, data);
+      return data;
+    }
+
+    return {
+      url: url,
+      submitWizard: function (body, callOptions) {
+        var key = callOptions && callOptions.idempotencyKey;
+        return call('submitWizard', {}, body, key ? { 'Idempotency-Key': key } : {});
+      },
+      getReport: function (token) {
+        return call('getReport', { token: token });
+      },
+      simulate: function (body) {
+        return call('simulate', {}, body);
+      },
+      getPdfJob: function (id) {
+        return call('getPdfJob', { id: id });
+      },
+      // Resolves with the download once rendered, polling while the render is queued. A
+      // saturated renderer rejects with ApiError status 429.
+      generatePdf: async function (report) {
+        var data = await call('generatePdf', {}, report);
+        while (data && data.job_id) {
+          if (data.status === 'done') return { filename: data.filename, downloadUrl: data.downloadUrl };
+          if (data.status === 'failed') throw new ApiError(503, { error: data.error });
+          await sleep(pollMs);
+          data = await call('getPdfJob', { id: data.job_id });
+        }
+        return data;
+      }
+    };
+  }
+
+  return {
+    SDK_VERSION: SDK_VERSION,
+    SCHEMA_HASH: SCHEMA_HASH,
+    LOOPS: LOOPS,
+    ENDPOINTS: ENDPOINTS,
+    ApiError: ApiError,
+    createClient: createClient
+  };
+});
+`;
+}
+
+function renderDts({ loops }) {
+  return `${HEADER}import type {
+  ErrorResponse,
+  GeneratePdfResponse,
+  PdfJobResponse,
+  SharedReportResponse,
+  SimulateRequest,
+  SimulateResponse,
+  WizardRequest,
+  WizardResponse
+} from '../types';
+
+export declare const SDK_VERSION: string;
+export declare const SCHEMA_HASH: string;
+export declare const LOOPS: readonly [${loops.map((loop) => `'${loop}'`).join(', ')}];
+export type Loop = (typeof LOOPS)[number];
+
+export type EndpointName = ${Object.keys(ENDPOINTS)
+    .map((name) => `'${name}'`)
+    .join(' | ')};
+export declare const ENDPOINTS: Record<
+  EndpointName,
+  { method: 'GET' | 'POST'; path: string; request: string | null; response: string }
+>;
+
+export declare class ApiError extends Error {
+  status: number;
+  body: ErrorResponse | null;
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  fetch?: (input: string, init?: RequestInit) => Promise<Response>;
+  pollMs?: number;
+}
+
+export interface AsrClient {
+  url(pathname: string): string;
+  submitWizard(
+    body: WizardRequest,
+    options?: { idempotencyKey?: string }
+  ): Promise<WizardResponse>;
+  getReport(token: string): Promise<SharedReportResponse>;
+  simulate(body: SimulateRequest): Promise<SimulateResponse>;
+  generatePdf(report: object): Promise<GeneratePdfResponse>;
+  getPdfJob(id: string): Promise<PdfJobResponse>;
+}
+
+export declare function createClient(options?: ClientOptions): AsrClient;
+`;
+}
+
+// Returns { [absolutePath]: contents } for every generated file.
+function renderSdk() {
+  const manifest = buildManifest(loadSharedTypes());
+  return {
+    [path.join(SDK_DIR, 'asr-client.js')]: renderJs(manifest),
+    [path.join(SDK_DIR, 'asr-client.d.ts')]: renderDts(manifest),
+    [CONTRACT_PATH]: HEADER + transpileSharedTypes()
+  };
+}
+
+// Lists generated files that are missing or differ from what the schemas produce now.
+function staleSdkFiles() {
+  return Object.entries(renderSdk())
+    .filter(
+      ([file, contents]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== contents
+    )
+    .map(([file]) => path.relative(process.cwd(), file));
+}
+
+if (require.main === module) {
+  try {
+    if (process.argv.includes('--check')) {
+      const stale = staleSdkFiles();
+      if (stale.length) {
+        console.error(
+          `Generated API files are out of date (${stale.join(', ')}); run npm run sdk:generate.`
+        );
+        process.exit(1);
+      }
+      console.log('Generated API files are up to date.');
+    } else {
+      fs.mkdirSync(SDK_DIR, { recursive: true });
+      for (const [file, contents] of Object.entries(renderSdk())) {
+        fs.writeFileSync(file, contents);
+        console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { SDK_VERSION, renderSdk, staleSdkFiles };
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Import submissions from a legacy submissions_data.json into the SQLite store.
+ *
+ *   node scripts/import-legacy.js [--file path/to/submissions_data.json]
+ *
+ * The server runs this once automatically on first start; rerunning it is safe because
+ * submissions whose client_id is already stored are skipped.
+ */
+require('dotenv').config();
+const path = require('path');
+const env = require('../config/env');
+const { getStore } = require('../blocks/storage/submissions');
+
+function parseArgs(argv) {
+  const args = { file: path.join(process.cwd(), 'submissions_data.json') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--file') args.file = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (env.storageDriver !== 'sqlite') {
+    throw new Error(`Import needs STORAGE_DRIVER=sqlite (current: ${env.storageDriver})`);
+  }
+  const result = getStore().importLegacyJson(args.file);
+  console.log(
+    `Imported ${result.imported} of ${result.total} submissions from ${args.file} (${result.skipped} already present or without client_id)`
+  );
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(baseUrl, server) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server.js exited with code ${server.exitCode}`);
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`server.js did not answer /health within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Starts server.js on a free port with outbound email and form forwarding off, and waits for
+ * /health. Without `databasePath` it runs against a throwaway SQLite file that `stop()`
+ * removes; `env` overrides any variable. Resolves to `{ baseUrl, databasePath, stop }`.
+ */
+async function startServer({ databasePath, env = {} } = {}) {
+  const tmpDir = databasePath ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'asr-server-'));
+  const dbPath = databasePath || path.join(tmpDir, 'server.db');
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: 'sqlite',
+      DATABASE_PATH: dbPath,
+      EMAIL_NOTIFICATIONS_ENABLED: 'false',
+      REPORT_EMAIL_ENABLED: 'false',
+      FORM_ENDPOINT: '',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const stop = async () => {
+    if (server.exitCode === null) {
+      const exited = new Promise((resolve) => server.once('exit', resolve));
+      server.kill();
+      await exited;
+    }
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitForHealth(baseUrl, server);
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+  return { baseUrl, databasePath: dbPath, stop };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+
+const TYPES_PATH = path.join(__dirname, '..', '..', 'app_shared', 'types.ts');
+
+// app_shared/types.ts as CommonJS (types erased), for Node code that needs the schemas.
+function transpileSharedTypes() {
+  const source = fs.readFileSync(TYPES_PATH, 'utf-8');
+  return ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019 },
+    fileName: TYPES_PATH
+  }).outputText;
+}
+
+/**
+ * Loads the zod schemas from app_shared/types.ts for build scripts. The file is transpiled
+ * in memory, so scripts see exactly the schemas the Next app is type-checked against and
+ * share this process's `zod` instance.
+ */
+function loadSharedTypes() {
+  const outputText = transpileSharedTypes();
+  const mod = new Module(TYPES_PATH, module);
+  mod.filename = TYPES_PATH;
+  mod.paths = Module._nodeModulePaths(path.dirname(TYPES_PATH));
+  mod._compile(outputText, TYPES_PATH);
+  return mod.exports;
+}
+
+module.exports = { TYPES_PATH, transpileSharedTypes, loadSharedTypes };
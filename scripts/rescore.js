@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Replay stored wizard answers through the scorer under a chosen scoring model.
+ *
+ *   node scripts/rescore.js --model v1 [--dry-run] [--client wizard_123] [--json]
+ *
+ * Each re-scored submission gets a new entry in `score_revisions`; the original scores are kept.
+ */
+require('dotenv').config();
+const env = require('../config/env');
+const { listScoringModels } = require('../blocks/logic/scoring-model');
+const { rescoreSubmissions, formatReport } = require('../blocks/logic/rescore');
+
+function parseArgs(argv) {
+  const args = { model: env.scoringModelVersion, dryRun: false, clientIds: undefined, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--model') args.model = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--client') args.clientIds = [...(args.clientIds || []), argv[++i]];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (!listScoringModels().includes(args.model)) {
+    throw new Error(
+      `Unknown scoring model "${args.model}". Available: ${listScoringModels().join(', ')}`
+    );
+  }
+  const result = rescoreSubmissions({
+    modelVersion: args.model,
+    dryRun: args.dryRun,
+    clientIds: args.clientIds
+  });
+  console.log(args.json ? JSON.stringify(result, null, 2) : formatReport(result));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
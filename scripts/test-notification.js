@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Send (or print) a sample lead notification to check the mail setup.
+ *
+ *   node scripts/test-notification.js            # send to EMAIL_TO via the configured transport
+ *   node scripts/test-notification.js --preview  # print subject and text body only
+ *
+ * Point SMTP_HOST/SMTP_PORT at a local test server (e.g. Mailpit on localhost:1025) to
+ * inspect the HTML body without sending real mail.
+ */
+require('dotenv').config();
+const env = require('../config/env');
+const { sendMail, isMailConfigured } = require('../blocks/communication/mailer');
+const { toLead } = require('../blocks/communication/lead-notification');
+const template = require('../blocks/communication/templates/lead-notification');
+
+const sample = {
+  submission: {
+    client_id: `wizard_${Date.now()}`,
+    client_name: 'Acme Corp',
+    email: 'contact@acme.example',
+    timestamp: new Date().toISOString(),
+    cohort: 'Cohort_2',
+    sector: 'b2b_saas',
+    employees: '51-200',
+    answers: { question_5_top_challenge: 'conversion' }
+  },
+  results: {
+    overall_ssi: 0.62,
+    loop_scores: { Pipeline: 0.74, Conversion: 0.48, Expansion: 0.66, Economics: 0.59 },
+    detected_patterns: [
+      { id: 'pipeline_conversion_gap', name: 'Pipeline-Conversion Gap', severity: 'high' }
+    ]
+  }
+};
+
+async function main() {
+  const message = template.render(toLead(sample.submission, sample.results));
+  if (process.argv.includes('--preview')) {
+    console.log(`Subject: ${message.subject}\n\n${message.text}`);
+    return;
+  }
+  if (!isMailConfigured())
+    throw new Error('No mail transport configured (set SMTP_HOST or SENDGRID_API_KEY)');
+  if (!env.emailTo) throw new Error('EMAIL_TO is not set');
+  const info = await sendMail({ to: env.emailTo, ...message });
+  console.log(`Sent to ${env.emailTo} (${info.messageId})`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -6,24 +6,148 @@ const cors = require('cors');
 const { z } = require('zod');
 const env = require('./config/env');
 const { calculateScores } = require('./blocks/logic/scoring');
-const { save, readAll } = require('./blocks/storage/submissions');
-const { generatePdf } = require('./blocks/logic/pdf');
+const {
+  generateClientId,
+  save,
+  query,
+  summaries,
+  findByClientId,
+  remove
+} = require('./blocks/storage/submissions');
+const { queuePdf } = require('./blocks/logic/pdf');
+const { getRenderJob, renderMetrics } = require('./blocks/logic/render-pool');
+const { rescoreSubmissions } = require('./blocks/logic/rescore');
+const { simulate, findUnknownInputs } = require('./blocks/logic/simulate');
+const { listScoringModels } = require('./blocks/logic/scoring-model');
+const { buildAnalytics, minGroupSizeFor } = require('./blocks/logic/analytics');
+const { buildPeerBenchmark } = require('./blocks/logic/peers');
+const { toCsv, toXlsx } = require('./blocks/logic/export');
+const {
+  loadFixLibrary,
+  toStoredRecommendations,
+  toStoredActionPlan,
+  resolveStoredRecommendations
+} = require('./blocks/logic/fixes');
+const { summarize, patternIds } = require('./blocks/storage/query');
+const {
+  createShare,
+  resolveShare,
+  listShares,
+  revokeShare,
+  removeShares
+} = require('./blocks/storage/report-shares');
+const { reportFromSubmission } = require('./blocks/logic/report');
+const { findIdempotent, saveIdempotent } = require('./blocks/storage/idempotency');
 const { sendErrorAlert } = require('./blocks/communication/error-alert');
-const { wizardRequestSchema } = require('./blocks/shared/schemas');
+const { notifyNewLead } = require('./blocks/communication/lead-notification');
+const {
+  REPORT_EMAIL_JOB,
+  queueReportEmail,
+  deliverReportEmail
+} = require('./blocks/communication/report-email');
+const { registerHandler, startWorker } = require('./blocks/communication/outbound-queue');
+const { CRM_SYNC_JOB, queueCrmSync, deliverCrmSync } = require('./blocks/communication/crm-sync');
+const {
+  WEBHOOK_JOB,
+  emitEvent,
+  emitSubmissionEvents,
+  deliverWebhook,
+  onWebhookDead,
+  replayDelivery
+} = require('./blocks/communication/webhooks');
+const {
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  removeSubscription,
+  deliveryForSend,
+  listDeliveries
+} = require('./blocks/storage/webhooks');
+const {
+  authenticateUser,
+  createSession,
+  deleteSession,
+  bootstrapAdmin
+} = require('./blocks/auth/store');
+const { recordAudit, listAudit } = require('./blocks/auth/audit');
+const {
+  SESSION_COOKIE,
+  readCookie,
+  sessionCookieOptions,
+  authenticate,
+  requireRole,
+  audited
+} = require('./blocks/auth/middleware');
+const {
+  rescoreRequestSchema,
+  submissionQuerySchema,
+  submissionExportSchema,
+  analyticsQuerySchema,
+  idempotencyKeySchema,
+  loginSchema,
+  auditQuerySchema,
+  shareCreateSchema,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  webhookDeliveryQuerySchema
+} = require('./blocks/shared/schemas');
+const apiContract = require('./blocks/shared/api-contract');
+const { wizardRequestSchema, simulateRequestSchema } = apiContract;
+const { buildOpenApi } = require('./blocks/shared/openapi');
 
 const app = express();
 const PORT = env.port || 3000;
 
-app.use(cors());
+// Same-origin requests need no CORS; cross-origin callers must be listed in CORS_ORIGINS.
+app.use(cors({ origin: env.corsOrigins.length ? env.corsOrigins : false, credentials: true }));
 app.use(express.json({ limit: '10mb' }));
+app.use(authenticate);
 const outDir = path.join(process.cwd(), 'out');
-app.use(express.static(outDir));
+// `extensions` lets exported pages load directly (e.g. /report?token=... from a share link).
+app.use(express.static(outDir, { extensions: ['html'] }));
 
-app.post('/api/wizard', (req, res) => {
+function issueShare(clientId) {
   try {
+    const share = createShare({ clientId, createdBy: 'wizard' });
+    return { token: share.token, report_url: share.report_url, expires_at: share.expires_at };
+  } catch (err) {
+    // Without a link the report still works from the browser's own copy.
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'report-shares' } });
+    return null;
+  }
+}
+
+const WIZARD_IDEMPOTENCY_SCOPE = 'POST /api/wizard';
+
+function handleWizard(req, res) {
+  try {
+    const header = req.get('Idempotency-Key');
+    const idempotencyKey = header === undefined ? null : idempotencyKeySchema.parse(header);
     const parsed = wizardRequestSchema.parse(req.body);
+    if (idempotencyKey) {
+      const previous = findIdempotent(WIZARD_IDEMPOTENCY_SCOPE, idempotencyKey, req.body);
+      if (previous && !previous.matches) {
+        return res
+          .status(422)
+          .json({ error: 'Idempotency-Key was already used with a different payload' });
+      }
+      if (previous) {
+        res.set('Idempotent-Replayed', 'true');
+        // Responses stored before the share link was kept with them get a link now.
+        const replayed =
+          'share' in previous.response
+            ? previous.response
+            : { ...previous.response, share: issueShare(previous.response.client_id) };
+        return res.status(previous.status).json(replayed);
+      }
+    }
+    if (parsed.client_id && findByClientId(parsed.client_id)) {
+      return res
+        .status(409)
+        .json({ error: 'Submission already exists', client_id: parsed.client_id });
+    }
     const results = calculateScores(parsed.answers || {});
-    const clientId = parsed.client_id || `wizard_${Date.now()}`;
+    const clientId = parsed.client_id || generateClientId();
     const submission = {
       client_id: clientId,
       timestamp: new Date().toISOString(),
@@ -35,58 +159,597 @@ app.post('/api/wizard', (req, res) => {
       answers: parsed.answers,
       scores: results.loop_scores,
       overall_ssi: results.overall_ssi,
-      patterns: results.detected_patterns || []
+      scoring_model_version: results.scoring_model_version,
+      benchmark_set: results.benchmark_set,
+      suggested_chapter: results.suggested_chapter,
+      metric_breakdown: results.metric_breakdown,
+      priority_recommendations: toStoredRecommendations(results.priority_recommendations),
+      action_plan: toStoredActionPlan(results.action_plan),
+      patterns: results.detected_patterns || [],
+      consent: {
+        report_email: parsed.report_email_consent === true,
+        recorded_at: new Date().toISOString()
+      }
     };
     save(submission);
-    res.json({
+    // Not awaited: retries can take a while and must not hold up the response.
+    notifyNewLead(submission, results);
+    queueReportEmail(submission);
+    queueCrmSync(submission);
+    emitSubmissionEvents(submission);
+    let peerBenchmark = null;
+    try {
+      peerBenchmark = buildPeerBenchmark({
+        clientId,
+        cohort: submission.cohort,
+        sector: submission.sector,
+        results
+      });
+    } catch (err) {
+      // The submission is already stored; a failed comparison should not fail the request.
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'peers' } });
+    }
+    const response = {
       success: true,
       client_id: clientId,
       overall_ssi: results.overall_ssi,
       loop_scores: results.loop_scores,
+      scoring_model_version: results.scoring_model_version,
+      benchmark_set: results.benchmark_set,
+      suggested_chapter: results.suggested_chapter,
+      metric_breakdown: results.metric_breakdown,
       priority_recommendations: results.priority_recommendations,
-      detected_patterns: results.detected_patterns
-    });
+      action_plan: results.action_plan,
+      detected_patterns: results.detected_patterns,
+      peer_benchmark: peerBenchmark,
+      share: issueShare(clientId)
+    };
+    if (idempotencyKey) {
+      try {
+        // The stored response keeps the share token in plain text until the key expires
+        // (IDEMPOTENCY_TTL_HOURS), so a replay hands back the same link.
+        saveIdempotent(WIZARD_IDEMPOTENCY_SCOPE, idempotencyKey, req.body, {
+          status: 200,
+          response
+        });
+      } catch (err) {
+        sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'idempotency' } });
+      }
+    }
+    res.json(response);
   } catch (err) {
     if (err instanceof z.ZodError) {
       return res.status(400).json({ error: 'Invalid payload', details: err.issues });
     }
+    // Lost a race with another request for the same client-supplied id.
+    if (err.code === 'SUBMISSION_EXISTS') {
+      return res.status(409).json({ error: 'Submission already exists' });
+    }
     sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/wizard' } });
     res.status(503).json({ error: 'Failed to process submission' });
   }
+}
+
+app.post('/api/wizard', handleWizard);
+
+// Public: the share token is the credential. Revoked and expired links answer 410 so the
+// report page can tell them apart from a mistyped link.
+function handleSharedReport(req, res) {
+  try {
+    const found = resolveShare(req.params.token);
+    const submission = found && findByClientId(found.share.client_id);
+    if (!submission) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (found.status !== 'active') {
+      return res.status(410).json({ error: `Report link ${found.status}`, status: found.status });
+    }
+    // No client_id: it would outlive the link, since it is not the credential here.
+    const { client_id: _clientId, ...report } = reportFromSubmission(submission);
+    let peerBenchmark = null;
+    try {
+      peerBenchmark = buildPeerBenchmark({
+        clientId: submission.client_id,
+        cohort: submission.cohort,
+        sector: submission.sector,
+        results: report
+      });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'peers' } });
+    }
+    res.json({
+      success: true,
+      ...report,
+      peer_benchmark: peerBenchmark,
+      share: { expires_at: found.share.expires_at }
+    });
+  } catch (err) {
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/reports' } });
+    res.status(503).json({ error: 'Failed to load report' });
+  }
+}
+
+app.get('/api/reports/:token', handleSharedReport);
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = loginSchema.parse(req.body || {});
+    const user = await authenticateUser(email, password);
+    recordAudit({
+      actor: `session:${email}`,
+      role: user?.role,
+      action: 'auth.login',
+      status: user ? 200 : 401,
+      ip: req.ip
+    });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    const { token, expiresAt } = createSession(user.id);
+    res.cookie(SESSION_COOKIE, token, sessionCookieOptions(expiresAt));
+    res.json({ email: user.email, role: user.role, expires_at: expiresAt.toISOString() });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/auth/login' } });
+    res.status(503).json({ error: 'Failed to sign in' });
+  }
 });
 
-app.get('/api/submissions', (req, res) => {
+app.post('/api/auth/logout', audited('auth.logout'), (req, res) => {
+  deleteSession(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ type: req.auth.type, name: req.auth.name, role: req.auth.role });
+});
+
+app.get('/api/submissions', audited('submissions.list'), requireRole('admin'), (req, res) => {
   try {
-    const { cohort, sector, start_date, end_date } = req.query;
-    let submissions = readAll();
-    if (cohort) submissions = submissions.filter((s) => s.cohort === cohort);
-    if (sector) submissions = submissions.filter((s) => s.sector === sector);
-    if (start_date) submissions = submissions.filter((s) => new Date(s.timestamp) >= new Date(start_date));
-    if (end_date) {
-      const end = new Date(end_date);
-      end.setHours(23, 59, 59, 999);
-      submissions = submissions.filter((s) => new Date(s.timestamp) <= end);
-    }
-    res.json({ submissions, total: submissions.length });
+    const filters = submissionQuerySchema.parse(req.query);
+    const { submissions, total } = query(filters);
+    const nextOffset = filters.offset + submissions.length;
+    res.json({
+      submissions,
+      total,
+      limit: filters.limit,
+      offset: filters.offset,
+      next_offset: nextOffset < total ? nextOffset : null
+    });
   } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid query', details: err.issues });
+    }
     sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/submissions' } });
     res.status(503).json({ error: 'Failed to read submissions' });
   }
 });
 
+app.get(
+  '/api/submissions/export',
+  audited('submissions.export'),
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { format, ...filters } = submissionExportSchema.parse(req.query);
+      const { submissions } = query(filters);
+      const filename = `alpine-submissions-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'xlsx') {
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return res.send(Buffer.from(await toXlsx(submissions)));
+      }
+      res.type('text/csv').send(toCsv(submissions));
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid query', details: err.issues });
+      }
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/submissions/export' } });
+      res.status(503).json({ error: 'Failed to export submissions' });
+    }
+  }
+);
+
+app.get('/api/analytics', requireRole('viewer'), (req, res) => {
+  try {
+    const { group_by: groupBy, ...filters } = analyticsQuerySchema.parse(req.query);
+    const analytics = buildAnalytics(summaries(filters), {
+      groupBy,
+      minGroupSize: minGroupSizeFor(req.auth.role)
+    });
+    res.json({ filters, ...analytics });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid query', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/analytics' } });
+    res.status(503).json({ error: 'Failed to build analytics' });
+  }
+});
+
+app.get(
+  '/api/submissions/:client_id',
+  audited('submissions.read'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      const submission = findByClientId(req.params.client_id);
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      res.json({
+        submission,
+        current: { ...summarize(submission), patterns: patternIds(submission) },
+        recommendations: resolveStoredRecommendations(
+          submission.priority_recommendations,
+          loadFixLibrary()
+        )
+      });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/submissions' } });
+      res.status(503).json({ error: 'Failed to read submission' });
+    }
+  }
+);
+
+app.delete(
+  '/api/submissions/:client_id',
+  audited('submissions.delete'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      if (!remove(req.params.client_id)) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      removeShares(req.params.client_id);
+      res.json({ success: true, client_id: req.params.client_id });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/submissions' } });
+      res.status(503).json({ error: 'Failed to delete submission' });
+    }
+  }
+);
+
+app.get(
+  '/api/submissions/:client_id/shares',
+  audited('shares.list'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      if (!findByClientId(req.params.client_id)) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      res.json({ shares: listShares(req.params.client_id) });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/shares' } });
+      res.status(503).json({ error: 'Failed to read share links' });
+    }
+  }
+);
+
+app.post(
+  '/api/submissions/:client_id/shares',
+  audited('shares.create'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      const parsed = shareCreateSchema.parse(req.body || {});
+      if (!findByClientId(req.params.client_id)) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      const share = createShare({
+        clientId: req.params.client_id,
+        expiresInDays: parsed.expires_in_days,
+        createdBy: `${req.auth.type}:${req.auth.name}`
+      });
+      res.status(201).json(share);
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+      }
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/shares' } });
+      res.status(503).json({ error: 'Failed to create share link' });
+    }
+  }
+);
+
+app.delete(
+  '/api/submissions/:client_id/shares/:id',
+  audited('shares.revoke'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      if (!revokeShare(req.params.client_id, Number(req.params.id))) {
+        return res.status(404).json({ error: 'Active share link not found' });
+      }
+      res.json({ success: true, id: Number(req.params.id) });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/shares' } });
+      res.status(503).json({ error: 'Failed to revoke share link' });
+    }
+  }
+);
+
+/**
+ * The stored submission a request names: by share token (same rules as GET
+ * /api/reports/:token, without counting a view, so revoking or expiring a link cuts this
+ * off too) or, for admins only, by client_id. Returns { submission }, null when neither is
+ * given, or { error: [status, body] } to answer with.
+ */
+function lookupSubmission(req, { shareToken, clientId }) {
+  if (shareToken) {
+    const found = resolveShare(shareToken, { recordView: false });
+    const submission = found && findByClientId(found.share.client_id);
+    if (!submission) return { error: [404, { error: 'Report not found' }] };
+    if (found.status !== 'active') {
+      return { error: [410, { error: `Report link ${found.status}`, status: found.status }] };
+    }
+    return { submission };
+  }
+  if (clientId) {
+    if (!req.auth) return { error: [401, { error: 'Authentication required' }] };
+    if (req.auth.role !== 'admin') {
+      return { error: [403, { error: 'Insufficient role', required: 'admin' }] };
+    }
+    const submission = findByClientId(clientId);
+    return submission ? { submission } : { error: [404, { error: 'Submission not found' }] };
+  }
+  return { submission: null };
+}
+
+function handleSimulate(req, res) {
+  try {
+    const parsed = simulateRequestSchema.parse(req.body || {});
+    let answers = parsed.answers;
+    let modelVersion = env.scoringModelVersion;
+    const { submission, error } = lookupSubmission(req, {
+      shareToken: parsed.share_token,
+      clientId: parsed.client_id
+    });
+    if (error) return res.status(error[0]).json(error[1]);
+    if (submission) {
+      answers = submission.answers || {};
+      if (listScoringModels().includes(submission.scoring_model_version)) {
+        modelVersion = submission.scoring_model_version;
+      }
+    }
+    const fixIds = parsed.fix_ids || [];
+    const ratingChanges = parsed.rating_changes || {};
+    const unknown = findUnknownInputs({ modelVersion, fixIds, ratingChanges });
+    if (unknown.fix_ids.length || unknown.loops.length) {
+      return res.status(400).json({ error: 'Unknown fixes or loops', unknown });
+    }
+    const result = simulate({ answers, modelVersion, fixIds, ratingChanges, lift: parsed.lift });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/simulate' } });
+    res.status(503).json({ error: 'Failed to run simulation' });
+  }
+}
+
+app.post('/api/simulate', handleSimulate);
+
+app.post('/api/admin/rescore', audited('admin.rescore'), requireRole('admin'), (req, res) => {
+  try {
+    const parsed = rescoreRequestSchema.parse(req.body || {});
+    const modelVersion = parsed.model_version || env.scoringModelVersion;
+    if (!listScoringModels().includes(modelVersion)) {
+      return res.status(400).json({ error: 'Unknown scoring model', available: listScoringModels() });
+    }
+    const result = rescoreSubmissions({
+      modelVersion,
+      dryRun: parsed.dry_run || false,
+      clientIds: parsed.client_ids
+    });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/admin/rescore' } });
+    res.status(503).json({ error: 'Failed to re-score submissions' });
+  }
+});
+
+app.get('/api/admin/audit-log', requireRole('admin'), (req, res) => {
+  try {
+    const filters = auditQuerySchema.parse(req.query);
+    res.json({ ...listAudit(filters), limit: filters.limit, offset: filters.offset });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid query', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/admin/audit-log' } });
+    res.status(503).json({ error: 'Failed to read audit log' });
+  }
+});
+
+app.get('/api/admin/webhooks', audited('webhooks.list'), requireRole('admin'), (req, res) => {
+  try {
+    res.json({ subscriptions: listSubscriptions() });
+  } catch (err) {
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+    res.status(503).json({ error: 'Failed to read webhooks' });
+  }
+});
+
+// The signing secret is only returned here.
+app.post('/api/admin/webhooks', audited('webhooks.create'), requireRole('admin'), (req, res) => {
+  try {
+    const parsed = webhookCreateSchema.parse(req.body || {});
+    const subscription = createSubscription({
+      url: parsed.url,
+      events: parsed.events,
+      description: parsed.description,
+      createdBy: `${req.auth.type}:${req.auth.name}`
+    });
+    res.status(201).json(subscription);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+    res.status(503).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Deliveries newest first; `status=dead` is the dead-letter log.
+app.get(
+  '/api/admin/webhooks/deliveries',
+  audited('webhooks.deliveries'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      const filters = webhookDeliveryQuerySchema.parse(req.query);
+      const result = listDeliveries({
+        status: filters.status,
+        subscriptionId: filters.subscription_id,
+        limit: filters.limit,
+        offset: filters.offset
+      });
+      res.json({ ...result, limit: filters.limit, offset: filters.offset });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid query', details: err.issues });
+      }
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+      res.status(503).json({ error: 'Failed to read webhook deliveries' });
+    }
+  }
+);
+
+app.post(
+  '/api/admin/webhooks/deliveries/:id/replay',
+  audited('webhooks.replay'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!deliveryForSend(id)) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      if (!replayDelivery(id)) {
+        return res.status(409).json({ error: 'Delivery is still pending' });
+      }
+      res.status(202).json({ success: true, id });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+      res.status(503).json({ error: 'Failed to replay delivery' });
+    }
+  }
+);
+
+app.patch('/api/admin/webhooks/:id', audited('webhooks.update'), requireRole('admin'), (req, res) => {
+  try {
+    const parsed = webhookUpdateSchema.parse(req.body || {});
+    const subscription = updateSubscription(Number(req.params.id), parsed);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(subscription);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid payload', details: err.issues });
+    }
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+    res.status(503).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Removes the subscription and its delivery log; queued deliveries are dropped.
+app.delete(
+  '/api/admin/webhooks/:id',
+  audited('webhooks.delete'),
+  requireRole('admin'),
+  (req, res) => {
+    try {
+      if (!removeSubscription(Number(req.params.id))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json({ success: true, id: Number(req.params.id) });
+    } catch (err) {
+      sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/webhooks' } });
+      res.status(503).json({ error: 'Failed to delete webhook' });
+    }
+  }
+);
+
+const downloadPath = (filename) => `/api/downloads/${filename}`;
+
+function pdfJobView(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    ...(job.position ? { position: job.position } : {}),
+    status_url: `/api/generate-pdf/jobs/${job.id}`,
+    ...(job.status === 'done'
+      ? { filename: job.result.filename, downloadUrl: downloadPath(job.result.filename) }
+      : {}),
+    ...(job.status === 'failed' ? { error: 'Failed to generate PDF' } : {})
+  };
+}
+
+// Answers with the download when a pooled browser is free, 202 with a job to poll when the
+// render has to wait its turn, and 429 when the render queue is full.
+// A body with a share token (or, for admins, a client_id) renders that stored submission's
+// report and emits report.pdf_generated; any other body is rendered as sent, without an
+// event, so an anonymous caller can neither read stored reports nor fake webhook events.
 app.post('/api/generate-pdf', async (req, res) => {
   try {
     const body = req.body || {};
-    const results = body;
-    const { filename, pdfPath } = await generatePdf(results);
-    const downloadUrl = `/api/downloads/${filename}`;
-    res.json({ filename, downloadUrl });
+    const stringOrNull = (value) => (typeof value === 'string' ? value : null);
+    const { submission, error } = lookupSubmission(req, {
+      shareToken: stringOrNull(body.share_token),
+      clientId: stringOrNull(body.client_id)
+    });
+    if (error) return res.status(error[0]).json(error[1]);
+    const job = queuePdf(submission ? reportFromSubmission(submission) : body);
+    if (submission) {
+      job.done
+        .then(({ filename }) =>
+          emitEvent('report.pdf_generated', {
+            client_id: submission.client_id,
+            filename,
+            download_path: downloadPath(filename),
+            source: 'download'
+          })
+        )
+        .catch(() => undefined);
+    }
+    if (job.status === 'queued') {
+      return res.status(202).json(pdfJobView(getRenderJob(job.id)));
+    }
+    const { filename } = await job.done;
+    res.json({ filename, downloadUrl: downloadPath(filename) });
   } catch (err) {
+    if (err.code === 'PDF_QUEUE_FULL') {
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(429).json({ error: 'PDF renderer is busy, try again shortly' });
+    }
     sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'api/generate-pdf' } });
     res.status(503).json({ error: 'Failed to generate PDF' });
   }
 });
 
+app.get('/api/generate-pdf/jobs/:id', (req, res) => {
+  const job = getRenderJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+  res.json(pdfJobView(job));
+});
+
+// Render queue depth and timings for dashboards and alerting.
+app.get('/api/admin/pdf-metrics', requireRole('viewer'), (_req, res) => {
+  res.json(renderMetrics());
+});
+
 app.get('/api/downloads/:file', (req, res) => {
   const pdfPath = path.join(process.cwd(), 'temp_pdfs', req.params.file);
   if (!fs.existsSync(pdfPath)) {
@@ -95,6 +758,103 @@ app.get('/api/downloads/:file', (req, res) => {
   res.sendFile(pdfPath);
 });
 
+// Versioned public API. Bodies are checked against the schemas in app_shared/types.ts
+// (compiled to blocks/shared/api-contract.js) on the way in and out, and the OpenAPI
+// document is generated from this table, so the two cannot drift apart.
+const V1_BASE = '/api/v1';
+const V1_ROUTES = [
+  {
+    method: 'post',
+    path: '/submissions',
+    operationId: 'createSubmission',
+    summary: 'Score wizard answers, store the submission and issue a share link',
+    request: 'wizardRequestSchema',
+    response: 'wizardResponseSchema',
+    headers: [
+      {
+        name: 'Idempotency-Key',
+        description:
+          'Repeating a key with the same body replays the first response; a different body is rejected with 422.'
+      }
+    ],
+    errors: {
+      400: 'Invalid payload',
+      409: 'A submission with this client_id already exists',
+      422: 'Idempotency-Key already used with a different payload',
+      503: 'Submission could not be processed'
+    },
+    handler: handleWizard
+  },
+  {
+    method: 'get',
+    path: '/reports/:token',
+    operationId: 'getReport',
+    summary: 'Load a stored report through a share token',
+    response: 'sharedReportResponseSchema',
+    errors: {
+      404: 'Unknown token, or the submission was deleted',
+      410: 'Share link revoked or expired',
+      503: 'Report could not be loaded'
+    },
+    handler: handleSharedReport
+  },
+  {
+    method: 'post',
+    path: '/simulations',
+    operationId: 'simulate',
+    summary: 'Project score changes from shipping fixes or re-rating loops',
+    request: 'simulateRequestSchema',
+    response: 'simulateResponseSchema',
+    errors: {
+      400: 'Invalid payload, or unknown fixes or loops',
+      401: 'client_id given without credentials',
+      403: 'client_id given without the admin role',
+      404: 'Report or submission not found',
+      410: 'Report link revoked or expired',
+      503: 'Simulation failed'
+    },
+    handler: handleSimulate
+  }
+];
+
+// Wraps a v1 handler: a body that breaks the contract is a 400, and a success response is
+// parsed against it, which drops undeclared fields. A response that fails is a server bug,
+// so it is alerted and answered with 500 rather than sent.
+function v1Route({ request, response, handler }) {
+  return (req, res) => {
+    if (request) {
+      const parsed = apiContract[request].safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid payload', details: parsed.error.issues });
+      }
+      req.body = parsed.data;
+    }
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400) return send(body);
+      const checked = apiContract[response].safeParse(body);
+      if (checked.success) return send(checked.data);
+      sendErrorAlert({
+        message: `${req.method} ${req.originalUrl} response does not match ${response}`,
+        meta: { scope: 'api/v1', issues: checked.error.issues }
+      });
+      res.status(500);
+      return send({ error: 'Response failed contract validation' });
+    };
+    return handler(req, res);
+  };
+}
+
+for (const route of V1_ROUTES) {
+  app[route.method](`${V1_BASE}${route.path}`, v1Route(route));
+}
+
+const openApiDocument = buildOpenApi(V1_ROUTES, { basePath: V1_BASE });
+
+app.get(`${V1_BASE}/openapi.json`, (_req, res) => {
+  res.json(openApiDocument);
+});
+
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', message: 'Alpine Signal Rating API is running' });
 });
@@ -117,6 +877,19 @@ app.get('*', (req, res) => {
   }
 });
 
+bootstrapAdmin()
+  .then((admin) => {
+    if (admin) console.log(`✓ Created initial admin account ${admin.email}`);
+  })
+  .catch((err) => {
+    sendErrorAlert({ message: err.message, stack: err.stack, meta: { scope: 'auth.bootstrap' } });
+  });
+
+registerHandler(REPORT_EMAIL_JOB, deliverReportEmail);
+registerHandler(WEBHOOK_JOB, deliverWebhook, { onDead: onWebhookDead });
+registerHandler(CRM_SYNC_JOB, deliverCrmSync);
+startWorker();
+
 app.listen(PORT, () => {
   console.log(`✓ Server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const env = require('../config/env');
+const { buildAnalytics, minGroupSizeFor, percentile } = require('../blocks/logic/analytics');
+
+const row = (overrides = {}) => ({
+  client_id: 'wizard_test',
+  timestamp: '2024-01-01T10:00:00.000Z',
+  cohort: 'Cohort_2',
+  sector: 'b2b_saas',
+  employees: '51-200',
+  top_challenge: 'pipeline',
+  overall_ssi: 0.5,
+  pipeline_score: 0.5,
+  conversion_score: 0.5,
+  expansion_score: 0.5,
+  economics_score: 0.5,
+  patterns: [],
+  ...overrides
+});
+
+test('percentile interpolates between the closest ranks', () => {
+  assert.equal(percentile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(percentile([1, 2, 3, 4], 0), 1);
+  assert.equal(percentile([1, 2, 3, 4], 1), 4);
+  assert.equal(percentile([], 0.5), null);
+});
+
+test('buildAnalytics summarises scores, patterns and challenges', () => {
+  const rows = [
+    row({ overall_ssi: 0.2, patterns: ['leaky_bucket'] }),
+    row({ overall_ssi: 0.4, patterns: ['leaky_bucket'], top_challenge: 'conversion' }),
+    row({ overall_ssi: 0.6, pipeline_score: null, top_challenge: null })
+  ];
+  const { overall } = buildAnalytics(rows);
+
+  assert.equal(overall.count, 3);
+  assert.equal(overall.overall_ssi.median, 0.4);
+  assert.ok(Math.abs(overall.overall_ssi.mean - 0.4) < 1e-9);
+  // Missing loop scores are left out of that loop's distribution.
+  assert.equal(overall.loop_scores.Pipeline.n, 2);
+  assert.deepEqual(overall.patterns, [
+    { id: 'leaky_bucket', name: 'Leaky Bucket', count: 2, share: 2 / 3 }
+  ]);
+  assert.deepEqual(
+    overall.top_challenges.map((entry) => entry.value),
+    ['conversion', 'pipeline', 'unknown']
+  );
+});
+
+test('groups below the minimum size keep their count but withhold statistics', () => {
+  const rows = [
+    row({ cohort: 'Cohort_1' }),
+    row({ cohort: 'Cohort_2' }),
+    row({ cohort: 'Cohort_2' }),
+    row({ cohort: null })
+  ];
+  const result = buildAnalytics(rows, { groupBy: 'cohort', minGroupSize: 2 });
+
+  assert.equal(result.min_group_size, 2);
+  assert.equal(result.overall.count, 4);
+  assert.ok(result.overall.overall_ssi);
+  assert.deepEqual(
+    result.groups.map((group) => [group.key, group.count, Boolean(group.suppressed)]),
+    [
+      ['Cohort_2', 2, false],
+      ['Cohort_1', 1, true],
+      ['unknown', 1, true]
+    ]
+  );
+  assert.equal(result.groups[1].overall_ssi, undefined);
+});
+
+test('weekly volume fills empty weeks and tracks the change', () => {
+  const { weekly_volume: weeks } = buildAnalytics([
+    row({ timestamp: '2024-01-03T09:00:00.000Z' }),
+    row({ timestamp: '2024-01-07T23:00:00.000Z' }),
+    row({ timestamp: '2024-01-17T09:00:00.000Z' })
+  ]);
+  assert.deepEqual(weeks, [
+    { week: '2024-01-01', count: 2, change: null, change_pct: null },
+    { week: '2024-01-08', count: 0, change: -2, change_pct: -1 },
+    { week: '2024-01-15', count: 1, change: 1, change_pct: null }
+  ]);
+  assert.deepEqual(buildAnalytics([]).weekly_volume, []);
+});
+
+test('week groups are ordered by date', () => {
+  const { groups } = buildAnalytics(
+    [row({ timestamp: '2024-02-12T00:00:00.000Z' }), row(), row()],
+    { groupBy: 'week' }
+  );
+  assert.deepEqual(
+    groups.map((group) => group.key),
+    ['2024-01-01', '2024-02-12']
+  );
+});
+
+test('only viewers get the minimum group size', () => {
+  assert.equal(minGroupSizeFor('admin'), 1);
+  assert.equal(minGroupSizeFor('viewer'), env.analyticsMinGroupSize);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDatabase } = require('./helpers');
+
+useTempDatabase();
+const { getDb } = require('../blocks/storage/db');
+const {
+  createUser,
+  disableUser,
+  createSession,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys
+} = require('../blocks/auth/store');
+const {
+  SESSION_COOKIE,
+  readCookie,
+  authenticate,
+  requireRole
+} = require('../blocks/auth/middleware');
+
+// Runs the authenticate middleware on a request with the given headers and returns req.auth.
+function authFor(headers) {
+  const req = { headers };
+  let called = false;
+  authenticate(req, {}, () => {
+    called = true;
+  });
+  assert.ok(called);
+  return req.auth;
+}
+
+// Runs requireRole(role) and returns the response status, or 'next' when it let the request through.
+function roleCheck(role, auth) {
+  let outcome = 'next';
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  requireRole(role)({ auth }, res, () => undefined);
+  return { outcome, body: res.body };
+}
+
+test('readCookie finds and decodes one cookie among several', () => {
+  const req = { headers: { cookie: `theme=dark; ${SESSION_COOKIE}=a%20b; other=1` } };
+  assert.equal(readCookie(req, SESSION_COOKIE), 'a b');
+  assert.equal(readCookie(req, 'missing'), null);
+  assert.equal(readCookie({ headers: {} }, SESSION_COOKIE), null);
+});
+
+test('a malformed cookie reads as no cookie and leaves the request anonymous', () => {
+  const req = { headers: { cookie: `${SESSION_COOKIE}=%E0%A4%A` } };
+  assert.equal(readCookie(req, SESSION_COOKIE), null);
+  assert.equal(authFor(req.headers), null);
+});
+
+test('a session cookie authenticates its user until it expires', async () => {
+  const user = await createUser({
+    email: 'viewer@example.com',
+    password: 'correct horse battery',
+    role: 'viewer'
+  });
+  const { token } = createSession(user.id);
+  const cookie = `${SESSION_COOKIE}=${encodeURIComponent(token)}`;
+
+  assert.deepEqual(authFor({ cookie }), {
+    type: 'session',
+    id: user.id,
+    name: 'viewer@example.com',
+    role: 'viewer'
+  });
+  assert.equal(authFor({ cookie: `${SESSION_COOKIE}=not-a-session` }), null);
+
+  getDb()
+    .prepare('UPDATE sessions SET expires_at = ? WHERE user_id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), user.id);
+  assert.equal(authFor({ cookie }), null);
+});
+
+test('disabling a user ends their sessions', async () => {
+  const user = await createUser({
+    email: 'leaver@example.com',
+    password: 'correct horse battery',
+    role: 'admin'
+  });
+  const cookie = `${SESSION_COOKIE}=${encodeURIComponent(createSession(user.id).token)}`;
+  assert.equal(authFor({ cookie }).role, 'admin');
+  assert.ok(disableUser('leaver@example.com'));
+  assert.equal(authFor({ cookie }), null);
+});
+
+test('an API key authenticates as a bearer token and records its use', () => {
+  const { id, key } = createApiKey({ name: 'reporting', role: 'admin' });
+
+  assert.deepEqual(authFor({ authorization: `Bearer ${key}` }), {
+    type: 'api_key',
+    id,
+    name: 'reporting',
+    role: 'admin'
+  });
+  assert.ok(listApiKeys().find((row) => row.id === id).last_used_at);
+});
+
+test('wrong, malformed and revoked API keys are rejected', () => {
+  const { id, key } = createApiKey({ name: 'ci', role: 'viewer' });
+  const tampered = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+  assert.equal(authFor({ authorization: `Bearer ${tampered}` }), null);
+  assert.equal(authFor({ authorization: 'Bearer not-a-key' }), null);
+  assert.equal(authFor({ authorization: `Basic ${key}` }), null);
+
+  assert.ok(revokeApiKey(id));
+  assert.equal(authFor({ authorization: `Bearer ${key}` }), null);
+  assert.equal(revokeApiKey(id), false);
+});
+
+test('a bearer header takes precedence over the session cookie', async () => {
+  const user = await createUser({
+    email: 'both@example.com',
+    password: 'correct horse battery',
+    role: 'admin'
+  });
+  const cookie = `${SESSION_COOKIE}=${encodeURIComponent(createSession(user.id).token)}`;
+  assert.equal(authFor({ cookie, authorization: 'Bearer not-a-key' }), null);
+});
+
+test('requireRole answers 401 when anonymous and 403 below the role', () => {
+  const viewer = { type: 'api_key', name: 'v', role: 'viewer' };
+  const admin = { type: 'api_key', name: 'a', role: 'admin' };
+
+  assert.deepEqual(roleCheck('viewer', null), {
+    outcome: 401,
+    body: { error: 'Authentication required' }
+  });
+  assert.deepEqual(roleCheck('admin', viewer), {
+    outcome: 403,
+    body: { error: 'Insufficient role', required: 'admin' }
+  });
+  assert.equal(roleCheck('viewer', viewer).outcome, 'next');
+  assert.equal(roleCheck('viewer', admin).outcome, 'next');
+  assert.equal(roleCheck('admin', admin).outcome, 'next');
+});
+
+test('roles and passwords are validated when accounts are created', async () => {
+  await assert.rejects(
+    createUser({ email: 'short@example.com', password: 'short', role: 'viewer' }),
+    /at least 12 characters/
+  );
+  assert.throws(() => createApiKey({ name: 'x', role: 'owner' }), /Unknown role/);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { leadFields, loadMapping, mapObject } = require('../blocks/communication/crm/mapping');
+const hubspot = require('../blocks/communication/crm/hubspot');
+const salesforce = require('../blocks/communication/crm/salesforce');
+
+const submission = (email) => ({
+  client_id: 'wizard_a',
+  timestamp: '2024-03-01T12:00:00.000Z',
+  client_name: 'Acme',
+  email,
+  cohort: 'Cohort_2',
+  sector: 'b2b_saas',
+  employees: '11-50',
+  answers: { question_5_top_challenge: 'pipeline' },
+  overall_ssi: 0.615,
+  scores: { Pipeline: 0.5, Conversion: 0.6, Expansion: 0.7, Economics: 0.4 },
+  patterns: [{ id: 'leaky_bucket' }, { id: 'pipeline_conversion_gap' }],
+  consent: { report_email: true }
+});
+
+const contact = { idField: 'email', id: 'jo@acme.com', properties: { email: 'jo@acme.com' } };
+const company = {
+  idField: 'asr_domain',
+  id: 'acme.com',
+  properties: { asr_domain: 'acme.com', name: 'Acme' }
+};
+
+test('leadFields flattens a submission and lower-cases the email domain', () => {
+  const fields = leadFields(submission('Jo@Acme.com'));
+  assert.equal(fields.email_name, 'jo');
+  assert.equal(fields.email_domain, 'acme.com');
+  assert.equal(fields.top_challenge, 'pipeline');
+  assert.equal(fields.pipeline_score, 0.5);
+  assert.deepEqual(fields.pattern_ids, ['leaky_bucket', 'pipeline_conversion_gap']);
+  assert.equal(fields.report_email_consent, true);
+});
+
+test('free-mail domains are not used as a company domain', () => {
+  for (const email of ['jo@gmail.com', 'Jo@Outlook.com', 'jo@proton.me', 'jo@web.de']) {
+    const fields = leadFields(submission(email));
+    assert.equal(fields.email_domain, null, email);
+    assert.equal(fields.email_name, 'jo');
+  }
+  assert.equal(leadFields(submission(undefined)).email_domain, null);
+});
+
+test('mapObject applies field names, formats and constants and skips empty values', () => {
+  const mapped = mapObject(
+    {
+      id: 'email',
+      fields: {
+        email: 'email',
+        company: 'client_name',
+        ssi: { source: 'overall_ssi', format: 'percent' },
+        patterns: { source: 'pattern_ids', format: 'list' },
+        submitted: { source: 'timestamp', format: 'date' },
+        source: { value: 'Alpine Signal Rating' },
+        domain: 'email_domain',
+        missing: { source: 'scoring_model_version', format: 'percent' }
+      }
+    },
+    leadFields(submission('jo@gmail.com'))
+  );
+
+  assert.deepEqual(mapped, {
+    idField: 'email',
+    id: 'jo@gmail.com',
+    properties: {
+      email: 'jo@gmail.com',
+      company: 'Acme',
+      ssi: 62,
+      patterns: 'leaky_bucket;pipeline_conversion_gap',
+      submitted: '2024-03-01',
+      source: 'Alpine Signal Rating'
+    }
+  });
+});
+
+test('mapObject returns null when the id field has no value', () => {
+  const mapping = { id: 'asr_domain', fields: { asr_domain: 'email_domain', name: 'client_name' } };
+  assert.equal(mapObject(mapping, leadFields(submission('jo@gmail.com'))), null);
+  assert.deepEqual(mapObject(mapping, leadFields(submission('jo@acme.com'))), {
+    idField: 'asr_domain',
+    id: 'acme.com',
+    properties: { asr_domain: 'acme.com', name: 'Acme' }
+  });
+});
+
+test('the shipped mappings load and key on unique id properties', () => {
+  const hubspotMapping = loadMapping('hubspot');
+  assert.equal(hubspotMapping.contact.id, 'email');
+  assert.equal(hubspotMapping.company.id, 'asr_domain');
+  const salesforceMapping = loadMapping('salesforce');
+  assert.equal(salesforceMapping.contact.id, 'ASR_Email__c');
+  assert.equal(salesforceMapping.company.id, 'ASR_Domain__c');
+});
+
+test('hubspot upserts the company and the contact, then associates them', () => {
+  const [companyRequest, contactRequest, association] = hubspot.buildRequests({
+    contact,
+    company
+  });
+
+  assert.equal(companyRequest.ref, 'company');
+  assert.equal(companyRequest.method, 'POST');
+  assert.equal(companyRequest.path, '/crm/v3/objects/companies/batch/upsert');
+  assert.deepEqual(companyRequest.body, {
+    inputs: [{ idProperty: 'asr_domain', id: 'acme.com', properties: company.properties }]
+  });
+  assert.equal(companyRequest.resultId({ results: [{ id: '42' }] }), '42');
+
+  assert.equal(contactRequest.path, '/crm/v3/objects/contacts/batch/upsert');
+  assert.deepEqual(contactRequest.body, {
+    inputs: [{ idProperty: 'email', id: 'jo@acme.com', properties: contact.properties }]
+  });
+
+  assert.deepEqual(association, {
+    method: 'PUT',
+    path: '/crm/v4/objects/contacts/{contact}/associations/default/companies/{company}'
+  });
+});
+
+test('hubspot sends only the contact when there is no company', () => {
+  const requests = hubspot.buildRequests({ contact, company: null });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].ref, 'contact');
+});
+
+test('salesforce sends one all-or-none composite that links the Contact to the Account', () => {
+  const [request] = salesforce.buildRequests({
+    contact: {
+      idField: 'ASR_Email__c',
+      id: 'jo+test@acme.com',
+      properties: { ASR_Email__c: 'jo+test@acme.com', Email: 'jo+test@acme.com' }
+    },
+    company: {
+      idField: 'ASR_Domain__c',
+      id: 'acme.com',
+      properties: { ASR_Domain__c: 'acme.com', Name: 'Acme' }
+    }
+  });
+
+  assert.equal(request.method, 'POST');
+  assert.equal(request.path, '/services/data/v59.0/composite');
+  assert.deepEqual(request.body, {
+    allOrNone: true,
+    compositeRequest: [
+      {
+        method: 'PATCH',
+        url: '/services/data/v59.0/sobjects/Account/ASR_Domain__c/acme.com',
+        referenceId: 'account',
+        body: { Name: 'Acme' }
+      },
+      {
+        method: 'PATCH',
+        url: '/services/data/v59.0/sobjects/Contact/ASR_Email__c/jo%2Btest%40acme.com',
+        referenceId: 'contact',
+        body: { Email: 'jo+test@acme.com', AccountId: '@{account.id}' }
+      }
+    ]
+  });
+});
+
+test('salesforce fails a composite whose subrequest failed', () => {
+  const [request] = salesforce.buildRequests({
+    contact: { idField: 'ASR_Email__c', id: 'jo@gmail.com', properties: {} },
+    company: null
+  });
+  assert.equal(request.body.compositeRequest.length, 1);
+  assert.equal(request.body.compositeRequest[0].body.AccountId, undefined);
+
+  request.check({ compositeResponse: [{ referenceId: 'contact', httpStatusCode: 201 }] });
+  assert.throws(
+    () =>
+      request.check({
+        compositeResponse: [
+          {
+            referenceId: 'contact',
+            httpStatusCode: 400,
+            body: [{ message: 'Required fields are missing: [LastName]' }]
+          }
+        ]
+      }),
+    (err) =>
+      err.permanent === true &&
+      err.message === 'salesforce contact answered 400: Required fields are missing: [LastName]'
+  );
+  assert.throws(
+    () => request.check({ compositeResponse: [{ referenceId: 'contact', httpStatusCode: 503 }] }),
+    (err) => err.permanent === false
+  );
+});
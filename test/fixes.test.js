@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadFixLibrary,
+  listFixes,
+  selectFixes,
+  buildFixContext,
+  parseDurationWeeks,
+  toStoredRecommendations,
+  toStoredActionPlan,
+  resolveStoredRecommendations,
+  resolveStoredActionPlan
+} = require('../blocks/logic/fixes');
+const { loadScoringModel } = require('../blocks/logic/scoring-model');
+const { calculateScores } = require('../blocks/logic/scoring');
+const { answersRating } = require('./helpers');
+
+const fix = (id, overrides = {}) => ({
+  id,
+  name: id.replace(/_/g, ' '),
+  description: `${id} description`,
+  impact: 'High',
+  difficulty: 'Easy',
+  implementation: '2-3 weeks',
+  targets_metrics: [id],
+  prerequisites: [],
+  expected_lift: { min: 0.05, max: 0.1 },
+  ...overrides
+});
+
+const context = (overrides = {}) =>
+  buildFixContext({
+    loopScores: { Pipeline: 0.4, Conversion: 0.7, Expansion: 0.8, Economics: 0.9 },
+    metrics: [],
+    patterns: [],
+    cohort: 'Cohort_3',
+    overall: 0.7,
+    ...overrides
+  });
+
+test('parseDurationWeeks turns implementation text into weeks', () => {
+  assert.equal(parseDurationWeeks('2-3 weeks'), 3);
+  assert.equal(parseDurationWeeks('3-6 months'), 26);
+  assert.equal(parseDurationWeeks('12+ months'), 52);
+  assert.equal(parseDurationWeeks('Ongoing'), 13);
+  assert.equal(parseDurationWeeks(undefined), 13);
+});
+
+test('the shipped fix library loads and tags every fix with its loop', () => {
+  const fixes = listFixes(loadFixLibrary());
+  assert.ok(fixes.length > 0);
+  fixes.forEach((entry) =>
+    assert.ok(['Pipeline', 'Conversion', 'Expansion', 'Economics'].includes(entry.loop))
+  );
+});
+
+test('buildFixContext finds the weakest loop and flags low maturity', () => {
+  assert.equal(context().weakestLoop, 'Pipeline');
+  assert.equal(context().lowMaturity, false);
+  assert.equal(context({ cohort: 'Cohort_1' }).lowMaturity, true);
+  assert.equal(context({ overall: 0.3 }).lowMaturity, true);
+});
+
+test('selectFixes pulls in prerequisites and plans them in an earlier window', () => {
+  const library = {
+    pipeline_fixes: [
+      fix('lead_routing', { targets_metrics: ['lead_response_time'] }),
+      fix('intent_scoring', {
+        prerequisites: ['lead_routing'],
+        targets_metrics: ['lead_velocity_rate'],
+        expected_lift: { min: 0.2, max: 0.3 }
+      })
+    ]
+  };
+  const { recommendations, actionPlan } = selectFixes(
+    library,
+    context({
+      metrics: [
+        { key: 'lead_response_time', score: 0.95 },
+        { key: 'lead_velocity_rate', score: 0.1 }
+      ]
+    })
+  );
+
+  assert.deepEqual(
+    recommendations.map((rec) => rec.id),
+    ['intent_scoring', 'lead_routing']
+  );
+  const prerequisite = recommendations.find((rec) => rec.id === 'lead_routing');
+  assert.equal(prerequisite.rationale[0], 'Prerequisite for intent scoring');
+  assert.equal(prerequisite.window, 30);
+  assert.equal(recommendations.find((rec) => rec.id === 'intent_scoring').window, 60);
+  assert.deepEqual(
+    actionPlan.map((step) => [step.window, step.fixes.map((entry) => entry.id)]),
+    [
+      [30, ['lead_routing']],
+      [60, ['intent_scoring']],
+      [90, []]
+    ]
+  );
+});
+
+test('selectFixes caps picks per loop and skips fixes whose metrics are covered', () => {
+  const library = {
+    pipeline_fixes: [fix('p1'), fix('p2'), fix('p3')],
+    conversion_fixes: [
+      fix('c1', { targets_metrics: ['shared'] }),
+      fix('c2', { targets_metrics: ['shared'] })
+    ]
+  };
+  const { recommendations } = selectFixes(library, context());
+  const ids = recommendations.map((rec) => rec.id);
+
+  assert.equal(ids.filter((id) => id.startsWith('p')).length, 2);
+  assert.equal(ids.filter((id) => id.startsWith('c')).length, 1);
+});
+
+test('detected patterns and the top challenge boost matching fixes', () => {
+  const library = { economics_fixes: [fix('e1')], expansion_fixes: [fix('x1')] };
+  const ranked = (overrides) =>
+    selectFixes(library, context(overrides)).recommendations.map((rec) => rec.id);
+
+  assert.deepEqual(
+    ranked({ patterns: [{ name: 'Leaky', severity: 'critical', fix_ids: ['x1'] }] }),
+    ['x1', 'e1']
+  );
+  assert.deepEqual(ranked({ challengeLoop: 'Economics' }), ['e1', 'x1']);
+});
+
+test('real results respect the plan limits and keep prerequisites earlier', () => {
+  const model = loadScoringModel('v1');
+  for (const rating of [1, 2, 3, 4, 5]) {
+    const { priority_recommendations: recs, action_plan: plan } = calculateScores(
+      answersRating(model, rating)
+    );
+    assert.ok(recs.length <= 5);
+    assert.deepEqual(
+      plan.map((step) => step.window),
+      [30, 60, 90]
+    );
+    assert.ok(plan[0].fixes.length <= 2 && plan[1].fixes.length <= 2);
+    const windowOf = Object.fromEntries(recs.map((rec) => [rec.id, rec.window]));
+    recs.forEach((rec) =>
+      rec.prerequisites.forEach((id) => {
+        assert.ok(id in windowOf, `${rec.id} is missing prerequisite ${id}`);
+        if (rec.window < 90) assert.ok(windowOf[id] < rec.window);
+      })
+    );
+  }
+});
+
+test('stored fix references resolve back against the library', () => {
+  const library = { pipeline_fixes: [fix('lead_routing')] };
+  const { recommendations, actionPlan } = selectFixes(library, context());
+
+  const storedRecs = toStoredRecommendations(recommendations);
+  assert.deepEqual(Object.keys(storedRecs[0]).sort(), ['fix_id', 'loop', 'rationale', 'window']);
+  const resolved = resolveStoredRecommendations(storedRecs, library);
+  assert.equal(resolved[0].name, 'lead routing');
+  assert.equal(resolved[0].window, recommendations[0].window);
+
+  const plan = resolveStoredActionPlan(toStoredActionPlan(actionPlan), library);
+  assert.deepEqual(plan, actionPlan);
+});
+
+test('references missing from the library keep their id; legacy entries pass through', () => {
+  const library = { pipeline_fixes: [] };
+  const [renamed, legacy] = resolveStoredRecommendations(
+    [{ fix_id: 'retired_fix', loop: 'Pipeline', window: 30, rationale: [] }, { name: 'Old' }],
+    library
+  );
+  assert.equal(renamed.name, 'retired_fix');
+  assert.deepEqual(legacy, { name: 'Old' });
+
+  const [step] = resolveStoredActionPlan(
+    [{ window: 30, label: 'First 30 days', fix_ids: ['retired_fix'] }],
+    library
+  );
+  assert.equal(step.fixes[0].name, 'retired_fix');
+});
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// A fresh temporary directory, removed after the test file.
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Points DATABASE_PATH at a fresh SQLite file that is removed after the test file. Call it
+ * before requiring anything that reads config/env, since env is read once at require time.
+ */
+function useTempDatabase() {
+  process.env.DATABASE_PATH = path.join(tempDir(), 'test.db');
+  process.env.STORAGE_DRIVER = 'sqlite';
+}
+
+// Wizard answers rating every loop question of a scoring model the same.
+function answersRating(model, rating, extra = {}) {
+  const answers = { arr: 'Cohort_2', sector: 'b2b_saas', ...extra };
+  Object.values(model.loops).forEach((loop) => {
+    answers[loop.question] = answers[loop.question] ?? String(rating);
+  });
+  return answers;
+}
+
+module.exports = { tempDir, useTempDatabase, answersRating };
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadPatternRules,
+  buildPatternContext,
+  detectPatterns
+} = require('../blocks/logic/patterns');
+
+const context = buildPatternContext({
+  ratings: { Pipeline: 5, Conversion: 1, Expansion: 3, Economics: 3 },
+  loopScores: { Pipeline: 0.9, Conversion: 0.3, Expansion: 0.6, Economics: 0.5 },
+  cohort: 'Cohort_1',
+  sector: 'b2b_saas',
+  topChallenge: 'conversion',
+  challengeLoop: 'Conversion'
+});
+
+const rule = (id, when, severity = 'medium') => ({
+  id,
+  name: id,
+  severity,
+  description: `${id} description`,
+  when,
+  fixes: [`${id}_fix`]
+});
+
+test('buildPatternContext ranks the loops', () => {
+  assert.equal(context.weakest_loop, 'Conversion');
+  assert.equal(context.weakest_loop_score, 0.3);
+  assert.equal(context.strongest_loop, 'Pipeline');
+  assert.equal(context.top_challenge, 'conversion');
+  assert.equal(buildPatternContext({ ratings: {}, loopScores: {} }).weakest_loop, null);
+});
+
+test('all/any groups match and return the leaf conditions as evidence', () => {
+  const [detected] = detectPatterns(context, {
+    patterns: [
+      rule('gap', {
+        all: [
+          { input: 'ratings.Pipeline', op: 'gte', value: 4 },
+          {
+            any: [
+              { input: 'ratings.Conversion', op: 'lte', value: 2 },
+              { input: 'sector', op: 'eq', value: 'marketplace' }
+            ]
+          }
+        ]
+      })
+    ]
+  });
+
+  assert.equal(detected.id, 'gap');
+  assert.deepEqual(detected.fix_ids, ['gap_fix']);
+  assert.deepEqual(detected.evidence, [
+    { input: 'ratings.Pipeline', operator: 'gte', threshold: 4, actual: 5 },
+    { input: 'ratings.Conversion', operator: 'lte', threshold: 2, actual: 1 }
+  ]);
+});
+
+test('every operator compares as documented', () => {
+  const matches = (condition) =>
+    detectPatterns(context, { patterns: [rule('r', condition)] }).length === 1;
+
+  assert.ok(matches({ input: 'cohort', op: 'eq', value: 'Cohort_1' }));
+  assert.ok(matches({ input: 'cohort', op: 'neq', value: 'Cohort_2' }));
+  assert.ok(matches({ input: 'ratings.Pipeline', op: 'gt', value: 4 }));
+  assert.ok(!matches({ input: 'ratings.Pipeline', op: 'gt', value: 5 }));
+  assert.ok(matches({ input: 'ratings.Expansion', op: 'lt', value: 4 }));
+  assert.ok(matches({ input: 'cohort', op: 'in', value: ['Cohort_1', 'Cohort_2'] }));
+  assert.ok(matches({ input: 'cohort', op: 'not_in', value: ['Cohort_3'] }));
+  // Numeric operators never match non-numbers or missing inputs.
+  assert.ok(!matches({ input: 'cohort', op: 'gt', value: 0 }));
+  assert.ok(!matches({ input: 'ratings.Missing', op: 'lte', value: 5 }));
+  assert.ok(!matches({ input: 'cohort', op: 'unknown_op', value: 'Cohort_1' }));
+});
+
+test('a ref compares against another input and reports its value', () => {
+  const [detected] = detectPatterns(context, {
+    patterns: [
+      rule('challenge_is_weakest', { input: 'challenge_loop', op: 'eq', ref: 'weakest_loop' })
+    ]
+  });
+  assert.deepEqual(detected.evidence[0].threshold, { ref: 'weakest_loop', value: 'Conversion' });
+});
+
+test('detected patterns are ordered by severity', () => {
+  const always = { input: 'cohort', op: 'eq', value: 'Cohort_1' };
+  const detected = detectPatterns(context, {
+    patterns: [
+      rule('low', always, 'low'),
+      rule('critical', always, 'critical'),
+      rule('never', { input: 'cohort', op: 'eq', value: 'Cohort_4' }, 'critical'),
+      rule('high', always, 'high')
+    ]
+  });
+  assert.deepEqual(
+    detected.map((pattern) => pattern.id),
+    ['critical', 'high', 'low']
+  );
+});
+
+test('the shipped rules parse and detect a pipeline-conversion gap', () => {
+  const rules = loadPatternRules();
+  assert.ok(rules.patterns.length > 0);
+  const ids = detectPatterns(context, rules).map((pattern) => pattern.id);
+  assert.ok(ids.includes('pipeline_conversion_gap'));
+});
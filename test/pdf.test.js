@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Runs render tasks on a fake page that records the HTML instead of launching a browser.
+const rendered = [];
+require.cache[require.resolve('../blocks/logic/render-pool')] = {
+  id: require.resolve('../blocks/logic/render-pool'),
+  filename: require.resolve('../blocks/logic/render-pool'),
+  loaded: true,
+  exports: {
+    submitRender: (task) => {
+      const page = {
+        setContent: async (html) => rendered.push(html),
+        pdf: async () => undefined
+      };
+      return { id: 'job', status: 'rendering', done: task(page) };
+    }
+  }
+};
+const { generatePdf } = require('../blocks/logic/pdf');
+
+const injected = '<iframe src="http://169.254.169.254/latest/meta-data/"></iframe>';
+
+test('every report value is escaped before the browser renders it', async () => {
+  await generatePdf({
+    clientName: `Acme ${injected}`,
+    overall_ssi: 0.5,
+    loop_scores: { Pipeline: 0.4, Conversion: 0.5, Expansion: 0.6, Economics: 0.7 },
+    benchmark_set: { label: injected },
+    detected_patterns: [{ name: injected, severity: '<b>', description: injected }],
+    metric_breakdown: [
+      {
+        name: injected,
+        loop: 'Pipeline',
+        formatted_value: '<script>x()</script>',
+        formatted_target: injected,
+        meets_target: false,
+        contribution: 0.1,
+        weight: 0.2
+      }
+    ],
+    priority_recommendations: [
+      {
+        name: injected,
+        loop: injected,
+        description: injected,
+        impact: injected,
+        difficulty: 'Easy',
+        implementation: injected,
+        window: '<img src=x>'
+      }
+    ],
+    action_plan: [{ label: injected, fixes: [{ name: injected, implementation: injected }] }]
+  });
+
+  const html = rendered.pop();
+  assert.ok(html.includes('Prepared for Acme &lt;iframe src=&quot;http://169.254.169.254'));
+  assert.equal(/<(iframe|script|img|b>)/i.test(html), false);
+});
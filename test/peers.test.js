@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDatabase } = require('./helpers');
+
+useTempDatabase();
+process.env.PEER_MIN_GROUP_SIZE = '3';
+const { save } = require('../blocks/storage/submissions');
+const { buildPeerBenchmark } = require('../blocks/logic/peers');
+
+let nextId = 0;
+function store({ cohort, sector, score, model = 'v1' }) {
+  nextId += 1;
+  const clientId = `wizard_peer_${nextId}`;
+  save({
+    client_id: clientId,
+    timestamp: new Date(Date.UTC(2024, 0, nextId)).toISOString(),
+    cohort,
+    sector,
+    overall_ssi: score,
+    scores: { Pipeline: score, Conversion: score, Expansion: score, Economics: score },
+    scoring_model_version: model
+  });
+  return clientId;
+}
+
+const results = (score) => ({
+  overall_ssi: score,
+  loop_scores: { Pipeline: score, Conversion: score, Expansion: score, Economics: null },
+  scoring_model_version: 'v1'
+});
+
+test('null while the whole pool is below the minimum group size', () => {
+  store({ cohort: 'Cohort_2', sector: 'services', score: 0.4 });
+  store({ cohort: 'Cohort_2', sector: 'services', score: 0.6 });
+  assert.equal(
+    buildPeerBenchmark({ cohort: 'Cohort_2', sector: 'services', results: results(0.5) }),
+    null
+  );
+});
+
+test('falls back to wider groups until one is large enough', () => {
+  store({ cohort: 'Cohort_2', sector: 'marketplace', score: 0.8 });
+  // Scored under another model, so never a peer.
+  store({ cohort: 'Cohort_2', sector: 'services', score: 0.1, model: 'v0' });
+
+  const benchmark = buildPeerBenchmark({
+    cohort: 'Cohort_2',
+    sector: 'services',
+    results: results(0.5)
+  });
+  assert.deepEqual(benchmark.peer_group, {
+    level: 'cohort',
+    cohort: 'Cohort_2',
+    sector: null,
+    size: 3
+  });
+  assert.equal(benchmark.min_group_size, 3);
+});
+
+test('uses the narrowest group and ranks ties as half', () => {
+  const own = store({ cohort: 'Cohort_2', sector: 'services', score: 0.5 });
+  store({ cohort: 'Cohort_2', sector: 'services', score: 0.5 });
+
+  const benchmark = buildPeerBenchmark({
+    clientId: own,
+    cohort: 'Cohort_2',
+    sector: 'services',
+    results: results(0.5)
+  });
+  // The submission itself is left out of its peers: 0.4, 0.5 and 0.6 remain.
+  assert.equal(benchmark.peer_group.level, 'cohort_sector');
+  assert.equal(benchmark.peer_group.size, 3);
+  assert.deepEqual(benchmark.overall_ssi, {
+    score: 0.5,
+    percentile: 50,
+    peer_size: 3,
+    peer_median: 0.5
+  });
+  assert.equal(benchmark.loop_scores.Pipeline.percentile, 50);
+  assert.equal(benchmark.loop_scores.Economics.percentile, null);
+});
+
+test('unknown segments skip straight to the levels they have values for', () => {
+  const benchmark = buildPeerBenchmark({
+    cohort: 'unknown',
+    sector: null,
+    results: results(0.9)
+  });
+  assert.equal(benchmark.peer_group.level, 'all');
+  assert.equal(benchmark.overall_ssi.percentile, 100);
+});
@@ -0,0 +1,145 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PDF_CONCURRENCY = '1';
+process.env.PDF_QUEUE_LIMIT = '2';
+process.env.PDF_RENDER_TIMEOUT_MS = '200';
+process.env.PDF_BROWSER_MAX_RENDERS = '3';
+
+// Stub browsers that record how they were used; `closePage` decides how page.close() behaves.
+const launched = [];
+let closePage = async () => undefined;
+require.cache[require.resolve('puppeteer')] = {
+  id: require.resolve('puppeteer'),
+  filename: require.resolve('puppeteer'),
+  loaded: true,
+  exports: {
+    launch: async () => {
+      const browser = {
+        pages: 0,
+        closed: false,
+        killed: false,
+        on: () => undefined,
+        newPage: async () => {
+          browser.pages += 1;
+          return { browser, close: () => closePage() };
+        },
+        close: async () => {
+          browser.closed = true;
+        },
+        process: () => ({
+          kill: () => {
+            browser.killed = true;
+          }
+        })
+      };
+      launched.push(browser);
+      return browser;
+    }
+  }
+};
+const { submitRender, getRenderJob, renderMetrics } = require('../blocks/logic/render-pool');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+// Resolves once no slot is busy, i.e. the last job's page close and any retirement are done,
+// or after 10s so a stuck slot fails the test instead of hanging the run.
+async function idle() {
+  const deadline = Date.now() + 10000;
+  while (renderMetrics().active && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const render = (task = async (page) => page.browser) => submitRender(task).done;
+
+afterEach(async () => {
+  closePage = async () => undefined;
+  await idle();
+});
+
+test('a browser is retired after PDF_BROWSER_MAX_RENDERS renders', async () => {
+  const first = await render();
+  assert.equal(await render(), first);
+  assert.equal(await render(), first);
+  await idle();
+  assert.equal(first.pages, 3);
+  assert.ok(first.closed);
+  assert.ok(first.killed);
+
+  const next = await render();
+  assert.notEqual(next, first);
+  assert.equal(launched.at(-1), next);
+});
+
+test('submitting beyond PDF_QUEUE_LIMIT waiting jobs fails with PDF_QUEUE_FULL', async () => {
+  const blocker = deferred();
+  const running = submitRender(() => blocker.promise);
+  const queued = [submitRender(async () => 'a'), submitRender(async () => 'b')];
+  assert.equal(running.status, 'rendering');
+  assert.deepEqual(
+    queued.map((job) => getRenderJob(job.id).position),
+    [1, 2]
+  );
+
+  const rejectedBefore = renderMetrics().rejected;
+  assert.throws(
+    () => submitRender(async () => 'c'),
+    (err) => err.code === 'PDF_QUEUE_FULL' && err.retryAfter >= 1
+  );
+  assert.equal(renderMetrics().rejected, rejectedBefore + 1);
+
+  blocker.resolve('done');
+  assert.deepEqual(await Promise.all([running.done, ...queued.map((job) => job.done)]), [
+    'done',
+    'a',
+    'b'
+  ]);
+});
+
+test('a render past PDF_RENDER_TIMEOUT_MS fails and retires its browser', async () => {
+  const timedOutBefore = renderMetrics().timed_out;
+  let browser;
+  const job = submitRender((page) => {
+    browser = page.browser;
+    return new Promise(() => undefined);
+  });
+
+  await assert.rejects(job.done, (err) => err.code === 'PDF_RENDER_TIMEOUT');
+  assert.equal(getRenderJob(job.id).status, 'failed');
+  assert.equal(renderMetrics().timed_out, timedOutBefore + 1);
+  await idle();
+  assert.ok(browser.killed);
+  assert.notEqual(await render(), browser);
+});
+
+test('a page that fails to close retires its browser', async () => {
+  closePage = async () => {
+    throw new Error('Target closed');
+  };
+  const browser = await render();
+  await idle();
+  assert.ok(browser.killed);
+  assert.notEqual(await render(), browser);
+});
+
+test(
+  'a page that never closes retires its browser instead of holding the slot',
+  { timeout: 15000 },
+  async () => {
+    closePage = () => new Promise(() => undefined);
+    const browser = await render();
+    // The result is delivered straight away; the slot frees once the close gives up.
+    await idle();
+    assert.ok(browser.killed);
+
+    closePage = async () => undefined;
+    assert.notEqual(await render(), browser);
+  }
+);
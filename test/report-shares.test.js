@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDatabase } = require('./helpers');
+
+useTempDatabase();
+const { getDb } = require('../blocks/storage/db');
+const {
+  reportPath,
+  createShare,
+  resolveShare,
+  listShares,
+  revokeShare,
+  removeShares
+} = require('../blocks/storage/report-shares');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const views = (id) =>
+  getDb().prepare('SELECT view_count FROM report_shares WHERE id = ?').pluck().get(id);
+
+test('createShare issues a token that resolves and counts views', () => {
+  const before = Date.now();
+  const share = createShare({ clientId: 'wizard_a', expiresInDays: 30, createdBy: 'wizard' });
+
+  assert.equal(share.report_url, reportPath(share.token));
+  assert.ok(share.report_url.startsWith('/report?token='));
+  const expiresIn = new Date(share.expires_at).getTime() - before;
+  assert.ok(Math.abs(expiresIn - 30 * DAY_MS) < 60 * 1000);
+
+  const found = resolveShare(share.token);
+  assert.equal(found.status, 'active');
+  assert.equal(found.share.client_id, 'wizard_a');
+  assert.equal(found.share.created_by, 'wizard');
+  resolveShare(share.token);
+  assert.equal(views(share.id), 2);
+});
+
+test('resolveShare can check a link without counting a view', () => {
+  const share = createShare({ clientId: 'wizard_b', expiresInDays: 30 });
+  assert.equal(resolveShare(share.token, { recordView: false }).status, 'active');
+  assert.equal(views(share.id), 0);
+});
+
+test('unknown and empty tokens resolve to null', () => {
+  assert.equal(resolveShare('not-a-token'), null);
+  assert.equal(resolveShare(''), null);
+  assert.equal(resolveShare(undefined), null);
+});
+
+test('an expired link reports expired and stops counting views', () => {
+  const share = createShare({ clientId: 'wizard_c', expiresInDays: 1 });
+  getDb()
+    .prepare('UPDATE report_shares SET expires_at = ? WHERE id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), share.id);
+
+  assert.equal(resolveShare(share.token).status, 'expired');
+  assert.equal(resolveShare(share.token, { recordView: false }).status, 'expired');
+  assert.equal(views(share.id), 0);
+});
+
+test('expiresInDays 0 issues a link that never expires', () => {
+  const share = createShare({ clientId: 'wizard_d', expiresInDays: 0 });
+  assert.equal(share.expires_at, null);
+  assert.equal(resolveShare(share.token).status, 'active');
+});
+
+test('revoking a link only works for its own submission, and only once', () => {
+  const share = createShare({ clientId: 'wizard_e', expiresInDays: 30 });
+  const other = createShare({ clientId: 'wizard_e', expiresInDays: 30 });
+
+  assert.equal(revokeShare('wizard_other', share.id), false);
+  assert.equal(resolveShare(share.token).status, 'active');
+
+  assert.equal(revokeShare('wizard_e', share.id), true);
+  assert.equal(revokeShare('wizard_e', share.id), false);
+  const found = resolveShare(share.token);
+  assert.equal(found.status, 'revoked');
+  assert.ok(found.share.revoked_at);
+  assert.equal(views(share.id), 1);
+
+  // Other links to the same report keep working.
+  assert.equal(resolveShare(other.token).status, 'active');
+});
+
+test('a revoked link stays revoked after it would have expired', () => {
+  const share = createShare({ clientId: 'wizard_f', expiresInDays: 1 });
+  revokeShare('wizard_f', share.id);
+  getDb()
+    .prepare('UPDATE report_shares SET expires_at = ? WHERE id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), share.id);
+  assert.equal(resolveShare(share.token).status, 'revoked');
+});
+
+test('listed links never include the token or its hash', () => {
+  createShare({ clientId: 'wizard_g', expiresInDays: 30 });
+  const [listed] = listShares('wizard_g');
+  assert.equal(listed.client_id, 'wizard_g');
+  assert.equal('token' in listed, false);
+  assert.equal('token_hash' in listed, false);
+});
+
+test('removeShares deletes every link of a submission', () => {
+  const share = createShare({ clientId: 'wizard_h', expiresInDays: 30 });
+  createShare({ clientId: 'wizard_h', expiresInDays: 30 });
+  assert.equal(removeShares('wizard_h'), 2);
+  assert.deepEqual(listShares('wizard_h'), []);
+  assert.equal(resolveShare(share.token), null);
+});
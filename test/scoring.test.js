@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listScoringModels,
+  loadScoringModel,
+  modelDefaults,
+  evaluateLoop,
+  clamp
+} = require('../blocks/logic/scoring-model');
+const { calculateScores } = require('../blocks/logic/scoring');
+const { answersRating } = require('./helpers');
+
+const model = loadScoringModel('v1');
+
+test('loadScoringModel reads a versioned model and rejects unknown or unsafe versions', () => {
+  assert.ok(listScoringModels().includes('v1'));
+  assert.equal(model.version, 'v1');
+  assert.throws(() => loadScoringModel('v999'), /Unknown scoring model version/);
+  assert.throws(() => loadScoringModel('../package'), /Invalid scoring model version/);
+});
+
+test('modelDefaults collects metric targets and ceilings', () => {
+  const { targets, ceilings } = modelDefaults({
+    loops: {
+      Pipeline: {
+        metrics: [
+          { key: 'win_rate', target: 0.3 },
+          { key: 'cycle_days', ceiling: 120 }
+        ]
+      }
+    }
+  });
+  assert.deepEqual(targets, { win_rate: 0.3 });
+  assert.deepEqual(ceilings, { cycle_days: 120 });
+});
+
+test('evaluateLoop normalises both metric directions and weights them', () => {
+  const loop = {
+    metrics: [
+      { key: 'rate', label: 'Rate', direction: 'higher_is_better', weight: 0.5 },
+      {
+        key: 'days',
+        label: 'Days',
+        direction: 'lower_is_better',
+        weight: 0.5,
+        clamp: [0, 1]
+      }
+    ]
+  };
+  const benchmarks = { targets: { rate: 0.4 }, ceilings: { days: 100 } };
+
+  const result = evaluateLoop('Pipeline', loop, { rate: 0.2, days: 150 }, benchmarks);
+  assert.equal(result.metrics[0].score, 0.5);
+  // 1 - 150/100 is clamped to the metric's floor.
+  assert.equal(result.metrics[1].score, 0);
+  assert.equal(result.score, 0.25);
+  assert.equal(result.metrics[0].loop, 'Pipeline');
+});
+
+test('clamp bounds a value to a range', () => {
+  assert.equal(clamp(1.4, [0, 1]), 1);
+  assert.equal(clamp(-0.2, [0, 1]), 0);
+  assert.equal(clamp(0.4, [0, 1]), 0.4);
+});
+
+test('calculateScores ranks stronger answers higher and stays within the model clamps', () => {
+  const weak = calculateScores(answersRating(model, 1));
+  const strong = calculateScores(answersRating(model, 5));
+
+  assert.ok(strong.overall_ssi > weak.overall_ssi);
+  for (const result of [weak, strong]) {
+    assert.equal(result.scoring_model_version, 'v1');
+    assert.deepEqual(Object.keys(result.loop_scores).sort(), Object.keys(model.loops).sort());
+    Object.values(result.loop_scores).forEach((score) => {
+      assert.ok(score >= model.clamp.loop[0] && score <= model.clamp.loop[1]);
+    });
+    assert.ok(result.overall_ssi >= 0 && result.overall_ssi <= 1);
+  }
+});
+
+test('calculateScores is deterministic and reports the benchmark set it used', () => {
+  const answers = answersRating(model, 3, { arr: 'Cohort_3', sector: 'services' });
+  const first = calculateScores(answers);
+  assert.deepEqual(calculateScores(answers), first);
+  assert.equal(first.benchmark_set.id, 'Cohort_3:services');
+  assert.equal(first.benchmark_set.cohort, 'Cohort_3');
+  assert.equal(first.benchmark_set.sector, 'services');
+
+  const unknownSegment = calculateScores(answersRating(model, 3, { arr: 'nope', sector: 'nope' }));
+  assert.equal(unknownSegment.benchmark_set.id, 'default');
+});
+
+test('calculateScores breaks every metric down against its target', () => {
+  const result = calculateScores(answersRating(model, 2));
+  const metricCount = Object.values(model.loops).reduce(
+    (sum, loop) => sum + loop.metrics.length,
+    0
+  );
+  assert.equal(result.metric_breakdown.length, metricCount);
+  result.metric_breakdown.forEach((metric) => {
+    if (metric.gap !== null) assert.equal(metric.meets_target, metric.gap <= 0);
+    assert.equal(metric.contribution, metric.score * metric.weight);
+  });
+});
+
+test('metric lifts raise the affected loop', () => {
+  const answers = answersRating(model, 2);
+  const before = calculateScores(answers);
+  const after = calculateScores(answers, {
+    metricLifts: { win_rate: [0.5], sales_cycle_length: [0.5] }
+  });
+  assert.ok(after.loop_scores.Conversion > before.loop_scores.Conversion);
+  assert.equal(after.loop_scores.Pipeline, before.loop_scores.Pipeline);
+});
+
+test('the top challenge re-weights the overall score', () => {
+  const answers = answersRating(model, 3, { question_1_pipeline_health: '1' });
+  const neutral = calculateScores({ ...answers, question_5_top_challenge: 'efficiency' });
+  const pipeline = calculateScores({ ...answers, question_5_top_challenge: 'pipeline' });
+  // Pipeline is the weakest loop, so weighting it up pulls the overall score down.
+  assert.ok(pipeline.overall_ssi < neutral.overall_ssi);
+  assert.deepEqual(pipeline.loop_scores, neutral.loop_scores);
+  assert.equal(neutral.suggested_chapter, 'Chapter_9');
+});
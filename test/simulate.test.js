@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDatabase, answersRating } = require('./helpers');
+const { startServer } = require('../scripts/lib/server-process');
+
+useTempDatabase();
+const { loadScoringModel } = require('../blocks/logic/scoring-model');
+const { calculateScores } = require('../blocks/logic/scoring');
+const { simulate } = require('../blocks/logic/simulate');
+const { save } = require('../blocks/storage/submissions');
+const { createShare, revokeShare } = require('../blocks/storage/report-shares');
+const { createApiKey } = require('../blocks/auth/store');
+
+const model = loadScoringModel('v1');
+const weakAnswers = answersRating(model, 2);
+const strongAnswers = answersRating(model, 4);
+
+let server;
+let share;
+
+before(async () => {
+  save({
+    client_id: 'wizard_stored',
+    timestamp: new Date().toISOString(),
+    client_name: 'Stored Co',
+    answers: weakAnswers,
+    scoring_model_version: 'v1'
+  });
+  share = createShare({ clientId: 'wizard_stored', expiresInDays: 30 });
+  server = await startServer({ databasePath: process.env.DATABASE_PATH });
+});
+after(() => server?.stop());
+
+const post = (body, headers = {}) =>
+  fetch(`${server.baseUrl}/api/simulate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+test('rating_changes override the answer for that loop only', () => {
+  const result = simulate({
+    answers: weakAnswers,
+    modelVersion: 'v1',
+    ratingChanges: { Pipeline: 5 }
+  });
+  const expected = calculateScores({ ...weakAnswers, [model.loops.Pipeline.question]: '5' });
+
+  assert.deepEqual(result.before.loop_scores, calculateScores(weakAnswers).loop_scores);
+  assert.deepEqual(result.after.loop_scores, expected.loop_scores);
+  assert.ok(result.delta.loop_scores.Pipeline > 0);
+  assert.equal(result.delta.loop_scores.Conversion, 0);
+  assert.deepEqual(result.applied, {
+    fix_ids: [],
+    rating_changes: { Pipeline: 5 },
+    lift: 'expected'
+  });
+});
+
+test('raw answers are scored as sent', async () => {
+  const res = await post({ answers: strongAnswers, rating_changes: { Economics: 1 } });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.before.overall_ssi, calculateScores(strongAnswers).overall_ssi);
+  assert.ok(body.delta.loop_scores.Economics < 0);
+});
+
+test('a share token simulates on the stored answers, not the ones in the body', async () => {
+  const res = await post({ share_token: share.token, answers: strongAnswers });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.before.overall_ssi, calculateScores(weakAnswers).overall_ssi);
+  assert.equal(body.scoring_model_version, 'v1');
+});
+
+test('unknown and revoked share tokens are refused', async () => {
+  assert.equal((await post({ share_token: 'not-a-token' })).status, 404);
+
+  const revoked = createShare({ clientId: 'wizard_stored', expiresInDays: 30 });
+  revokeShare('wizard_stored', revoked.id);
+  const res = await post({ share_token: revoked.token });
+  assert.equal(res.status, 410);
+  assert.equal((await res.json()).status, 'revoked');
+});
+
+test('client_id needs an admin: 401 anonymous, 403 viewer, 200 admin', async () => {
+  const anonymous = await post({ client_id: 'wizard_stored' });
+  assert.equal(anonymous.status, 401);
+
+  const viewer = createApiKey({ name: 'simulate-viewer', role: 'viewer' });
+  const asViewer = await post(
+    { client_id: 'wizard_stored' },
+    { Authorization: `Bearer ${viewer.key}` }
+  );
+  assert.equal(asViewer.status, 403);
+
+  const admin = createApiKey({ name: 'simulate-admin', role: 'admin' });
+  const auth = { Authorization: `Bearer ${admin.key}` };
+  const asAdmin = await post({ client_id: 'wizard_stored' }, auth);
+  assert.equal(asAdmin.status, 200);
+  assert.equal((await asAdmin.json()).before.overall_ssi, calculateScores(weakAnswers).overall_ssi);
+  assert.equal((await post({ client_id: 'wizard_missing' }, auth)).status, 404);
+});
+
+test('unknown fixes and loops are rejected with 400', async () => {
+  const res = await post({
+    answers: weakAnswers,
+    fix_ids: ['no_such_fix'],
+    rating_changes: { Marketing: 3 }
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual((await res.json()).unknown, { fix_ids: ['no_such_fix'], loops: ['Marketing'] });
+  assert.equal((await post({})).status, 400);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { openDatabase } = require('../blocks/storage/db');
+const { createJsonStore } = require('../blocks/storage/drivers/json');
+const { createSqliteStore } = require('../blocks/storage/drivers/sqlite');
+
+const dir = tempDir();
+
+const submission = (clientId, day, overrides = {}) => ({
+  client_id: clientId,
+  timestamp: `2024-03-${String(day).padStart(2, '0')}T12:00:00.000Z`,
+  client_name: `Company ${clientId}`,
+  email: `${clientId}@example.com`,
+  cohort: 'Cohort_2',
+  sector: 'services',
+  employees: '51-200',
+  answers: { question_5_top_challenge: 'pipeline' },
+  overall_ssi: 0.5,
+  scores: { Pipeline: 0.5, Conversion: 0.5, Expansion: 0.5, Economics: 0.5 },
+  patterns: [],
+  ...overrides
+});
+
+// Stored in this order, which is not timestamp order.
+const fixtures = [
+  submission('s1', 1, { overall_ssi: 0.3, patterns: [{ id: 'leaky_bucket' }] }),
+  submission('s2', 5, {
+    cohort: 'Cohort_1',
+    overall_ssi: 0.8,
+    client_name: '100% Growth Ltd',
+    answers: { question_5_top_challenge: 'conversion' }
+  }),
+  submission('s3', 3, {
+    sector: 'marketplace',
+    employees: '1-50',
+    overall_ssi: 0.6,
+    patterns: [{ id: 'leaky_bucket' }]
+  }),
+  submission('s4', 2, { overall_ssi: null, scores: {} }),
+  submission('s5', 4, {
+    email: 'ops@Acme.io',
+    overall_ssi: 0.2,
+    patterns: [{ id: 'leaky_bucket' }],
+    // Re-scored: filters see the latest revision, not the original values.
+    score_revisions: [
+      {
+        overall_ssi: 0.7,
+        scores: { Pipeline: 0.9, Conversion: 0.6, Expansion: 0.6, Economics: 0.6 },
+        patterns: [{ id: 'scaling_ceiling' }],
+        scoring_model_version: 'v1'
+      }
+    ]
+  }),
+  submission('s6', 6, { cohort: 'Cohort_1', sector: 'marketplace', overall_ssi: 0.6 })
+];
+
+const drivers = {
+  json: () => createJsonStore({ filePath: path.join(dir, 'store.json') }),
+  sqlite: () => createSqliteStore({ db: openDatabase(path.join(dir, 'test.db')) })
+};
+
+for (const [name, createStore] of Object.entries(drivers)) {
+  const store = createStore();
+  fixtures.forEach((fixture) => store.insert(fixture));
+  const ids = (filters) => store.query(filters).submissions.map((s) => s.client_id);
+
+  test(`${name}: newest first by default, oldest first with order=asc`, () => {
+    assert.deepEqual(ids({}), ['s6', 's2', 's5', 's3', 's4', 's1']);
+    assert.deepEqual(ids({ order: 'asc' }), ['s1', 's4', 's3', 's5', 's2', 's6']);
+  });
+
+  test(`${name}: score sorts keep missing scores last and break ties by insertion`, () => {
+    assert.deepEqual(ids({ sort: 'overall_ssi' }), ['s2', 's5', 's6', 's3', 's1', 's4']);
+    assert.deepEqual(ids({ sort: 'overall_ssi', order: 'asc' }), [
+      's1',
+      's3',
+      's6',
+      's5',
+      's2',
+      's4'
+    ]);
+    assert.deepEqual(ids({ sort: 'pipeline', limit: 1 }), ['s5']);
+    assert.deepEqual(ids({ sort: 'unknown' }), ids({}));
+  });
+
+  test(`${name}: pages cover every match once and total ignores the page`, () => {
+    const pages = [0, 2, 4].map((offset) => store.query({ sort: 'overall_ssi', limit: 2, offset }));
+    pages.forEach((page) => assert.equal(page.total, 6));
+    assert.deepEqual(
+      pages.flatMap((page) => page.submissions.map((s) => s.client_id)),
+      ids({ sort: 'overall_ssi' })
+    );
+    assert.deepEqual(store.query({ offset: 10, limit: 5 }), { submissions: [], total: 6 });
+    assert.deepEqual(ids({ offset: 4 }), ['s4', 's1']);
+
+    const filtered = store.query({ cohort: 'Cohort_2', limit: 2, offset: 2 });
+    assert.equal(filtered.total, 4);
+    assert.deepEqual(
+      filtered.submissions.map((s) => s.client_id),
+      ['s4', 's1']
+    );
+  });
+
+  test(`${name}: equality filters combine with AND`, () => {
+    assert.deepEqual(ids({ cohort: 'Cohort_1' }), ['s6', 's2']);
+    assert.deepEqual(ids({ cohort: 'Cohort_1', sector: 'marketplace' }), ['s6']);
+    assert.deepEqual(ids({ sector: 'marketplace', employees: '1-50' }), ['s3']);
+    assert.deepEqual(ids({ cohort: 'Cohort_1', top_challenge: 'conversion' }), ['s2']);
+    assert.deepEqual(ids({ cohort: 'Cohort_3' }), []);
+  });
+
+  test(`${name}: score bounds are inclusive, use the latest revision and skip missing scores`, () => {
+    assert.deepEqual(ids({ min_ssi: 0.6, max_ssi: 0.7, order: 'asc' }), ['s3', 's5', 's6']);
+    assert.deepEqual(ids({ max_ssi: 0.3 }), ['s1']);
+    assert.deepEqual(ids({ min_ssi: 0.6, sector: 'marketplace' }), ['s6', 's3']);
+  });
+
+  test(`${name}: date ranges include both end days`, () => {
+    assert.deepEqual(ids({ start_date: '2024-03-02', end_date: '2024-03-04' }), ['s5', 's3', 's4']);
+    assert.deepEqual(ids({ start_date: '2024-03-05' }), ['s6', 's2']);
+    assert.deepEqual(ids({ end_date: '2024-03-01', cohort: 'Cohort_2' }), ['s1']);
+  });
+
+  test(`${name}: pattern filters use the latest revision's patterns`, () => {
+    assert.deepEqual(ids({ pattern: 'leaky_bucket' }), ['s3', 's1']);
+    assert.deepEqual(ids({ pattern: 'scaling_ceiling' }), ['s5']);
+    assert.deepEqual(ids({ pattern: 'leaky_bucket', sector: 'services' }), ['s1']);
+    assert.deepEqual(ids({ pattern: 'leaky_bucket', min_ssi: 0.5 }), ['s3']);
+  });
+
+  test(`${name}: search matches name or email, ignoring case, with wildcards taken literally`, () => {
+    assert.deepEqual(ids({ search: 'acme' }), ['s5']);
+    assert.deepEqual(ids({ search: 'COMPANY S1' }), ['s1']);
+    assert.deepEqual(ids({ search: '100%' }), ['s2']);
+    assert.deepEqual(ids({ search: '%' }), ['s2']);
+    assert.deepEqual(ids({ search: '_' }), []);
+    assert.deepEqual(ids({ search: 'example.com', cohort: 'Cohort_1', limit: 1 }), ['s6']);
+  });
+
+  test(`${name}: summaries apply the same filters, oldest first`, () => {
+    const rows = store.summaries({ cohort: 'Cohort_2', min_ssi: 0.5 });
+    assert.deepEqual(
+      rows.map((row) => row.client_id),
+      ['s3', 's5']
+    );
+    assert.equal(rows[1].overall_ssi, 0.7);
+    assert.deepEqual(rows[1].patterns, ['scaling_ceiling']);
+  });
+}
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { openDatabase } = require('../blocks/storage/db');
+const { createJsonStore } = require('../blocks/storage/drivers/json');
+const { createSqliteStore } = require('../blocks/storage/drivers/sqlite');
+
+const dir = tempDir();
+const migrationFiles = fs
+  .readdirSync(path.join(__dirname, '..', 'blocks', 'storage', 'migrations'))
+  .filter((file) => file.endsWith('.sql'));
+
+const submission = (clientId, overrides = {}) => ({
+  client_id: clientId,
+  timestamp: '2024-03-01T12:00:00.000Z',
+  client_name: 'Acme',
+  cohort: 'Cohort_2',
+  sector: 'services',
+  overall_ssi: 0.61,
+  scores: { Pipeline: 0.5, Conversion: 0.6, Expansion: 0.7, Economics: 0.4 },
+  patterns: [{ id: 'leaky_bucket' }],
+  answers: { question_5_top_challenge: 'pipeline' },
+  ...overrides
+});
+
+let databases = 0;
+const freshDatabase = () => openDatabase(path.join(dir, `db-${(databases += 1)}`, 'test.db'));
+
+const drivers = {
+  json: () => createJsonStore({ filePath: path.join(dir, `store-${(databases += 1)}.json`) }),
+  sqlite: () => createSqliteStore({ db: freshDatabase() })
+};
+
+test('migrations apply to an empty database, once', () => {
+  const file = path.join(dir, 'migrate', 'test.db');
+  const db = openDatabase(file);
+  const applied = db.prepare('SELECT name FROM schema_migrations ORDER BY version').pluck().all();
+  assert.deepEqual(applied, migrationFiles.sort());
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+  ['submissions', 'submission_patterns', 'users', 'report_shares'].forEach((table) =>
+    assert.ok(tables.includes(table), `missing table ${table}`)
+  );
+  db.close();
+
+  // Reopening finds nothing left to apply.
+  const reopened = openDatabase(file);
+  assert.equal(
+    reopened.prepare('SELECT COUNT(*) FROM schema_migrations').pluck().get(),
+    migrationFiles.length
+  );
+  reopened.close();
+});
+
+for (const [name, createStore] of Object.entries(drivers)) {
+  test(`${name}: a stored submission reads back unchanged`, () => {
+    const store = createStore();
+    store.insert(submission('wizard_a'));
+    store.insert(submission('wizard_b', { client_name: 'Beta' }));
+
+    assert.deepEqual(store.get('wizard_a'), submission('wizard_a'));
+    assert.equal(store.get('wizard_missing'), null);
+    assert.deepEqual(
+      store.readAll().map((s) => s.client_id),
+      ['wizard_a', 'wizard_b']
+    );
+    const [summary] = store.summaries({ sector: 'services', search: 'beta' });
+    assert.equal(summary.client_id, 'wizard_b');
+    assert.equal(summary.pipeline_score, 0.5);
+    assert.deepEqual(summary.patterns, ['leaky_bucket']);
+  });
+
+  test(`${name}: a duplicate client_id is rejected with SUBMISSION_EXISTS`, () => {
+    const store = createStore();
+    store.insert(submission('wizard_dup'));
+    assert.throws(
+      () => store.insert(submission('wizard_dup', { client_name: 'Other' })),
+      (err) => err.code === 'SUBMISSION_EXISTS'
+    );
+    assert.equal(store.get('wizard_dup').client_name, 'Acme');
+  });
+
+  test(`${name}: summaries filter on the scoring model version`, () => {
+    const store = createStore();
+    store.insert(submission('wizard_v1', { scoring_model_version: 'v1' }));
+    store.insert(submission('wizard_v2', { scoring_model_version: 'v2' }));
+    store.insert(
+      submission('wizard_v2_other', { scoring_model_version: 'v2', cohort: 'Cohort_1' })
+    );
+
+    const ids = (filters) => store.summaries(filters).map((row) => row.client_id);
+    assert.deepEqual(ids({ scoring_model_version: 'v2', cohort: 'Cohort_2' }), ['wizard_v2']);
+    assert.deepEqual(ids({ scoring_model_version: 'v1' }), ['wizard_v1']);
+    assert.equal(ids({}).length, 3);
+  });
+
+  test(`${name}: update and remove match on client_id`, () => {
+    const store = createStore();
+    store.insert(submission('wizard_u'));
+    store.update([submission('wizard_u', { overall_ssi: 0.9, patterns: [] })]);
+    assert.equal(store.get('wizard_u').overall_ssi, 0.9);
+    assert.deepEqual(store.summaries({ pattern: 'leaky_bucket' }), []);
+
+    assert.equal(store.remove('wizard_u'), true);
+    assert.equal(store.remove('wizard_u'), false);
+    assert.equal(store.get('wizard_u'), null);
+  });
+}
+
+test('the legacy importer copies each submission once', () => {
+  const legacyPath = path.join(dir, 'submissions_data.json');
+  fs.writeFileSync(
+    legacyPath,
+    JSON.stringify([submission('wizard_1'), submission('wizard_2'), { client_name: 'No id' }])
+  );
+  const store = createSqliteStore({ db: freshDatabase() });
+
+  assert.deepEqual(store.importLegacyJson(legacyPath), { total: 3, imported: 2, skipped: 1 });
+  assert.deepEqual(store.importLegacyJson(legacyPath), { total: 3, imported: 0, skipped: 3 });
+  assert.equal(store.readAll().length, 2);
+  assert.equal(store.summaries({ pattern: 'leaky_bucket' }).length, 2);
+});
+
+test('a new SQLite store imports the legacy file on first open only', () => {
+  const legacyPath = path.join(dir, 'auto_import.json');
+  fs.writeFileSync(legacyPath, JSON.stringify([submission('wizard_legacy')]));
+  const db = freshDatabase();
+
+  assert.ok(createSqliteStore({ db, legacyPath }).get('wizard_legacy'));
+  createSqliteStore({ db }).remove('wizard_legacy');
+  // The import is recorded, so opening the store again does not bring it back.
+  assert.equal(createSqliteStore({ db, legacyPath }).get('wizard_legacy'), null);
+});
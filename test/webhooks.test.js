@@ -0,0 +1,177 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { useTempDatabase } = require('./helpers');
+
+useTempDatabase();
+process.env.OUTBOUND_MAX_ATTEMPTS = '3';
+process.env.OUTBOUND_RETRY_BASE_MS = '0';
+const store = require('../blocks/storage/webhooks');
+const { registerHandler, drain } = require('../blocks/communication/outbound-queue');
+const {
+  WEBHOOK_JOB,
+  sign,
+  emitEvent,
+  deliverWebhook,
+  onWebhookDead,
+  replayDelivery
+} = require('../blocks/communication/webhooks');
+
+registerHandler(WEBHOOK_JOB, deliverWebhook, { onDead: onWebhookDead });
+
+// A receiver that answers with the queued status codes (200 once they run out) and records
+// every request it gets.
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() ?? 200).end();
+  });
+});
+let url;
+
+before(async () => {
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+// One subscription per test, removed afterwards so events only reach the current test.
+function subscribe(t, subscriptionUrl = url) {
+  received.length = 0;
+  statuses.length = 0;
+  const subscription = store.createSubscription({
+    url: subscriptionUrl,
+    events: ['submission.created']
+  });
+  t.after(() => store.removeSubscription(subscription.id));
+  return subscription;
+}
+
+const deliveryOf = (subscription) =>
+  store.listDeliveries({ subscriptionId: subscription.id }).deliveries[0];
+
+test('sign produces t=<seconds>,v1=<HMAC-SHA256 of "t.body">', () => {
+  assert.equal(
+    sign('whsec_test', 1700000000, '{"id":"evt_1"}'),
+    't=1700000000,v1=c89214b5b5da833daed6f0b8c5bb6bd58cea9022bd80ccc78230f3942d632925'
+  );
+});
+
+test('a delivery is signed with the subscription secret over the exact body sent', async (t) => {
+  const subscription = subscribe(t);
+  const eventId = emitEvent('submission.created', { client_id: 'wizard_a' });
+  await drain();
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-asr-event'], 'submission.created');
+  assert.equal(headers['x-asr-event-id'], eventId);
+  const [, timestamp, mac] = headers['x-asr-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  const expected = crypto
+    .createHmac('sha256', subscription.secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  assert.equal(mac, expected);
+  assert.deepEqual(JSON.parse(body).data, { client_id: 'wizard_a' });
+  assert.equal(deliveryOf(subscription).status, 'delivered');
+});
+
+for (const status of [500, 503, 429, 408]) {
+  test(`a ${status} answer is retried`, async (t) => {
+    const subscription = subscribe(t);
+    statuses.push(status);
+    emitEvent('submission.created', { client_id: 'wizard_retry' });
+    await drain();
+
+    assert.equal(received.length, 2);
+    const delivery = deliveryOf(subscription);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.last_status_code, 200);
+  });
+}
+
+test('a network error is retried', async (t) => {
+  // Nothing listens on this port once the probe closes, so every attempt is refused.
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  const subscription = subscribe(t, `http://127.0.0.1:${port}/hook`);
+
+  emitEvent('submission.created', { client_id: 'wizard_offline' });
+  await drain();
+
+  const delivery = deliveryOf(subscription);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.status, 'dead');
+  assert.equal(delivery.last_status_code, null);
+  assert.match(delivery.last_error, /ECONNREFUSED/);
+});
+
+for (const status of [400, 404, 410]) {
+  test(`a ${status} answer goes straight to the dead-letter log`, async (t) => {
+    const subscription = subscribe(t);
+    statuses.push(status);
+    emitEvent('submission.created', { client_id: 'wizard_gone' });
+    await drain();
+
+    assert.equal(received.length, 1);
+    const delivery = deliveryOf(subscription);
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, status);
+  });
+}
+
+test('a delivery is dead-lettered after OUTBOUND_MAX_ATTEMPTS failures', async (t) => {
+  const subscription = subscribe(t);
+  statuses.push(500, 500, 500, 500);
+  emitEvent('submission.created', { client_id: 'wizard_down' });
+  await drain();
+
+  assert.equal(received.length, 3);
+  const delivery = deliveryOf(subscription);
+  assert.equal(delivery.status, 'dead');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.last_error, 'Endpoint answered 500');
+  assert.deepEqual(store.listDeliveries({ status: 'dead', subscriptionId: subscription.id }), {
+    deliveries: [delivery],
+    total: 1
+  });
+});
+
+test('replaying a dead delivery sends the same event again', async (t) => {
+  const subscription = subscribe(t);
+  statuses.push(404);
+  const eventId = emitEvent('submission.created', { client_id: 'wizard_replay' });
+  await drain();
+  const { id } = deliveryOf(subscription);
+  assert.equal(deliveryOf(subscription).status, 'dead');
+
+  assert.equal(replayDelivery(id), true);
+  // Already pending again, so a second replay is refused until it runs.
+  assert.equal(replayDelivery(id), false);
+  await drain();
+
+  assert.equal(received.length, 2);
+  assert.equal(received[1].body, received[0].body);
+  assert.equal(received[1].headers['x-asr-event-id'], eventId);
+  const delivery = deliveryOf(subscription);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 2);
+
+  // A delivered one can be replayed too.
+  assert.equal(replayDelivery(id), true);
+  await drain();
+  assert.equal(received.length, 3);
+});
+
+test('nobody subscribed means no event and no delivery', () => {
+  assert.equal(emitEvent('submission.created', { client_id: 'wizard_none' }), null);
+});
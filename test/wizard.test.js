@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDatabase, answersRating } = require('./helpers');
+const { startServer } = require('../scripts/lib/server-process');
+
+useTempDatabase();
+const { getDb } = require('../blocks/storage/db');
+const { loadScoringModel } = require('../blocks/logic/scoring-model');
+
+const answers = answersRating(loadScoringModel('v1'), 3, { company_name: 'Acme' });
+let server;
+
+before(async () => {
+  server = await startServer({ databasePath: process.env.DATABASE_PATH });
+});
+after(() => server?.stop());
+
+const submit = (body, idempotencyKey) =>
+  fetch(`${server.baseUrl}/api/wizard`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+const count = (table, clientId) =>
+  getDb().prepare(`SELECT COUNT(*) FROM ${table} WHERE client_id = ?`).pluck().get(clientId);
+
+test('a repeated Idempotency-Key with the same body replays the stored response', async () => {
+  const first = await submit({ client_name: 'Acme', answers }, 'replay-key');
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  const original = await first.json();
+  assert.ok(original.share.token);
+
+  // Same body with its keys in another order.
+  const second = await submit({ answers, client_name: 'Acme' }, 'replay-key');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await second.json(), original);
+
+  assert.equal(count('submissions', original.client_id), 1);
+  assert.equal(count('report_shares', original.client_id), 1);
+});
+
+test('a repeated Idempotency-Key with a different body is rejected with 422', async () => {
+  const first = await submit({ client_name: 'Acme', answers }, 'conflict-key');
+  assert.equal(first.status, 200);
+  const { client_id: clientId } = await first.json();
+
+  const second = await submit({ client_name: 'Other', answers }, 'conflict-key');
+  assert.equal(second.status, 422);
+  assert.match((await second.json()).error, /different payload/);
+  assert.equal(count('submissions', clientId), 1);
+});
+
+test('a client_id that already exists is rejected with 409 when no key is sent', async () => {
+  const body = { client_id: 'wizard_existing', client_name: 'Acme', answers };
+  assert.equal((await submit(body)).status, 200);
+
+  const second = await submit(body);
+  assert.equal(second.status, 409);
+  assert.deepEqual(await second.json(), {
+    error: 'Submission already exists',
+    client_id: 'wizard_existing'
+  });
+  assert.equal(count('submissions', 'wizard_existing'), 1);
+});
+
+test('a rating outside the 1-5 scale is rejected with 400', async () => {
+  const res = await submit({ answers: { ...answers, question_1_pipeline_health: '9' } });
+  assert.equal(res.status, 400);
+  const [issue] = (await res.json()).details;
+  assert.deepEqual(issue.path, ['answers', 'question_1_pipeline_health']);
+
+  const simulation = await fetch(`${server.baseUrl}/api/simulate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ answers: { ...answers, question_2_sales_conversion: '0' } })
+  });
+  assert.equal(simulation.status, 400);
+});
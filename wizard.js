@@ -5,7 +5,9 @@
 
 let currentStep = 0;
 let totalSteps = 9; // 5 questions + 3 cohort qualifiers + 1 final optional step
-let currentClientId = null; // Store client ID for PDF download
+let currentClientId = null; // Server-issued client ID, stored for PDF download
+let submitIdempotency = null; // { body, key }: reused while the payload is unchanged so retries store once
+let reportEmailConsent = false; // Opt-in to receive the PDF report by email
 let wizardAnswers = {
     // Optional lead capture (collected at end)
     user_email: null,
@@ -25,7 +27,8 @@ let wizardAnswers = {
     question_5_top_challenge: null
 };
 
-const FORMSPREE_ENDPOINT = 'https://formspree.io/f/mldpknqg';
+// Shared API client (app_shared/sdk/asr-client.js), also used by the Next.js pages
+const api = AsrClient.createClient();
 
 let wizardConfig = null;
 
@@ -112,7 +115,7 @@ function generateScaleOptions(questionId, descriptors) {
     let html = '';
     for (let i = 1; i <= 5; i++) {
         html += `
-            <div class="scale-option" onclick="selectOption('${questionId}', ${i}, this)">
+            <div class="scale-option" onclick="selectOption('${questionId}', '${i}', this)">
                 <input type="radio" name="${questionId}" value="${i}" id="${questionId}-${i}">
                 <div>
                     <div class="option-label">Level ${i}</div>
@@ -128,6 +131,7 @@ function setupEventListeners() {
     // Final step - optional email and company name
     const emailFinal = document.getElementById('email-final');
     const companyFinal = document.getElementById('company-name-final');
+    const consentFinal = document.getElementById('report-consent-final');
 
     if (emailFinal) {
         emailFinal.addEventListener('input', function(e) {
@@ -137,6 +141,12 @@ function setupEventListeners() {
         });
     }
 
+    if (consentFinal) {
+        consentFinal.addEventListener('change', function(e) {
+            reportEmailConsent = e.target.checked;
+        });
+    }
+
     if (companyFinal) {
         companyFinal.addEventListener('input', function(e) {
             wizardAnswers.company_name = e.target.value.trim();
@@ -383,48 +393,48 @@ async function submitWizard() {
     document.getElementById('loadingSpinner').style.display = 'block';
 
     try {
-        // Generate client ID once for both API submission and PDF download
-        currentClientId = `wizard_${Date.now()}`;
-
-        // Submit to our API (uses relative path for both local and production)
-        const API_ENDPOINT = '/wizard_submit';
-
-        const apiResponse = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                answers: wizardAnswers,
-                client_name: wizardAnswers.company_name || 'Wizard User',
-                client_id: currentClientId,
-                email: wizardAnswers.user_email || wizardAnswers.email || ''
-            })
-        });
-
-        if (!apiResponse.ok) {
-            throw new Error('API submission failed');
+        // Unanswered questions are left out; the API rejects null answers
+        const answers = Object.fromEntries(
+            Object.entries(wizardAnswers).filter(([, value]) => value !== null && value !== '')
+        );
+
+        // The server issues the client ID; a retry with the same payload reuses the key
+        const request = {
+            answers,
+            client_name: wizardAnswers.company_name || 'Wizard User',
+            email: wizardAnswers.user_email || wizardAnswers.email || '',
+            report_email_consent: Boolean(wizardAnswers.user_email) && reportEmailConsent
+        };
+        const body = JSON.stringify(request);
+        if (!submitIdempotency || submitIdempotency.body !== body) {
+            submitIdempotency = { body, key: crypto.randomUUID() };
         }
 
-        const results = await apiResponse.json();
+        const results = await api.submitWizard(request, { idempotencyKey: submitIdempotency.key });
+        currentClientId = results.client_id;
 
         // Store complete results in localStorage for report page
         const reportData = {
             clientName: wizardAnswers.company_name || 'Your Company',
+            share_token: results.share ? results.share.token : null,
             email: wizardAnswers.user_email || wizardAnswers.email,
             overall_ssi: results.overall_ssi,
             loop_scores: results.loop_scores,
+            benchmark_set: results.benchmark_set || null,
+            suggested_chapter: results.suggested_chapter || null,
+            metric_breakdown: results.metric_breakdown || [],
             priority_recommendations: results.priority_recommendations || [],
+            action_plan: results.action_plan || [],
             detected_patterns: results.detected_patterns || [],
+            peer_benchmark: results.peer_benchmark || null,
             timestamp: new Date().toISOString()
         };
         localStorage.setItem('wizardResults', JSON.stringify(reportData));
 
-        // Submit to Formspree in parallel (don't block on this)
-        submitToFormspree(results).catch(err => console.warn('Formspree submission failed:', err));
-
-        // Redirect to report page
-        window.location.href = '/report.html';
+        // Redirect to report page; the share token makes the URL work on any device
+        window.location.href = results.share
+            ? `/report.html?token=${encodeURIComponent(results.share.token)}`
+            : '/report.html';
 
     } catch (error) {
         console.error('Error submitting wizard:', error);
@@ -440,7 +450,7 @@ async function submitWizard() {
         if (!navigator.onLine) {
             errorMessage = 'No internet connection detected.';
             errorDetails = 'Please check your network connection and try again.';
-        } else if (error.message.includes('API submission failed')) {
+        } else if (error instanceof AsrClient.ApiError) {
             errorMessage = 'Server error occurred.';
             errorDetails = 'Our servers may be temporarily unavailable. Please try again in a few moments.';
         } else if (error.message.includes('timeout')) {
@@ -490,38 +500,11 @@ window.closeErrorModal = function() {
     }
 }
 
-async function submitToFormspree(results) {
-    const overall_ssi = Math.round((results.overall_ssi || 0) * 100);
-    const loop_scores = results.loop_scores || {};
-
-    const formData = {
-        email: wizardAnswers.email,
-        company_name: wizardAnswers.company_name,
-        arr: wizardAnswers.arr,
-        employees: wizardAnswers.employees,
-        sector: wizardAnswers.sector,
-        revenue_rating: overall_ssi,
-        pipeline_score: Math.round((loop_scores.Pipeline || 0) * 100),
-        conversion_score: Math.round((loop_scores.Conversion || 0) * 100),
-        expansion_score: Math.round((loop_scores['Delivery & Expansion'] || loop_scores.Expansion || 0) * 100),
-        top_challenge: wizardAnswers.question_5_top_challenge,
-        _subject: `Revenue Rating: ${overall_ssi} - ${wizardAnswers.company_name}`
-    };
-
-    await fetch(FORMSPREE_ENDPOINT, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(formData)
-    });
-}
-
 // Helper: Identify weakest loop and generate insights
 function getWeakestLoopInsights(loop_scores, user_challenge) {
     const pipeline = loop_scores.Pipeline || 0;
     const conversion = loop_scores.Conversion || 0;
-    const expansion = loop_scores['Delivery & Expansion'] || loop_scores.Expansion || 0;
+    const expansion = loop_scores.Expansion || 0;
 
     // Find weakest loop
     const loops = {
@@ -643,67 +626,28 @@ function getSsiClass(ssi) {
     return 'low';
 }
 
-/**
- * Generate industry comparison badge
- */
-function generateIndustryComparison(yourScore, sector) {
-    // Industry averages (simplified - could load from backend)
-    const industryAverages = {
-        'SaaS': 62,
-        'Enterprise B2B': 58,
-        'SMB': 55,
-        'PLG/Product': 64,
-        'Services': 52,
-        'default': 58
-    };
-
-    const industryAvg = industryAverages[sector] || industryAverages['default'];
-    const delta = yourScore - industryAvg;
-    const isAbove = delta >= 0;
-    const displaySector = sector || 'Average';
-
-    return `
-        <div style="margin-top: 24px; padding: 16px; background: ${isAbove ? '#ecfdf5' : '#fef3c7'}; border: 1px solid ${isAbove ? '#6ee7b7' : '#fcd34d'}; border-radius: 12px;">
-            <div style="display: flex; align-items: center; justify-content: center; gap: 12px;">
-                <span style="color: #6b7280; font-size: 14px; font-weight: 500;">
-                    vs ${displaySector} Industry Average (${industryAvg}):
-                </span>
-                <span style="font-size: 20px; font-weight: 700; color: ${isAbove ? '#059669' : '#d97706'};">
-                    ${isAbove ? '+' : ''}${delta}
-                </span>
-                <span style="font-size: 24px;">${isAbove ? '📈' : '📉'}</span>
-            </div>
-            <p style="margin: 8px 0 0; text-align: center; font-size: 13px; color: #6b7280;">
-                ${isAbove
-                    ? `You're outperforming the average ${displaySector} company by ${Math.abs(delta)} points!`
-                    : `There's a ${Math.abs(delta)}-point gap vs the ${displaySector} average — high ROI opportunity.`
-                }
-            </p>
-        </div>
-    `;
-}
-
 /**
  * Generate smart CTA based on pattern severity and score
  */
 function generateSmartCTA(results, answers) {
     const patterns = results.detected_patterns || [];
-    const hasHighSeverityPattern = patterns.some(p => p.severity === 'HIGH');
+    const isHighSeverity = p => p.severity === 'critical' || p.severity === 'high';
+    const hasHighSeverityPattern = patterns.some(isHighSeverity);
     const score = Math.round((results.overall_ssi || 0) * 100);
     const companyName = answers.company_name || 'your company';
     const email = answers.user_email || answers.email || '';
 
     // Critical Pattern - Red Alert CTA
     if (hasHighSeverityPattern && score < 50) {
-        const criticalPattern = patterns.find(p => p.severity === 'HIGH');
+        const criticalPattern = patterns.find(isHighSeverity);
         return `
             <div style="background: linear-gradient(135deg, #fee2e2, #fecaca); border: 3px solid #ef4444; border-radius: 20px; padding: 40px; text-align: center; margin-top: 30px; box-shadow: 0 8px 24px rgba(239, 68, 68, 0.2); cursor: pointer;" onclick="window.location.href='data_input.html?company=${encodeURIComponent(companyName)}&email=${encodeURIComponent(email)}'">
                 <div style="font-size: 48px; margin-bottom: 16px;">🚨</div>
                 <h3 style="font-family: 'Montserrat'; font-size: 28px; margin-bottom: 16px; color: #991b1b;">
-                    Critical Pattern Detected: ${criticalPattern.pattern_name}
+                    Critical Pattern Detected: ${criticalPattern.name}
                 </h3>
                 <p style="color: #7f1d1d; font-size: 17px; margin-bottom: 24px; max-width: 650px; margin-left: auto; margin-right: auto; line-height: 1.8; font-weight: 500;">
-                    Your diagnostic reveals a <strong>HIGH severity</strong> GTM pattern that typically costs companies like ${companyName}
+                    Your diagnostic reveals a <strong>${criticalPattern.severity.toUpperCase()} severity</strong> GTM pattern that typically costs companies like ${companyName}
                     20-40% of potential revenue annually. The full 25-metric diagnostic will:
                 </p>
                 <ul style="text-align: left; max-width: 600px; margin: 24px auto; color: #7f1d1d; line-height: 2; font-size: 15px;">
@@ -781,8 +725,9 @@ function generateSmartCTA(results, answers) {
 }
 
 // PDF Download function
-function downloadPDFReport() {
-    if (!currentClientId) {
+async function downloadPDFReport() {
+    const storedResults = localStorage.getItem('wizardResults');
+    if (!currentClientId || !storedResults) {
         alert('Unable to generate PDF. Please complete the wizard first.');
         return;
     }
@@ -793,12 +738,19 @@ function downloadPDFReport() {
     btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generating PDF...';
     btn.disabled = true;
 
-    // Trigger PDF download
-    window.location.href = `http://localhost:5001/api/reports/pdf/${currentClientId}`;
-
-    // Reset button after short delay
-    setTimeout(() => {
+    try {
+        // Render the stored results on this server, then download the file
+        const { downloadUrl } = await api.generatePdf(JSON.parse(storedResults));
+        window.location.href = api.url(downloadUrl);
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        if (error instanceof AsrClient.ApiError && error.status === 429) {
+            alert('We are generating a lot of reports right now. Please try again in a minute.');
+        } else {
+            alert('Unable to generate PDF. Please try again.');
+        }
+    } finally {
         btn.innerHTML = originalText;
         btn.disabled = false;
-    }, 2000);
+    }
 }